@@ -1,6 +1,7 @@
 const App = (() => {
     // DOM
     const videoEl = document.getElementById('camera');
+    const stillEl = document.getElementById('still');
     const overlayEl = document.getElementById('overlay');
     const overlayCtx = overlayEl.getContext('2d');
     const statusDot = document.getElementById('statusDot');
@@ -11,37 +12,583 @@ const App = (() => {
     const debugCCtx = debugCanvas.getContext('2d', { willReadFrequently: true });
     const btnStart = document.getElementById('btnStart');
     const btnStop = document.getElementById('btnStop');
+    const btnLive = document.getElementById('btnLive');
+    const btnLock = document.getElementById('btnLock');
+    const btnPackImport = document.getElementById('btnPackImport');
+    const btnPackExport = document.getElementById('btnPackExport');
+    const packFile = document.getElementById('packFile');
+    const profileSelect = document.getElementById('profileSelect');
+    const cameraSelect = document.getElementById('cameraSelect');
+    const btnTorch = document.getElementById('btnTorch');
+    const btnExposure = document.getElementById('btnExposure');
+    const focusRing = document.getElementById('focusRing');
+    const btnScreen = document.getElementById('btnScreen');
+    const btnImage = document.getElementById('btnImage');
+    const imageFile = document.getElementById('imageFile');
+    const resultPanel = document.getElementById('resultPanel');
+    const resultText = document.getElementById('resultText');
+    const resultMap = document.getElementById('resultMap');
+    const resultCtx = resultMap.getContext('2d');
+    const toastEl = document.getElementById('toast');
 
-    let cameraRunning = false;
-    let templatesReady = false;
+    const LIVE_INTERVAL_MS = 250;
+    const SHUFFLE_MS = 1500;
+    // Frames fused per solve; spaced well inside one shuffle
+    const BURST_FRAMES = 3;
+    const BURST_INTERVAL_MS = 40;
+    // Bursts captured again when every frame with a grid failed the
+    // quality gates (blurred, glare, low contrast), and the pause before
+    // each so the phone can settle
+    const QUALITY_RETRIES = 2;
+    const RETRY_DELAY_MS = 200;
+    // localStorage key of the chosen puzzle profile spec
+    const PROFILE_KEY = 'hack-solver-profile';
+    // localStorage key of the camera device picked in the menu
+    const CAMERA_KEY = 'hack-solver-camera-device';
+    // Pause between framing pre-checks while the camera is idle
+    const FRAMING_INTERVAL_MS = 150;
+    // Least time between automatic refocuses on a blurred grid, and how
+    // long a tap's focus point is left alone before that
+    const GRID_FOCUS_MS = 2000;
+    const TAP_FOCUS_HOLD_MS = 5000;
+    // A click this soon after a pinch ends belongs to the pinch
+    const PINCH_CLICK_MS = 400;
+    // Cell pitch of the result panel's grid map, in CSS pixels
+    const MAP_CELL = 10;
+
+    // The frame source being read (Camera, ScreenCapture or StillImage,
+    // see FrameSource)
+    let source = Camera;
+    let sourceRunning = false;
     let debugLines = [];
+    let live = { running: false, timer: null };
+    let targetLock = null;
+    let lockMisses = 0;
+    let lastResult = null;
+    let puzzleProfile = Puzzle.DEFAULT;
+    // Draws the current overlay highlight again after a layout change
+    let redraw = null;
+    // Camera controls: capabilities of the running camera, the
+    // preferences applied to it and the pinch / focus state
+    let camera = { controls: null, prefs: {}, pinch: null, pinchEndedAt: 0, applying: null, pending: null, focusedAt: 0, tappedAt: 0 };
+    let toastTimer = null;
+    let framing = { timer: null, tracker: Framing.createTracker(), holding: false };
 
     function init() {
         Camera.init(videoEl);
+        ScreenCapture.init(videoEl);
+        StillImage.init(stillEl);
+        Camera.onEnded(handleSourceEnded);
+        ScreenCapture.onEnded(handleSourceEnded);
+        Scanner.init();
         btnStart.addEventListener('click', handleStart);
         btnStop.addEventListener('click', handleStop);
+        btnLive.addEventListener('click', toggleLive);
+        btnLock.addEventListener('click', toggleLock);
+        btnPackImport.addEventListener('click', function() { packFile.click(); });
+        packFile.addEventListener('change', handlePackFile);
+        btnPackExport.addEventListener('click', exportPack);
+        profileSelect.addEventListener('change', function() { chooseProfile(profileSelect.value, true); });
+        cameraSelect.addEventListener('change', function() { chooseCamera(cameraSelect.value); });
+        btnTorch.addEventListener('click', function() { setCameraPref('torch', !camera.prefs.torch); });
+        btnExposure.addEventListener('click', function() { setCameraPref('exposureLock', !camera.prefs.exposureLock); });
+        btnScreen.addEventListener('click', toggleScreen);
+        btnScreen.classList.toggle('hidden', !ScreenCapture.supported());
+        btnImage.addEventListener('click', function() { imageFile.click(); });
+        imageFile.addEventListener('change', handleImageFile);
+        document.addEventListener('dragover', handleDragOver);
+        document.addEventListener('drop', handleDrop);
+        document.addEventListener('paste', handlePaste);
+        videoEl.addEventListener('touchstart', handlePinch);
+        videoEl.addEventListener('touchmove', handlePinch);
+        videoEl.addEventListener('touchend', handlePinch);
+        videoEl.addEventListener('touchcancel', handlePinch);
+        videoEl.addEventListener('click', handleTapFocus);
         debugCanvas.style.display = 'none';
         resizeOverlay();
         window.addEventListener('resize', resizeOverlay);
+        window.addEventListener('orientationchange', resizeOverlay);
+        videoEl.addEventListener('resize', resizeOverlay);
+        loadPackFromUrl();
+        loadProfile();
         autoStartCamera();
     }
 
-    async function autoStartCamera() {
+    // ===== Puzzle profile =====
+    // Grid shape, target length, wrap rule and charsets (see Puzzle).
+    // ?profile=<spec> wins for the session; a profile picked in the menu
+    // is remembered on this device.
+
+    function loadProfile() {
+        var spec = new URLSearchParams(location.search).get('profile');
+        if (spec) {
+            chooseProfile(spec, false);
+            return;
+        }
+        var stored = null;
+        try {
+            stored = localStorage.getItem(PROFILE_KEY);
+        } catch (err) {
+            // Storage disabled (private mode); use the default
+        }
+        if (stored) chooseProfile(stored, false);
+    }
+
+    function chooseProfile(spec, remember) {
+        try {
+            puzzleProfile = Puzzle.parse(spec);
+        } catch (err) {
+            debug('Puzzle profile ' + spec + ': ' + err.message);
+            setStatus('error', 'Bad puzzle profile');
+            return;
+        }
+        if (!Array.from(profileSelect.options).some(function(o) { return o.value === spec; })) {
+            var option = document.createElement('option');
+            option.value = spec;
+            option.textContent = spec;
+            profileSelect.appendChild(option);
+        }
+        profileSelect.value = spec;
+        if (remember) {
+            try {
+                localStorage.setItem(PROFILE_KEY, spec);
+            } catch (err) {
+                // Not remembered; the choice still holds for this session
+            }
+        }
+        // A locked target belongs to the previous puzzle shape
+        setLock(null);
+        debug('Puzzle: ' + Puzzle.describe(puzzleProfile));
+    }
+
+    // ===== Camera device =====
+    // The lens to read with: a camera picked in the menu is remembered on
+    // this device; without one the best-ranked lens is used (see
+    // Controls.rankDevices), since phones often hand out the ultra-wide
+    // lens for a plain back-camera request.
+
+    function storedCamera() {
+        try {
+            return localStorage.getItem(CAMERA_KEY);
+        } catch (err) {
+            // Storage disabled (private mode); use the best lens
+            return null;
+        }
+    }
+
+    /**
+     * Start the camera `deviceId` (the remembered or best-ranked one when
+     * omitted), fill the camera menu and set up controls and framing.
+     * Throws when no camera can be opened.
+     */
+    async function startCamera(deviceId) {
+        var wanted = deviceId || storedCamera();
+        source = Camera;
+        videoEl.classList.remove('screen');
+        btnScreen.textContent = 'SCREEN';
+        var info = await Camera.start(wanted);
+        sourceRunning = true;
+        if (info.fallback) {
+            debug('Camera ' + wanted + ' unavailable');
+            showToast('Saved camera unavailable');
+        }
+        var devices = await Camera.listDevices();
+        var best = devices[0];
+        var current = devices.filter(function(d) { return d.deviceId === info.deviceId; })[0];
+        if (!wanted && best && current && Controls.LENSES.indexOf(best.lens) < Controls.LENSES.indexOf(current.lens)) {
+            // Labels only appear once permission is granted, so the
+            // first stream is used to find the better lens
+            Camera.stop();
+            info = await Camera.start(best.deviceId);
+        }
+        fillCameraSelect(devices, info.deviceId);
+        debug('Camera device: ' + (info.label || 'default') + ' ' + info.width + 'x' + info.height +
+            (info.frameRate ? ' @' + Math.round(info.frameRate) + 'fps' : ''));
+        initCameraControls();
+        startFraming();
+    }
+
+    function fillCameraSelect(devices, deviceId) {
+        cameraSelect.textContent = '';
+        devices.forEach(function(d, i) {
+            var option = document.createElement('option');
+            option.value = d.deviceId;
+            option.textContent = d.label || 'Camera ' + (i + 1);
+            cameraSelect.appendChild(option);
+        });
+        if (deviceId) cameraSelect.value = deviceId;
+        cameraSelect.classList.toggle('hidden', devices.length < 2);
+    }
+
+    // Switch to the camera picked in the menu and remember it
+    async function chooseCamera(deviceId) {
         try {
-            await Camera.start();
-            cameraRunning = true;
-            btnStart.textContent = 'SCAN';
-            btnStop.classList.remove('hidden');
+            localStorage.setItem(CAMERA_KEY, deviceId);
+        } catch (err) {
+            // Not remembered; the choice still holds for this session
+        }
+        if (!sourceRunning || source !== Camera) return;
+        stopSource();
+        try {
+            await startCamera(deviceId);
             setStatus('idle', 'Tap SCAN to find match');
+        } catch (err) {
+            sourceRunning = false;
+            debug('Camera: ' + err.message);
+            setStatus('error', 'Camera failed');
+        }
+    }
+
+    // ===== Frame source =====
+    // The camera, or on desktop a shared game window (see ScreenCapture).
+    // Both offer the FrameSource interface, so scanning, live mode and
+    // the framing guide read from `source` whichever is running.
+
+    /**
+     * Ask for a window or screen to share and read from it instead of the
+     * camera. The whole shared image is shown (object-fit contain).
+     */
+    async function startScreen() {
+        var info = await ScreenCapture.start();
+        source = ScreenCapture;
+        sourceRunning = true;
+        videoEl.classList.add('screen');
+        cameraSelect.classList.add('hidden');
+        btnScreen.textContent = 'CAMERA';
+        debug('Screen: ' + (info.label || 'shared') + ' ' + info.width + 'x' + info.height);
+        initCameraControls();
+        startFraming();
+    }
+
+    // Switch between the camera and a shared screen
+    async function toggleScreen() {
+        var toScreen = !(sourceRunning && source === ScreenCapture);
+        if (sourceRunning) stopSource();
+        try {
+            if (toScreen) await startScreen();
+            else await startCamera();
+            showRunning();
+        } catch (err) {
+            sourceRunning = false;
+            debug((toScreen ? 'Screen: ' : 'Camera: ') + err.message);
+            showStopped(toScreen ? 'Screen sharing cancelled' : 'Camera access denied');
+        }
+    }
+
+    // ===== Still images =====
+    // A screenshot or photo picked with IMAGE, dropped on the page or
+    // pasted is solved like a captured frame and the result drawn over
+    // it; SCAN reads it again. Also the way to reproduce a user-reported
+    // failure from their screenshot.
+
+    function handleImageFile() {
+        var file = imageFile.files[0];
+        imageFile.value = '';
+        if (file) openImage(file);
+    }
+
+    function handleDragOver(event) {
+        if (event.dataTransfer && Array.from(event.dataTransfer.types).indexOf('Files') >= 0) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        }
+    }
+
+    function handleDrop(event) {
+        var files = event.dataTransfer ? event.dataTransfer.files : [];
+        if (files.length === 0) return;
+        event.preventDefault();
+        openImage(files[0]);
+    }
+
+    function handlePaste(event) {
+        var files = event.clipboardData ? Array.from(event.clipboardData.files) : [];
+        var image = files.filter(StillImage.supports)[0];
+        if (!image) return;
+        event.preventDefault();
+        openImage(image);
+    }
+
+    // Stop the running source, show the image and scan it
+    async function openImage(file) {
+        if (!StillImage.supports(file)) {
+            showToast('Not an image');
+            return;
+        }
+        if (sourceRunning) stopSource();
+        var info;
+        try {
+            info = await StillImage.start(file);
+        } catch (err) {
+            debug('Image ' + (file.name || '') + ': ' + err.message);
+            showStopped('Could not read image');
+            return;
+        }
+        source = StillImage;
+        sourceRunning = true;
+        cameraSelect.classList.add('hidden');
+        btnScreen.textContent = 'SCREEN';
+        showRunning();
+        // A still does not change, so there is nothing to follow live
+        btnLive.classList.add('hidden');
+        scan();
+        // scan() has cleared the debug panel by now
+        debug('Image: ' + info.label + ' ' + info.width + 'x' + info.height);
+    }
+
+    // The camera was unplugged or screen sharing was stopped from the browser
+    function handleSourceEnded() {
+        if (!sourceRunning) return;
+        var kind = source.kind;
+        handleStop();
+        setStatus('idle', (kind === 'screen' ? 'Screen sharing ended' : 'Camera disconnected') + ' · Tap START');
+    }
+
+    // Stop the source and everything reading from it
+    function stopSource() {
+        stopLive();
+        stopFraming();
+        resetCameraControls();
+        setLock(null);
+        lastResult = null;
+        source.stop();
+        sourceRunning = false;
+        clearOverlay();
+        positionEl.style.display = 'none';
+        hideResultPanel();
+    }
+
+    function showRunning() {
+        btnStart.textContent = 'SCAN';
+        btnStop.classList.remove('hidden');
+        btnLive.classList.remove('hidden');
+        setStatus('idle', 'Tap SCAN to find match');
+    }
+
+    function showStopped(message) {
+        btnStart.textContent = 'START';
+        btnStop.classList.add('hidden');
+        btnLive.classList.add('hidden');
+        setStatus('idle', message);
+    }
+
+    // ===== Camera controls =====
+    // Torch and exposure lock buttons (shown when the camera has them),
+    // pinch to zoom and tap to focus on the video. Torch, zoom and
+    // exposure lock are remembered per camera device (see Controls).
+
+    function cameraStorage() {
+        try {
+            return window.localStorage;
+        } catch (err) {
+            // Storage disabled (private mode); preferences last the session
+            return null;
+        }
+    }
+
+    function initCameraControls() {
+        var controls = source.getControls();
+        camera.controls = controls;
+        if (!controls) return;
+        var caps = controls.capabilities;
+        camera.prefs = Controls.loadPreferences(cameraStorage(), controls.deviceKey);
+        btnTorch.classList.toggle('hidden', !caps.torch);
+        btnExposure.classList.toggle('hidden', !caps.exposureLock);
+        updateCameraButtons();
+        applyCamera(camera.prefs);
+        debug('Camera: ' + [
+            caps.zoom ? 'zoom ' + caps.zoom.min + '-' + caps.zoom.max : 'no zoom',
+            caps.torch ? 'torch' : 'no torch',
+            caps.exposureLock ? 'AE lock' : 'no AE lock',
+            caps.pointsOfInterest ? 'focus point' : 'focus ' + (caps.focusModes.join('/') || 'fixed')
+        ].join(', '));
+    }
+
+    function resetCameraControls() {
+        camera = { controls: null, prefs: {}, pinch: null, pinchEndedAt: 0, applying: null, pending: null, focusedAt: 0, tappedAt: 0 };
+        btnTorch.classList.add('hidden');
+        btnExposure.classList.add('hidden');
+    }
+
+    /**
+     * Apply camera settings one request at a time: settings asked for
+     * while a request is running are merged and applied after it, so a
+     * pinch does not queue up a request per touch move.
+     */
+    function applyCamera(settings) {
+        if (camera.applying) {
+            camera.pending = Object.assign(camera.pending || {}, settings);
+            return;
+        }
+        var session = camera;
+        camera.applying = source.applyControls(settings).catch(function(err) {
+            debug('Camera settings: ' + err.message);
+        }).then(function() {
+            if (session !== camera) return;
+            camera.applying = null;
+            var next = camera.pending;
+            camera.pending = null;
+            if (next) applyCamera(next);
+        });
+    }
+
+    // Set, remember and apply one camera preference
+    function setCameraPref(name, value) {
+        if (!camera.controls) return;
+        camera.prefs[name] = value;
+        Controls.savePreferences(cameraStorage(), camera.controls.deviceKey, camera.prefs);
+        var settings = {};
+        settings[name] = value;
+        applyCamera(settings);
+        updateCameraButtons();
+    }
+
+    function updateCameraButtons() {
+        btnTorch.classList.toggle('active', !!camera.prefs.torch);
+        btnExposure.classList.toggle('active', !!camera.prefs.exposureLock);
+    }
+
+    function handlePinch(event) {
+        var caps = camera.controls && camera.controls.capabilities;
+        if (!caps || !caps.zoom) return;
+        var touches = event.touches;
+        if (touches.length === 2) {
+            var distance = Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+            if (!camera.pinch) {
+                var zoom = camera.prefs.zoom || camera.controls.settings.zoom || caps.zoom.min;
+                camera.pinch = { distance: distance, zoom: zoom };
+                return;
+            }
+            var next = Controls.pinchZoom(caps, camera.pinch.zoom, camera.pinch.distance, distance);
+            if (next !== camera.prefs.zoom) {
+                camera.prefs.zoom = next;
+                applyCamera({ zoom: next });
+                showToast('Zoom ' + next.toFixed(1) + 'x');
+            }
+        } else if (camera.pinch) {
+            camera.pinch = null;
+            camera.pinchEndedAt = performance.now();
+            Controls.savePreferences(cameraStorage(), camera.controls.deviceKey, camera.prefs);
+        }
+    }
+
+    // Focus where the video was tapped
+    function handleTapFocus(event) {
+        if (!camera.controls || performance.now() - camera.pinchEndedAt < PINCH_CLICK_MS) return;
+        var view = displayTransform();
+        if (!view) return;
+        var rect = videoEl.getBoundingClientRect();
+        var x = event.clientX - rect.left, y = event.clientY - rect.top;
+        var p = Viewport.toVideo(view, x, y);
+        camera.tappedAt = performance.now();
+        focusOn(p[0], p[1], view);
+        focusRing.style.left = x + 'px';
+        focusRing.style.top = y + 'px';
+        focusRing.classList.remove('show');
+        void focusRing.offsetWidth;  // restart the animation
+        focusRing.classList.add('show');
+    }
+
+    /**
+     * Refocus on the grid a framing check found out of focus, at most
+     * every GRID_FOCUS_MS and not while a tapped focus point is fresh.
+     */
+    function focusOnGrid(box) {
+        var now = performance.now();
+        if (!camera.controls || now - camera.focusedAt < GRID_FOCUS_MS || now - camera.tappedAt < TAP_FOCUS_HOLD_MS) return;
+        var view = displayTransform();
+        if (view) focusOn(box.x + box.w / 2, box.y + box.h / 2, view);
+    }
+
+    // Focus once on video pixel (x, y)
+    function focusOn(x, y, view) {
+        camera.focusedAt = performance.now();
+        applyCamera({ focus: { x: x / view.videoWidth, y: y / view.videoHeight } });
+    }
+
+    function showToast(message) {
+        toastEl.textContent = message;
+        toastEl.className = 'show';
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(function() { toastEl.className = ''; }, 1200);
+    }
+
+    // ===== Template packs =====
+    // Shared template sets (see Templates.encodePack): ?pack=<url> loads
+    // one from a teammate's link or a bundled asset, IMPORT PACK from a
+    // file, EXPORT PACK downloads the templates this device uses.
+
+    function loadPackFromUrl() {
+        var url = new URLSearchParams(location.search).get('pack');
+        if (!url) return;
+        installPack(Templates.fetchPack(url), url);
+    }
+
+    function handlePackFile() {
+        var file = packFile.files[0];
+        packFile.value = '';
+        if (!file) return;
+        installPack(file.text().then(JSON.parse), file.name);
+    }
+
+    // `origin` names where the pack came from (URL or file name)
+    function installPack(packPromise, origin) {
+        packPromise.then(Scanner.importPack).then(function(names) {
+            debug('Template pack ' + origin + ': ' + (names.length ? names.join(', ') : 'no known charsets'));
+            setStatus('idle', 'Templates loaded: ' + names.length + ' charsets');
+        }).catch(function(err) {
+            debug('Template pack ' + origin + ': ' + err.message);
+            setStatus('error', 'Template pack failed');
+        });
+    }
+
+    async function exportPack() {
+        try {
+            var pack = await Scanner.exportPack();
+            var blob = new Blob([JSON.stringify(pack)], { type: 'application/json' });
+            var link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'hack-solver-templates-' + pack.created.slice(0, 10) + '.json';
+            link.click();
+            setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+        } catch (err) {
+            debug('Export failed: ' + err.message);
+        }
+    }
+
+    async function autoStartCamera() {
+        try {
+            await startCamera();
+            showRunning();
         } catch (err) {
             setStatus('idle', 'Tap START to begin');
         }
     }
 
+    // Size the overlay to its element in device pixels and draw the last
+    // result again in the new layout (rotation, resize, new stream size)
     function resizeOverlay() {
-        overlayEl.width = overlayEl.clientWidth * (window.devicePixelRatio || 1);
-        overlayEl.height = overlayEl.clientHeight * (window.devicePixelRatio || 1);
-        overlayCtx.scale(window.devicePixelRatio || 1, window.devicePixelRatio || 1);
+        var again = redraw;
+        overlayEl.width = Math.round(overlayEl.clientWidth * (window.devicePixelRatio || 1));
+        overlayEl.height = Math.round(overlayEl.clientHeight * (window.devicePixelRatio || 1));
+        if (again) again();
+    }
+
+    /**
+     * The video-to-overlay transform for the current layout (see
+     * Viewport), null until the video has a size. Sets the overlay
+     * context up to draw in CSS pixels at the current device pixel ratio.
+     */
+    function overlayTransform() {
+        var view = displayTransform();
+        if (view) overlayCtx.setTransform(view.dpr, 0, 0, view.dpr, 0, 0);
+        return view;
+    }
+
+    // The video-to-display transform for the current layout (see Viewport)
+    function displayTransform() {
+        var dims = source.getVideoDimensions();
+        return Viewport.create(dims, { fit: dims.fit, dpr: window.devicePixelRatio || 1 });
     }
 
     function debug(msg) {
@@ -55,10 +602,9 @@ const App = (() => {
     }
 
     async function handleStart() {
-        if (!cameraRunning) {
+        if (!sourceRunning) {
             try {
-                await Camera.start();
-                cameraRunning = true;
+                await startCamera();
             } catch (err) {
                 setStatus('error', 'Camera access denied');
                 return;
@@ -67,18 +613,14 @@ const App = (() => {
 
         btnStart.textContent = 'SCAN';
         btnStop.classList.remove('hidden');
+        btnLive.classList.remove('hidden');
         scan();
     }
 
     function handleStop() {
-        Camera.stop();
-        cameraRunning = false;
-        btnStart.textContent = 'START';
-        btnStop.classList.add('hidden');
-        positionEl.style.display = 'none';
-        clearOverlay();
+        stopSource();
         debugClear();
-        setStatus('idle', 'Tap START to begin');
+        showStopped('Tap START to begin');
     }
 
     function setStatus(type, message) {
@@ -92,233 +634,467 @@ const App = (() => {
         positionEl.style.display = 'none';
         debugClear();
         btnStart.disabled = true;
-
-        // Use setTimeout so the "Scanning..." text renders before heavy work
-        setTimeout(doScan, 30);
+        doScan();
     }
 
-    function doScan() {
+    async function doScan() {
+        framing.holding = false;
         try {
-            var t0 = performance.now();
-
-            if (!templatesReady) {
-                Templates.generate();
-                templatesReady = true;
-                debug('Templates: ' + Math.round(performance.now() - t0) + 'ms');
-            }
-
-            var frame = Camera.captureFrame();
-            if (!frame) {
+            var frames = await source.captureBurst(BURST_FRAMES, BURST_INTERVAL_MS);
+            if (frames.length === 0) {
                 setStatus('error', 'No frame');
                 return;
             }
-            debug('Frame: ' + frame.width + 'x' + frame.height);
 
-            var det = Detector.detect(frame);
-            if (!det) {
-                setStatus('error', 'Grid not found');
+            var result = await runSolver(frames);
+            // Capturing a still again would give the same frame
+            var retries = source === StillImage ? 0 : QUALITY_RETRIES;
+            for (var retry = 0; retry < retries && Solver.needsRecapture(result); retry++) {
+                // Stopped while solving or pausing: nothing left to capture
+                // and the stopped screen stays as it is
+                if (!sourceRunning) return;
+                result.log.forEach(debug);
+                debug('Recapturing: ' + result.guidance);
+                setStatus('detecting', result.guidance);
+                await new Promise(function(resolve) { setTimeout(resolve, RETRY_DELAY_MS); });
+                if (!sourceRunning) return;
+                frames = await source.captureBurst(BURST_FRAMES, BURST_INTERVAL_MS);
+                if (frames.length === 0) break;
+                result = await runSolver(frames);
+            }
+            result.log.forEach(debug);
+            if (!result.extracted) {
+                setStatus('error', result.guidance || result.error);
                 return;
             }
 
-            var gc = det.gridCells.length;
-            var tc = det.targetCells ? det.targetCells.length : 0;
-            debug('Grid: ' + gc + ', Target: ' + tc);
+            debug('Time: ' + result.elapsed + 'ms ' + formatTimings(result.timings) +
+                (Scanner.isWorker() ? ' [worker]' : ''));
+            showResult(result);
+            // Keep the highlight up until the framing changes
+            framing.holding = !!result.match;
 
-            if (gc < 30 || tc < 3) {
-                setStatus('error', 'Not enough cells: ' + gc + '/' + tc);
-                return;
-            }
+            // Visual debug
+            debugCanvas.style.display = 'block';
+            drawDebugCells(
+                result.extracted.targetCells, result.extracted.gridCells,
+                result.targetCodes, result.gridCodes, result.targetTemplates
+            );
+        } catch (err) {
+            debug('Error: ' + err.message);
+            setStatus('error', 'Scan failed');
+        } finally {
+            btnStart.disabled = false;
+        }
+    }
 
-            // Extract cells (once)
-            var extracted = Processor.extractAllCells(frame, det.gridCells, det.targetCells);
+    /**
+     * Solve a burst of frames against the current target lock (if any) and
+     * keep the lock session up to date: auto-lock a confidently read target,
+     * and release the lock once its codes stop showing up in the grid.
+     */
+    async function runSolver(frames) {
+        var result = await Scanner.solve(frames, { lock: targetLock, profile: puzzleProfile });
+        if (!result.extracted) return result;
+        lastResult = result;
 
-            // Split all cells into halves ONCE (reused across all charset attempts)
-            var targetHalves = [];
-            for (var i = 0; i < extracted.targetCells.length; i++) {
-                targetHalves.push(Processor.splitCellHalves(extracted.targetCells[i]));
-            }
-            var gridHalves = [];
-            for (var gi = 0; gi < extracted.gridCells.length; gi++) {
-                gridHalves.push(Processor.splitCellHalves(extracted.gridCells[gi]));
+        if (targetLock) {
+            var tracked = Solver.trackLock(result, lockMisses);
+            lockMisses = tracked.misses;
+            if (tracked.release) {
+                result.log.push('Lock released after ' + lockMisses + ' misses');
+                setLock(null);
             }
+        } else if (Solver.isLockable(result)) {
+            setLock(Solver.createLock(result));
+            result.log.push('Target locked: ' + targetLock.codes.join(' '));
+            learnFrom(result);
+        }
+        updateLockButton();
+        return result;
+    }
 
-            // Debug: show character recognition quality for alphabet charset
-            var alphaTemplates = Templates.getCharset('alphabet');
-            if (alphaTemplates && targetHalves.length > 0) {
-                var dbgLeft = Matcher.identifyChar(targetHalves[0].left, alphaTemplates);
-                var dbgRight = Matcher.identifyChar(targetHalves[0].right, alphaTemplates);
-                debug('OCR t0: ' + dbgLeft.char + '(' + dbgLeft.distance.toFixed(3) + ') ' +
-                      dbgRight.char + '(' + dbgRight.distance.toFixed(3) + ')');
-                // Show pixel stats of first target half
-                var h0 = targetHalves[0].left;
-                var hMin = 255, hMax = 0;
-                for (var pi = 0; pi < h0.length; pi++) {
-                    if (h0[pi] < hMin) hMin = h0[pi];
-                    if (h0[pi] > hMax) hMax = h0[pi];
-                }
-                debug('Half0: min=' + hMin + ' max=' + hMax + ' len=' + h0.length);
-            }
+    /**
+     * Keep the half-cells of a confidently locked target (and the grid
+     * cells it matched) as learned templates, so later hacks are read
+     * against the game's own font instead of the device font.
+     */
+    function learnFrom(result) {
+        // Chosen where the Solver ran, against the templates it read with
+        var exemplars = result.exemplars;
+        if (exemplars.length === 0) return;
+        Scanner.learn(exemplars).then(function(count) {
+            debug('Learned ' + count + ' ' + result.charset + ' chars');
+        }, function(err) {
+            debug('Learning failed: ' + err.message);
+        });
+    }
 
-            // Multi-strategy: try ALL charsets using pre-computed halves
-            var allCharsets = Templates.getAllCharsets();
-            var charsetNames = Object.keys(allCharsets);
-            var bestMatch = null;
-            var bestScore = Infinity;
-            var bestCharset = '';
-            var bestTargetCodes = null;
-            var bestGridCodes = null;
-
-            for (var ci = 0; ci < charsetNames.length; ci++) {
-                var csName = charsetNames[ci];
-                var tpls = allCharsets[csName];
-
-                // Identify codes using pre-split halves (no canvas creation)
-                var tCodes = [];
-                for (var ti = 0; ti < targetHalves.length; ti++) {
-                    var lc = Matcher.identifyChar(targetHalves[ti].left, tpls);
-                    var rc = Matcher.identifyChar(targetHalves[ti].right, tpls);
-                    tCodes.push(lc.char + rc.char);
-                }
+    function formatTimings(timings) {
+        return Object.keys(timings).map(function(stage) {
+            return stage[0] + timings[stage];
+        }).join(' ');
+    }
 
-                // Log what alphabet reads
-                if (csName === 'alphabet') {
-                    debug('alpha: ' + tCodes.join(' '));
-                }
+    // ===== Target lock =====
+    // The 4 target codes never change during a hack. Once locked (auto or
+    // by tapping LOCK), later scans reuse the locked codes, charset and
+    // pixel cells and only read the grid.
 
-                var gCodes = [];
-                for (var gj = 0; gj < gridHalves.length; gj++) {
-                    var glc = Matcher.identifyChar(gridHalves[gj].left, tpls);
-                    var grc = Matcher.identifyChar(gridHalves[gj].right, tpls);
-                    gCodes.push(glc.char + grc.char);
-                }
+    function toggleLock() {
+        if (targetLock) {
+            setLock(null);
+        } else if (lastResult) {
+            setLock(Solver.createLock(lastResult));
+        }
+        updateLockButton();
+    }
 
-                var m = Matcher.findMatchByText(tCodes, gCodes);
-                if (m && m.score < bestScore) {
-                    bestScore = m.score;
-                    bestMatch = m;
-                    bestCharset = csName;
-                    bestTargetCodes = tCodes;
-                    bestGridCodes = gCodes;
-                }
+    function setLock(lock) {
+        targetLock = lock;
+        lockMisses = 0;
+        updateLockButton();
+    }
 
-                // If no text match, still track best charset for debug display
-                if (!bestTargetCodes) {
-                    bestCharset = csName;
-                    bestTargetCodes = tCodes;
-                    bestGridCodes = gCodes;
-                }
-            }
+    function updateLockButton() {
+        if (!sourceRunning) {
+            btnLock.classList.add('hidden');
+            return;
+        }
+        btnLock.classList.toggle('hidden', !targetLock && !lastResult);
+        btnLock.classList.toggle('active', !!targetLock);
+        btnLock.textContent = targetLock ? 'UNLOCK ' + targetLock.codes.join(' ') : 'LOCK';
+    }
 
-            // Also try pixel matching
-            var pixelMatch = Matcher.findMatch(extracted.targetCells, extracted.gridCells);
-
-            // Pick winner
-            var match = null;
-            var method = '';
-
-            if (bestMatch && bestMatch.score === 0) {
-                match = bestMatch;
-                method = bestCharset + ' exact';
-            } else if (bestMatch && pixelMatch) {
-                if (bestMatch.confidence >= pixelMatch.confidence) {
-                    match = bestMatch;
-                    method = bestCharset + ' fuzzy(s=' + bestScore + ')';
-                } else {
-                    match = pixelMatch;
-                    method = 'pixel';
-                }
-            } else if (bestMatch) {
-                match = bestMatch;
-                method = bestCharset + ' fuzzy(s=' + bestScore + ')';
-            } else if (pixelMatch) {
-                match = pixelMatch;
-                method = 'pixel';
+    function showResult(result, label) {
+        var match = result.match;
+        if (!match) {
+            debug('NO MATCH (all strategies failed)');
+            setStatus('error', 'No match found');
+            return;
+        }
+
+        debug(result.method + ' R' + match.row + 'C' + match.col + ' conf=' + Math.round(match.confidence * 100) + '%');
+        if (match.top3) {
+            for (var di = 0; di < match.top3.length; di++) {
+                var mt = match.top3[di];
+                debug('  #' + (di + 1) + ' R' + mt.row + 'C' + mt.col + ' s=' + mt.score.toFixed(3));
             }
+        }
+        drawResult(result.detection, matchedCells(result), label);
+        positionEl.textContent = 'R' + match.row + ' C' + match.col;
+        positionEl.style.display = 'block';
+        showResultPanel(result, false);
+        setStatus('tracking', (label ? label + ' · ' : '') + 'Row ' + match.row + ', Col ' + match.col);
+    }
+
+    // ===== Framing guide =====
+    // While the camera runs idle, a quick pre-check of a small preview
+    // frame (see Framing) outlines the grid and target row as found and
+    // lists what is still off. Once the framing holds steady for a few
+    // checks a scan starts by itself; its result stays up until the
+    // framing changes.
+
+    function startFraming() {
+        stopFraming();
+        framing.tracker.reset();
+        framing.holding = false;
+        framing.timer = setTimeout(framingTick, FRAMING_INTERVAL_MS);
+    }
+
+    function stopFraming() {
+        if (framing.timer) clearTimeout(framing.timer);
+        framing.timer = null;
+    }
 
-            if (bestTargetCodes) {
-                debug(bestCharset + ': ' + bestTargetCodes.join(' '));
+    function framingTick() {
+        framing.timer = null;
+        if (!sourceRunning) return;
+        // Live mode and a running scan own the overlay
+        if (!live.running && !btnStart.disabled) {
+            try {
+                checkFraming();
+            } catch (err) {
+                debug('Framing: ' + err.message);
             }
+        }
+        if (sourceRunning) framing.timer = setTimeout(framingTick, FRAMING_INTERVAL_MS);
+    }
 
-            var elapsed = Math.round(performance.now() - t0);
-            debug('Time: ' + elapsed + 'ms');
+    function checkFraming() {
+        var preview = source.capturePreview(Detector.PRECHECK_WIDTH);
+        if (!preview) return;
+        var check = Framing.check(preview.frame, { profile: puzzleProfile, scale: preview.scale });
+        var state = framing.tracker.update(check);
+        if (check.found && !check.focused) focusOnGrid(check.grid);
+        if (framing.holding && state.count > 0 && !state.fire) return;
+        framing.holding = false;
+
+        if (state.fire) {
+            scan();
+            return;
+        }
+        drawFraming(check, state);
+        setStatus(check.ready ? 'detecting' : 'idle', check.ready
+            ? check.guidance + ' ' + state.count + '/' + Framing.STABLE_CHECKS
+            : check.guidance || 'Tap SCAN to find match');
+    }
 
-            if (match) {
-                debug(method + ' R' + match.row + 'C' + match.col + ' conf=' + Math.round(match.confidence * 100) + '%');
-                if (match.top3) {
-                    for (var di = 0; di < match.top3.length; di++) {
-                        var mt = match.top3[di];
-                        debug('  #' + (di + 1) + ' R' + mt.row + 'C' + mt.col + ' s=' + mt.score.toFixed(3));
-                    }
+    /**
+     * Draw the framing guide: corner marks of the area to aim the grid
+     * at, the grid and target row boxes found by the pre-check (green
+     * once framing is ready) and a checklist of grid, target, focus and
+     * size.
+     */
+    function drawFraming(check, state) {
+        clearOverlay();
+
+        var view = overlayTransform();
+        if (!view) return;
+
+        var color = check.ready ? '#22c55e' : '#f59e0b';
+
+        var w = view.displayWidth, h = view.displayHeight;
+        var mx = w * 0.1, my = h * 0.1, arm = Math.min(w, h) * 0.08;
+        var corners = [[mx, my, 1, 1], [w - mx, my, -1, 1], [w - mx, h - my, -1, -1], [mx, h - my, 1, -1]];
+        overlayCtx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        overlayCtx.lineWidth = 2;
+        overlayCtx.beginPath();
+        for (var i = 0; i < corners.length; i++) {
+            var c = corners[i];
+            overlayCtx.moveTo(c[0] + c[2] * arm, c[1]);
+            overlayCtx.lineTo(c[0], c[1]);
+            overlayCtx.lineTo(c[0], c[1] + c[3] * arm);
+        }
+        overlayCtx.stroke();
+
+        overlayCtx.strokeStyle = color;
+        if (check.grid) strokeBox(Viewport.boxToDisplay(view, check.grid));
+        if (check.target) {
+            overlayCtx.setLineDash([6, 4]);
+            strokeBox(Viewport.boxToDisplay(view, check.target));
+            overlayCtx.setLineDash([]);
+        }
+
+        var mark = function(ok) { return ok ? ' \u2713' : ' \u2717'; };
+        var items = 'GRID' + mark(check.found) + '  TARGET' + mark(!!check.target) +
+            '  FOCUS' + mark(check.focused) + '  SIZE' + mark(check.large);
+        if (state.count > 0) items += '  HOLD ' + state.count + '/' + Framing.STABLE_CHECKS;
+        overlayCtx.font = 'bold 13px monospace';
+        overlayCtx.textAlign = 'left';
+        overlayCtx.textBaseline = 'top';
+        overlayCtx.fillStyle = color;
+        overlayCtx.fillText(items, mx, my + 6);
+    }
+
+    // ===== Live mode =====
+    // Re-solves continuously so the highlight follows the grid, which
+    // reshuffles every ~1.5s. Each solved shuffle gets a number shown next
+    // to the highlight; once a shuffle is older than SHUFFLE_MS without a
+    // fresh solve the highlight is drawn as stale.
+
+    function toggleLive() {
+        if (live.running) stopLive();
+        else startLive();
+    }
+
+    function startLive() {
+        if (!sourceRunning || source === StillImage) return;
+        framing.holding = false;
+        live = { running: true, timer: null, shuffle: 0, gridCodes: null, result: null, solvedAt: 0 };
+        btnLive.textContent = 'PAUSE';
+        btnLive.classList.add('active');
+        btnStart.disabled = true;
+        clearOverlay();
+        positionEl.style.display = 'none';
+        setStatus('detecting', 'Live: searching...');
+        liveTick();
+    }
+
+    function stopLive() {
+        if (live.timer) clearTimeout(live.timer);
+        live.running = false;
+        live.timer = null;
+        btnLive.textContent = 'LIVE';
+        btnLive.classList.remove('active');
+        btnStart.disabled = false;
+        // The last live highlight stays up like a scan result
+        framing.holding = !!live.result;
+    }
+
+    async function liveTick() {
+        // A tick still awaiting a solve must not outlive a stop/restart
+        var session = live;
+        var stopped = function() { return session !== live || !session.running; };
+        if (stopped()) return;
+        var started = performance.now();
+
+        try {
+            var frames = await source.captureBurst(BURST_FRAMES, BURST_INTERVAL_MS);
+            if (stopped()) return;
+            var result = frames.length > 0 ? await runSolver(frames) : null;
+            if (stopped()) return;
+
+            if (result && result.match) {
+                if (!Solver.sameShuffle(live.gridCodes, result.gridCodes)) {
+                    live.shuffle++;
                 }
-                drawResult(det, match.position, extracted.targetCells.length);
-                positionEl.textContent = 'R' + match.row + ' C' + match.col;
-                positionEl.style.display = 'block';
-                setStatus('tracking', 'Row ' + match.row + ', Col ' + match.col);
-            } else {
-                debug('NO MATCH (all strategies failed)');
-                setStatus('error', 'No match found');
-            }
+                live.gridCodes = result.gridCodes;
+                live.result = result;
+                live.solvedAt = performance.now();
 
-            // Visual debug
-            debugCanvas.style.display = 'block';
-            drawDebugCells(
-                extracted.targetCells, extracted.gridCells,
-                bestTargetCodes, bestGridCodes, bestCharset
-            );
+                debugClear();
+                debug('Live #' + live.shuffle + ' ' + result.method + ' ' + result.elapsed + 'ms');
+                showResult(result, '#' + live.shuffle);
+            } else if (live.result && performance.now() - live.solvedAt > SHUFFLE_MS) {
+                drawResult(live.result.detection, matchedCells(live.result), '#' + live.shuffle, true);
+                showResultPanel(live.result, true);
+                setStatus('detecting', 'Live: #' + live.shuffle + ' stale, re-solving...');
+            } else if (!live.result && result && result.guidance) {
+                setStatus('detecting', 'Live: ' + result.guidance);
+            }
         } catch (err) {
             debug('Error: ' + err.message);
-            setStatus('error', 'Scan failed');
-        } finally {
-            btnStart.disabled = false;
         }
+
+        if (stopped()) return;
+
+        // Keep at least LIVE_INTERVAL_MS between solve starts, but always
+        // yield so the UI and camera preview get a chance to update
+        var wait = Math.max(16, LIVE_INTERVAL_MS - (performance.now() - started));
+        session.timer = setTimeout(liveTick, wait);
+    }
+
+    // ===== Result panel =====
+    // A small panel that keeps the last solution up while the source
+    // runs: the position and a map of the grid with the matched cells lit
+    // in order. It stays readable when the overlay is not, e.g. a shared
+    // screen shown in a small window beside the game.
+
+    function showResultPanel(result, stale) {
+        var match = result.match;
+        var rows = result.puzzle.rows, cols = result.puzzle.cols;
+        var cells = matchedCells(result);
+        var dpr = window.devicePixelRatio || 1;
+        resultText.textContent = 'R' + match.row + ' C' + match.col;
+        resultMap.style.width = cols * MAP_CELL + 'px';
+        resultMap.style.height = rows * MAP_CELL + 'px';
+        resultMap.width = Math.round(cols * MAP_CELL * dpr);
+        resultMap.height = Math.round(rows * MAP_CELL * dpr);
+        resultCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        var lit = stale ? '#f59e0b' : '#22c55e';
+        for (var i = 0; i < rows * cols; i++) {
+            var order = cells.indexOf(i);
+            resultCtx.fillStyle = order < 0 ? 'rgba(255, 255, 255, 0.15)' : lit;
+            resultCtx.fillRect((i % cols) * MAP_CELL + 1, Math.floor(i / cols) * MAP_CELL + 1, MAP_CELL - 2, MAP_CELL - 2);
+        }
+        // The first cell of the sequence is where to start
+        var first = cells[0];
+        resultCtx.strokeStyle = '#fff';
+        resultCtx.lineWidth = 1.5;
+        resultCtx.strokeRect((first % cols) * MAP_CELL + 0.75, Math.floor(first / cols) * MAP_CELL + 0.75,
+            MAP_CELL - 1.5, MAP_CELL - 1.5);
+
+        resultPanel.classList.toggle('stale', !!stale);
+        resultPanel.classList.remove('hidden');
+    }
+
+    function hideResultPanel() {
+        resultPanel.classList.add('hidden');
     }
 
-    function drawResult(detection, position, numTargets) {
+    // Grid indices of the matched target sequence, following the wrap rule
+    function matchedCells(result) {
+        var puzzle = result.puzzle;
+        return Puzzle.sequence(puzzle.wrap, result.match.position, result.extracted.targetCells.length,
+            result.detection.gridCells.length, puzzle.cols);
+    }
+
+    /**
+     * Highlight the matched cells (grid indices in target order). `label`
+     * (e.g. the live shuffle number) is drawn above the first cell; `stale`
+     * dims the highlight to show it belongs to a shuffle that is probably
+     * no longer on screen.
+     */
+    function drawResult(detection, cells, label, stale) {
         clearOverlay();
 
-        var dims = Camera.getVideoDimensions();
-        if (!dims.videoWidth) return;
+        var view = overlayTransform();
+        if (!view) return;
+        redraw = function() { drawResult(detection, cells, label, stale); };
 
-        var scaleX = dims.displayWidth / dims.videoWidth;
-        var scaleY = dims.displayHeight / dims.videoHeight;
+        var color = stale ? '#f59e0b' : '#22c55e';
+        var fill = stale ? 'rgba(245, 158, 11, 0.1)' : 'rgba(34, 197, 94, 0.2)';
+
+        // Outline of the grid and target as found, following any perspective
+        if (detection.corners) {
+            overlayCtx.strokeStyle = stale ? 'rgba(245, 158, 11, 0.35)' : 'rgba(34, 197, 94, 0.35)';
+            overlayCtx.lineWidth = 1;
+            drawQuad(detection.corners.grid, view);
+            if (detection.corners.target) drawQuad(detection.corners.target, view);
+        }
 
-        overlayCtx.strokeStyle = '#22c55e';
+        overlayCtx.strokeStyle = color;
         overlayCtx.lineWidth = 3;
-        overlayCtx.shadowColor = '#22c55e';
+        overlayCtx.shadowColor = color;
         overlayCtx.shadowBlur = 12;
+        overlayCtx.setLineDash(stale ? [8, 6] : []);
 
-        for (var t = 0; t < numTargets; t++) {
-            var gridIdx = (position + t) % detection.gridCells.length;
-            var blob = detection.gridCells[gridIdx];
+        for (var t = 0; t < cells.length; t++) {
+            var blob = detection.gridCells[cells[t]];
+            var box = Viewport.boxToDisplay(view, { x: blob.x - 4, y: blob.y - 4, w: blob.w + 8, h: blob.h + 8 });
 
-            var x = (blob.x - 4) * scaleX;
-            var y = (blob.y - 4) * scaleY;
-            var w = (blob.w + 8) * scaleX;
-            var h = (blob.h + 8) * scaleY;
-
-            overlayCtx.fillStyle = 'rgba(34, 197, 94, 0.2)';
-            overlayCtx.fillRect(x, y, w, h);
-            overlayCtx.strokeRect(x, y, w, h);
+            overlayCtx.fillStyle = fill;
+            overlayCtx.fillRect(box.x, box.y, box.w, box.h);
+            overlayCtx.strokeRect(box.x, box.y, box.w, box.h);
         }
 
+        overlayCtx.setLineDash([]);
         overlayCtx.beginPath();
-        overlayCtx.strokeStyle = 'rgba(34, 197, 94, 0.6)';
+        overlayCtx.strokeStyle = stale ? 'rgba(245, 158, 11, 0.6)' : 'rgba(34, 197, 94, 0.6)';
         overlayCtx.lineWidth = 2;
         overlayCtx.shadowBlur = 5;
 
-        for (var t2 = 0; t2 < numTargets; t2++) {
-            var gridIdx2 = (position + t2) % detection.gridCells.length;
-            var blob2 = detection.gridCells[gridIdx2];
-            var cx = blob2.cx * scaleX;
-            var cy = blob2.cy * scaleY;
-            if (t2 === 0) overlayCtx.moveTo(cx, cy);
-            else overlayCtx.lineTo(cx, cy);
+        for (var t2 = 0; t2 < cells.length; t2++) {
+            var blob2 = detection.gridCells[cells[t2]];
+            var center = Viewport.toDisplay(view, blob2.cx, blob2.cy);
+            if (t2 === 0) overlayCtx.moveTo(center[0], center[1]);
+            else overlayCtx.lineTo(center[0], center[1]);
         }
         overlayCtx.stroke();
         overlayCtx.shadowBlur = 0;
+
+        if (label) {
+            var first = detection.gridCells[cells[0]];
+            overlayCtx.font = 'bold 14px monospace';
+            overlayCtx.textAlign = 'left';
+            overlayCtx.textBaseline = 'bottom';
+            overlayCtx.fillStyle = color;
+            var at = Viewport.toDisplay(view, first.x - 4, first.y - 6);
+            overlayCtx.fillText(label, at[0], at[1]);
+        }
     }
 
-    function drawDebugCells(targetCells, gridCells, targetCodes, gridCodes, charset) {
+    // Stroke a closed [tl, tr, br, bl] quad given in frame coordinates
+    function drawQuad(points, view) {
+        overlayCtx.beginPath();
+        for (var i = 0; i < points.length; i++) {
+            var p = Viewport.toDisplay(view, points[i][0], points[i][1]);
+            if (i === 0) overlayCtx.moveTo(p[0], p[1]);
+            else overlayCtx.lineTo(p[0], p[1]);
+        }
+        overlayCtx.closePath();
+        overlayCtx.stroke();
+    }
+
+    // Stroke a { x, y, w, h } box given in display coordinates
+    function strokeBox(box) {
+        overlayCtx.strokeRect(box.x, box.y, box.w, box.h);
+    }
+
+    // `templates`: the Solver's targetTemplates for the target codes
+    function drawDebugCells(targetCells, gridCells, targetCodes, gridCodes, templates) {
         var S = 32;
         var scale = 2;
         var D = S * scale;
@@ -378,23 +1154,13 @@ const App = (() => {
 
         // Row 3: template images for target codes
         var y2 = y1 + D + labelH + gap + labelH;
-        if (charset && targetCodes) {
-            var tpls = Templates.getCharset(charset);
+        if (templates && targetCodes) {
             for (var tc = 0; tc < targetCodes.length; tc++) {
                 var code = targetCodes[tc];
-                // Find matching template halves and draw them side by side
-                var leftChar = code[0];
-                var rightChar = code[1];
-                var leftTpl = null, rightTpl = null;
-                for (var ti = 0; ti < tpls.length; ti++) {
-                    if (tpls[ti].char === leftChar) leftTpl = tpls[ti];
-                    if (tpls[ti].char === rightChar) rightTpl = tpls[ti];
-                }
+                // Template halves of the code side by side
                 var x3 = gap + tc * (D + gap);
-                // Draw left half
-                if (leftTpl) drawCell(debugCCtx, leftTpl.pixels, x3, y2, S, scale / 2);
-                // Draw right half
-                if (rightTpl) drawCell(debugCCtx, rightTpl.pixels, x3 + D / 2, y2, S, scale / 2);
+                if (templates[tc].left) drawCell(debugCCtx, templates[tc].left, x3, y2, S, scale / 2);
+                if (templates[tc].right) drawCell(debugCCtx, templates[tc].right, x3 + D / 2, y2, S, scale / 2);
                 debugCCtx.fillStyle = '#0ff';
                 debugCCtx.textAlign = 'center';
                 debugCCtx.fillText(code, x3 + D / 2, y2 + D + 12);
@@ -425,6 +1191,8 @@ const App = (() => {
     }
 
     function clearOverlay() {
+        redraw = null;
+        overlayCtx.setTransform(1, 0, 0, 1, 0, 0);
         overlayCtx.clearRect(0, 0, overlayEl.width, overlayEl.height);
     }
 
@@ -434,5 +1202,5 @@ const App = (() => {
         init();
     }
 
-    return { handleStart, handleStop };
+    return { handleStart, handleStop, startLive, stopLive };
 })();
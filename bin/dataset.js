@@ -0,0 +1,213 @@
+'use strict';
+
+// Screenshot ground-truth dataset: loading, validation and scoring.
+//
+// A dataset is a folder of images, each with a sidecar JSON of the same
+// base name (shot.png + shot.json):
+//
+//   {
+//     "charset": "numeric",                      // Templates.CHARSETS name
+//     "target": ["28", "98", "94", "55"],        // target codes, left to right
+//     "grid": ["51", "41", ...],                 // all grid codes, row-major
+//     "expected": { "position": 43, "row": 5, "col": 4 },
+//     "cells": {                                 // optional cell boxes
+//       "grid": [{ "x": 0, "y": 0, "w": 0, "h": 0 }, ...],
+//       "target": [...]
+//     },
+//     "notes": "free text"                       // optional
+//   }
+
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_EXTS = ['.png', '.jpg', '.jpeg', '.webp'];
+// Minimum intersection-over-union for a detected box to count as correct
+const MIN_IOU = 0.5;
+
+/**
+ * Validate a parsed sidecar. Returns a list of problems (empty = valid).
+ */
+function validateSidecar(gt) {
+    const problems = [];
+    if (!gt || typeof gt !== 'object') return ['not an object'];
+    if (typeof gt.charset !== 'string') problems.push('charset must be a string');
+    if (!Array.isArray(gt.target) || gt.target.length < 2) problems.push('target must list at least 2 codes');
+    if (!Array.isArray(gt.grid) || gt.grid.length < 4) problems.push('grid must list the grid codes');
+    const exp = gt.expected;
+    if (!exp || !Number.isInteger(exp.position) || !Number.isInteger(exp.row) || !Number.isInteger(exp.col)) {
+        problems.push('expected needs integer position, row and col');
+    }
+    if (gt.cells) {
+        if (gt.cells.grid && gt.cells.grid.length !== (gt.grid || []).length) {
+            problems.push('cells.grid must have one box per grid code');
+        }
+        if (gt.cells.target && gt.cells.target.length !== (gt.target || []).length) {
+            problems.push('cells.target must have one box per target code');
+        }
+    }
+    return problems;
+}
+
+/**
+ * List dataset samples in a folder: [{ name, image, sidecar, gt }].
+ * Sidecars without an image, or images without a sidecar, are skipped.
+ * Throws on a malformed sidecar so broken ground truth is noticed.
+ */
+function loadDataset(dir) {
+    const files = fs.readdirSync(dir).sort();
+    const samples = [];
+    for (const file of files) {
+        if (path.extname(file) !== '.json') continue;
+        const base = file.slice(0, -5);
+        const image = IMAGE_EXTS
+            .map(ext => base + ext)
+            .find(f => files.includes(f));
+        if (!image) continue;
+
+        const sidecar = path.join(dir, file);
+        const gt = JSON.parse(fs.readFileSync(sidecar, 'utf-8'));
+        const problems = validateSidecar(gt);
+        if (problems.length > 0) {
+            throw new Error(file + ': ' + problems.join('; '));
+        }
+        samples.push({ name: base, image: path.join(dir, image), sidecar, gt });
+    }
+    return samples;
+}
+
+function iou(a, b) {
+    const ix = Math.max(0, Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x));
+    const iy = Math.max(0, Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y));
+    const inter = ix * iy;
+    const union = a.w * a.h + b.w * b.h - inter;
+    return union > 0 ? inter / union : 0;
+}
+
+// Fraction of expected boxes matched (by index) with IoU >= MIN_IOU.
+// Labelled boxes frame the cell slot, so detected cells are scored by
+// their lattice box rather than the box refined to the ink.
+function boxAccuracy(expected, detected) {
+    if (!expected) return null;
+    if (!detected || detected.length !== expected.length) return 0;
+    let ok = 0;
+    for (let i = 0; i < expected.length; i++) {
+        if (iou(expected[i], detected[i].lattice || detected[i]) >= MIN_IOU) ok++;
+    }
+    return ok / expected.length;
+}
+
+// Compare code lists character by character (code points, not UTF-16 units)
+function charAccuracy(expectedCodes, readCodes) {
+    let total = 0, correct = 0;
+    for (let i = 0; i < expectedCodes.length; i++) {
+        const want = Array.from(expectedCodes[i]);
+        const got = readCodes && readCodes[i] ? Array.from(readCodes[i]) : [];
+        for (let c = 0; c < want.length; c++) {
+            total++;
+            if (got[c] === want[c]) correct++;
+        }
+    }
+    return total > 0 ? correct / total : 0;
+}
+
+/**
+ * Score one Solver result against its ground truth.
+ *
+ * detection: cell counts match (and boxes overlap, when given)
+ * chars: per-character accuracy of the true charset's reading
+ * charset: the solver picked the true charset
+ * match: the solver found the expected position
+ */
+function scoreSample(gt, result) {
+    const det = result.detection;
+    const gridCount = det ? det.gridCells.length : 0;
+    const targetCount = det && det.targetCells ? det.targetCells.length : 0;
+
+    const cells = gt.cells || {};
+    const gridBoxes = boxAccuracy(cells.grid, det && det.gridCells);
+    const targetBoxes = boxAccuracy(cells.target, det && det.targetCells);
+    const countsOk = gridCount === gt.grid.length && targetCount === gt.target.length;
+    const boxesOk = (gridBoxes === null || gridBoxes === 1) && (targetBoxes === null || targetBoxes === 1);
+
+    const read = (result.codesByCharset || {})[gt.charset];
+    const expectedCodes = gt.target.concat(gt.grid);
+    const readCodes = read ? read.target.concat(read.grid) : null;
+
+    const match = result.match;
+    return {
+        detection: countsOk && boxesOk,
+        gridCount,
+        targetCount,
+        gridBoxes,
+        targetBoxes,
+        chars: readCodes ? charAccuracy(expectedCodes, readCodes) : 0,
+        charset: result.charset === gt.charset,
+        readCharset: result.charset || null,
+        match: !!match && match.position === gt.expected.position,
+        found: match ? { row: match.row, col: match.col } : null,
+        error: result.error
+    };
+}
+
+function percent(x) {
+    return Math.round(x * 100) + '%';
+}
+
+function resultCell(score) {
+    if (!score.found) return 'NO MATCH';
+    const pos = 'R' + score.found.row + 'C' + score.found.col;
+    return score.match ? 'MATCH ' + pos : 'WRONG ' + pos;
+}
+
+function notesCell(gt, score) {
+    const notes = [];
+    if (!score.detection) {
+        let det = 'detect ' + score.gridCount + '/' + score.targetCount;
+        if (score.gridBoxes !== null) det += ' boxes ' + percent(score.gridBoxes);
+        notes.push(det);
+    }
+    if (!score.charset) notes.push('charset read as ' + (score.readCharset || 'none'));
+    if (score.chars < 1) notes.push('chars ' + percent(score.chars));
+    if (score.error && score.error !== 'No match found') notes.push(score.error.toLowerCase());
+    if (notes.length === 0) notes.push(score.match ? 'correct' : 'matcher failed');
+    if (gt.notes) notes.push(gt.notes);
+    return notes.join(', ');
+}
+
+/**
+ * Aggregate scores: [{ name, gt, score }] → totals over the dataset.
+ */
+function summarize(rows) {
+    const n = rows.length;
+    const sum = (fn) => rows.reduce((s, r) => s + fn(r.score), 0);
+    return {
+        samples: n,
+        detection: sum(s => s.detection ? 1 : 0),
+        chars: n > 0 ? sum(s => s.chars) / n : 0,
+        charset: sum(s => s.charset ? 1 : 0),
+        match: sum(s => s.match ? 1 : 0)
+    };
+}
+
+/**
+ * Markdown table in the style of REQUIREMENTS.md's test results,
+ * followed by a totals line.
+ */
+function formatTable(rows) {
+    const lines = [
+        '| Image | Charset | Result | Notes |',
+        '|-------|---------|--------|-------|'
+    ];
+    for (const r of rows) {
+        lines.push('| ' + [r.name, r.gt.charset, resultCell(r.score), notesCell(r.gt, r.score)].join(' | ') + ' |');
+    }
+    const t = summarize(rows);
+    lines.push('');
+    lines.push('Detection ' + t.detection + '/' + t.samples +
+        ', chars ' + percent(t.chars) +
+        ', charset ' + t.charset + '/' + t.samples +
+        ', match ' + t.match + '/' + t.samples);
+    return lines.join('\n');
+}
+
+module.exports = { loadDataset, validateSidecar, scoreSample, summarize, formatTable, iou };
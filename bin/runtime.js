@@ -0,0 +1,118 @@
+'use strict';
+
+// Node runtime for the browser pipeline modules.
+// Evaluates our own source files (geometry.js ... solver.js) in a single
+// function scope so they see each other exactly like <script> globals,
+// decodes images with sharp and pre-renders glyph templates without a
+// canvas. No untrusted input is evaluated.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MODULE_FILES = ['geometry.js', 'viewport.js', 'controls.js', 'source.js', 'puzzle.js', 'detector.js', 'quality.js', 'framing.js', 'processor.js', 'runes.js', 'templates.js', 'matcher.js', 'braille.js', 'fusion.js', 'solver.js'];
+const MODULE_NAMES = ['Geometry', 'Viewport', 'Controls', 'FrameSource', 'Puzzle', 'Detector', 'Quality', 'Framing', 'Processor', 'Runes', 'Templates', 'Matcher', 'Braille', 'Fusion', 'Solver'];
+
+function loadModules() {
+    const src = MODULE_FILES
+        .map(f => fs.readFileSync(path.join(ROOT, f), 'utf-8'))
+        .join('\n');
+    // eslint-disable-next-line no-new-func -- loading own trusted source files
+    const loader = new Function(src + '\nreturn { ' + MODULE_NAMES.join(', ') + ' };');
+    return loader();
+}
+
+function requireSharp() {
+    try {
+        return require('sharp');
+    } catch (err) {
+        throw new Error('sharp is not installed (npm install): ' + err.message);
+    }
+}
+
+/**
+ * Decode a PNG/JPEG file into an ImageData-like { data, width, height }
+ * with RGBA pixels, as Camera.captureFrame would return.
+ */
+async function loadImage(file) {
+    const sharp = requireSharp();
+    const { data, info } = await sharp(file)
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return {
+        data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+        width: info.width,
+        height: info.height
+    };
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&'"]/g, c => '&#' + c.charCodeAt(0) + ';');
+}
+
+/**
+ * Render one glyph white-on-black, matching Templates' canvas renderer:
+ * a (3 × fontSize) square with the character centered.
+ */
+async function renderGlyph(char, fontSize) {
+    const sharp = requireSharp();
+    const size = fontSize * 3;
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + size + '" height="' + size + '">' +
+        '<rect width="100%" height="100%" fill="#000"/>' +
+        '<text x="50%" y="50%" font-family="sans-serif" font-size="' + fontSize + '" fill="#fff" ' +
+        'text-anchor="middle" dominant-baseline="central">' + escapeXml(char) + '</text></svg>';
+    const { data, info } = await sharp(Buffer.from(svg))
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return { gray: new Uint8Array(data), w: info.width, h: info.height };
+}
+
+/**
+ * Pre-render every charset glyph with sharp and install a synchronous
+ * lookup renderer on Templates, which has no canvas to draw on in Node.
+ * Charsets with built-in glyphs (runes) need no font and are skipped.
+ */
+async function installGlyphRenderer(Templates, fontSize) {
+    const size = fontSize || 48;
+    const chars = new Set();
+    for (const name of Object.keys(Templates.CHARSETS)) {
+        if (Templates.hasBuiltinGlyphs(name)) continue;
+        for (const ch of Templates.CHARSETS[name]) chars.add(ch);
+    }
+    const rendered = new Map();
+    await Promise.all(Array.from(chars).map(async ch => {
+        rendered.set(ch, await renderGlyph(ch, size));
+    }));
+    Templates.setRenderer((ch, px) => {
+        const glyph = rendered.get(ch);
+        if (!glyph || px !== size) throw new Error('Glyph not pre-rendered: ' + ch + ' @' + px + 'px');
+        return glyph;
+    }, 'sans-serif');
+}
+
+/**
+ * Read a template pack file (see Templates.encodePack).
+ */
+function readPack(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        throw new Error('cannot read template pack ' + file + ': ' + err.message);
+    }
+}
+
+/**
+ * Load the pipeline modules with templates ready to use in Node.
+ * options.pack: template pack file whose templates replace the rendered
+ * glyphs they cover.
+ */
+async function createRuntime(options) {
+    const modules = loadModules();
+    await installGlyphRenderer(modules.Templates);
+    if (options && options.pack) modules.Templates.importPack(readPack(options.pack));
+    return modules;
+}
+
+module.exports = { loadModules, loadImage, renderGlyph, installGlyphRenderer, readPack, createRuntime };
@@ -0,0 +1,493 @@
+'use strict';
+
+// Synthetic hacking-device frames with exact ground truth.
+//
+// Renders a grid of 2-character codes (8x10 with 4 targets as in the
+// game, or another shape) with the target row above it in game-like colors, then applies camera-style degradations:
+// perspective skew, rotation, blur, moire, glare, JPEG artifacts and
+// scale. Every frame comes with a dataset sidecar (see bin/dataset.js)
+// including cell boxes mapped through the same geometry.
+
+const { loadModules } = require('./runtime');
+
+// Rune glyphs as SVG path data in a unit box (x right, y down); `D x y`
+// is a round dot. No system font is assumed to cover the Runic block
+// (U+16A0-16FF), so they are drawn here after the Noto Sans Runic
+// glyphs, with square stroke ends like a font. They are kept apart from
+// Runes.STROKES on purpose: frames must not be drawn from the
+// definitions the recognizer is built from.
+const RUNE_GLYPHS = {
+    'ᚠ': 'M .25 0 L .25 1 M .25 .38 L .8 .08 M .25 .64 L .8 .34',
+    'ᚥ': 'M .22 1 L .22 .02 Q .78 .12 .78 .4 L .78 1 M .5 .18 L .5 .62',
+    'ᚧ': 'M .3 0 L .3 1 M .3 .28 Q .85 .5 .3 .72 M .05 .16 L .5 .16',
+    'ᚨ': 'M .25 0 L .25 1 M .25 .04 L .8 .34 M .25 .34 L .8 .64',
+    'ᚩ': 'M .25 0 L .25 1 M .25 .02 L .78 .28 L .78 .44 M .25 .32 L .78 .58 L .78 .74',
+    'ᚬ': 'M .5 0 L .5 1 M .15 .32 L .85 .58',
+    'ᚭ': 'M .5 0 L .5 1 M .5 .38 L .85 .16',
+    'ᚻ': 'M .15 0 L .15 1 M .85 0 L .85 1 M .15 .28 L .85 .48 M .15 .52 L .85 .72',
+    'ᛐ': 'M .5 0 L .5 1 M .5 .02 L .15 .28',
+    'ᛑ': 'M .5 0 L .5 1 M .5 .02 L .15 .28 M .28 .62 L .72 .62',
+    'ᛒ': 'M .22 0 L .22 1 M .22 .02 L .72 .26 L .22 .5 L .72 .74 L .22 .98',
+    'ᛓ': 'M .32 0 L .32 1 M .32 .18 L .7 .34 L .32 .5',
+    'ᛔ': 'M .22 0 L .22 1 M .22 .02 L .72 .26 L .22 .5 L .72 .74 L .22 .98 D .4 .26 D .4 .74',
+    'ᛕ': 'M .22 0 L .22 1 M .8 .12 L .38 .5 L .8 .88',
+    'ᛖ': 'M .12 1 L .12 0 L .5 .38 L .88 0 L .88 1',
+    'ᛗ': 'M .12 0 L .12 1 M .88 0 L .88 1 M .12 .02 L .88 .42 M .88 .02 L .12 .42',
+    'ᛘ': 'M .5 0 L .5 1 M .5 .42 L .12 .06 M .5 .42 L .88 .06',
+    'ᛙ': 'M .5 0 L .5 1 M .22 .38 L .5 .22 L .78 .38',
+    'ᛚ': 'M .28 0 L .28 1 M .28 .02 L .8 .32',
+    'ᛛ': 'M .28 0 L .28 1 M .28 .02 L .8 .32 D .56 .6',
+    'ᛜ': 'M .5 .22 L .86 .5 L .5 .78 L .14 .5 Z',
+    'ᛝ': 'M .14 0 L .86 .5 L .14 1 M .86 0 L .14 .5 L .86 1',
+    'ᛞ': 'M .1 0 L .1 1 L .9 0 L .9 1 Z',
+    'ᛟ': 'M .5 0 L .88 .38 L .12 1 M .5 0 L .12 .38 L .88 1',
+    'ᛤ': 'M .5 .1 L .5 1 M .1 .42 L .5 .1 L .9 .42 M .22 .66 L .78 .66'
+};
+
+// The browser modules are loaded on first use, so requiring the
+// generator stays cheap
+let modules = null;
+
+function geometry() {
+    if (!modules) modules = loadModules();
+    return modules.Geometry;
+}
+
+// Puzzle shape of the game as shipped; 1280x720 fits up to 9 rows and
+// 16 columns
+const SHAPE = { rows: 8, cols: 10, targetLength: 4 };
+
+// Base layout at scale 1 (1280x720 frame)
+const LAYOUT = {
+    width: 1280,
+    height: 720,
+    colSpacing: 62,
+    rowSpacing: 52,
+    fontSize: 28,
+    gridTop: 230,
+    targetGap: 1.7,     // target row center, in row spacings above the grid
+    titleGap: 3.2       // title center, in row spacings above the grid
+};
+
+const COLORS = {
+    background: '#0b0f14',
+    panel: '#141c26',
+    panelBorder: '#2b3a4d',
+    title: '#6b7f99',
+    text: '#dfe9f5',
+    target: '#f3c969'
+};
+
+const DEFAULT_KNOBS = {
+    skew: 0,        // keystone: top edge narrower by this fraction of width
+    rotate: 0,      // in-plane rotation, degrees
+    blur: 0,        // gaussian sigma in px
+    moire: 0,       // interference pattern strength 0-1
+    glare: 0,       // glare spot strength 0-1
+    jpeg: 0,        // JPEG quality 1-100, 0 = lossless PNG
+    scale: 1,       // output size factor
+    font: 'DejaVu Sans Mono',
+    runeStroke: 0.11    // rune stroke width, fraction of glyph height
+};
+
+/**
+ * Seeded PRNG (mulberry32) so frames are reproducible from their seed.
+ */
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomCode(chars, rng) {
+    return chars[Math.floor(rng() * chars.length)] + chars[Math.floor(rng() * chars.length)];
+}
+
+// Positions where `target` appears in `grid`, wrapping past the end
+// the same way Matcher.findMatchByText reads it
+function occurrences(grid, target) {
+    const found = [];
+    for (let pos = 0; pos < grid.length; pos++) {
+        let ok = true;
+        for (let t = 0; t < target.length; t++) {
+            if (grid[(pos + t) % grid.length] !== target[t]) { ok = false; break; }
+        }
+        if (ok) found.push(pos);
+    }
+    return found;
+}
+
+/**
+ * Random puzzle for a charset: target codes, grid codes and the position
+ * where the target sequence appears (exactly once). `shape` gives rows,
+ * cols and targetLength (default SHAPE).
+ */
+function makePuzzle(charsetChars, rng, shape) {
+    shape = shape || SHAPE;
+    const chars = Array.from(charsetChars);
+    const total = shape.rows * shape.cols;
+    for (;;) {
+        const target = [];
+        for (let t = 0; t < shape.targetLength; t++) target.push(randomCode(chars, rng));
+        const grid = [];
+        for (let i = 0; i < total; i++) grid.push(randomCode(chars, rng));
+        const position = Math.floor(rng() * total);
+        for (let t = 0; t < shape.targetLength; t++) grid[(position + t) % total] = target[t];
+        if (occurrences(grid, target).length === 1) {
+            return {
+                target,
+                grid,
+                shape,
+                expected: {
+                    position,
+                    row: Math.floor(position / shape.cols) + 1,
+                    col: (position % shape.cols) + 1
+                }
+            };
+        }
+    }
+}
+
+// ===== Geometry =====
+
+// The same homography the Detector rectifies with (geometry.js)
+function homography(src, dst) {
+    return geometry().homography(src, dst);
+}
+
+function applyHomography(h, x, y) {
+    return geometry().apply(h, x, y);
+}
+
+/**
+ * Frame-to-frame geometry for the skew and rotate knobs: corners of the
+ * flat frame move to a keystoned, rotated quad (screen seen at an angle).
+ */
+function frameWarp(width, height, knobs) {
+    const inset = knobs.skew * width / 2;
+    const angle = knobs.rotate * Math.PI / 180;
+    const cx = width / 2, cy = height / 2;
+    const rot = (x, y) => [
+        cx + (x - cx) * Math.cos(angle) - (y - cy) * Math.sin(angle),
+        cy + (x - cx) * Math.sin(angle) + (y - cy) * Math.cos(angle)
+    ];
+    const src = [[0, 0], [width, 0], [width, height], [0, height]];
+    const dst = [
+        rot(inset, 0), rot(width - inset, 0),
+        rot(width, height), rot(0, height)
+    ];
+    return { forward: homography(src, dst), inverse: homography(dst, src) };
+}
+
+// Bounding box of a box's corners after the forward warp
+function warpBox(h, box) {
+    const pts = [
+        [box.x, box.y], [box.x + box.w, box.y],
+        [box.x + box.w, box.y + box.h], [box.x, box.y + box.h]
+    ].map(p => applyHomography(h, p[0], p[1]));
+    const xs = pts.map(p => p[0]), ys = pts.map(p => p[1]);
+    const x = Math.min(...xs), y = Math.min(...ys);
+    return { x: Math.round(x), y: Math.round(y), w: Math.round(Math.max(...xs) - x), h: Math.round(Math.max(...ys) - y) };
+}
+
+// ===== Layout =====
+
+function gridLeft(shape) {
+    return (LAYOUT.width - shape.cols * LAYOUT.colSpacing) / 2;
+}
+
+// Cell box around a code centered at (cx, cy), same proportions as
+// Detector.buildGridCells so IoU against detection is meaningful
+function cellBox(cx, cy) {
+    const w = LAYOUT.colSpacing * 0.92;
+    const h = LAYOUT.rowSpacing * 0.85;
+    return { x: cx - w / 2, y: cy - h / 2, w, h };
+}
+
+function layoutCells(shape) {
+    const left = gridLeft(shape);
+    const grid = [];
+    for (let r = 0; r < shape.rows; r++) {
+        for (let c = 0; c < shape.cols; c++) {
+            grid.push({
+                cx: left + (c + 0.5) * LAYOUT.colSpacing,
+                cy: LAYOUT.gridTop + (r + 0.5) * LAYOUT.rowSpacing
+            });
+        }
+    }
+    const targetY = LAYOUT.gridTop - LAYOUT.targetGap * LAYOUT.rowSpacing;
+    const targetLeft = (LAYOUT.width - shape.targetLength * LAYOUT.colSpacing) / 2;
+    const target = [];
+    for (let t = 0; t < shape.targetLength; t++) {
+        target.push({ cx: targetLeft + (t + 0.5) * LAYOUT.colSpacing, cy: targetY });
+    }
+    return { grid, target };
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&'"]/g, c => '&#' + c.charCodeAt(0) + ';');
+}
+
+// Ink bounding box of a white-on-black single-channel render
+function inkBounds(gray, width, height) {
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (gray[y * width + x] < 128) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    return maxX < 0 ? null : { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+/**
+ * Target cell boxes as Detector.buildTargetCells defines them: the ink
+ * extent of the whole target row split into equal slots. Measured from
+ * a render of the target codes alone, since glyph widths vary by font.
+ */
+async function targetInkBoxes(sharp, puzzle, knobs) {
+    const svg = frameSvg(puzzle, knobs, { targetOnly: true });
+    const gray = await sharp(Buffer.from(svg)).greyscale().raw().toBuffer();
+    const ink = inkBounds(gray, LAYOUT.width, LAYOUT.height);
+    const slotW = ink.w / puzzle.target.length;
+    const boxes = [];
+    for (let t = 0; t < puzzle.target.length; t++) {
+        boxes.push({ x: ink.x + t * slotW, y: ink.y, w: slotW, h: ink.h });
+    }
+    return boxes;
+}
+
+// One rune as SVG centered on (cx, cy), sized like a cap glyph: its
+// strokes as a path, its dots as circles
+function runePath(char, cx, cy, knobs) {
+    const h = LAYOUT.fontSize * 0.72;
+    const w = h * 0.6;
+    const x0 = cx - w / 2, y0 = cy - h / 2;
+    const stroke = knobs.runeStroke * h;
+    const tokens = RUNE_GLYPHS[char].split(' ');
+    let d = '';
+    let dots = '';
+    for (let i = 0; i < tokens.length;) {
+        const cmd = tokens[i++];
+        const points = { M: 1, L: 1, Q: 2, D: 1, Z: 0 }[cmd];
+        const xy = [];
+        for (let p = 0; p < points; p++) {
+            xy.push((x0 + tokens[i++] * w).toFixed(2), (y0 + tokens[i++] * h).toFixed(2));
+        }
+        if (cmd === 'D') {
+            dots += '<circle cx="' + xy[0] + '" cy="' + xy[1] + '" r="' + (stroke * 0.75).toFixed(2) + '" stroke="none"/>';
+        } else {
+            d += (d ? ' ' : '') + cmd + xy.join(' ');
+        }
+    }
+    return '<path d="' + d + '" fill="none" stroke-width="' + stroke.toFixed(2) + '"/>' + dots;
+}
+
+// A code as SVG: text, or stroke paths when every character is a rune
+function codeSvg(cell, code, color, knobs) {
+    const chars = Array.from(code);
+    if (!chars.every(c => RUNE_GLYPHS[c])) {
+        return '<text x="' + cell.cx + '" y="' + cell.cy + '" fill="' + color + '">' + escapeXml(code) + '</text>';
+    }
+    // Same advance as a monospace glyph plus the letter spacing
+    const advance = LAYOUT.fontSize * 0.6 + 2;
+    const left = cell.cx - advance * (chars.length - 1) / 2;
+    return '<g fill="' + color + '" stroke="' + color + '" stroke-linecap="square" stroke-linejoin="miter">' +
+        chars.map((c, i) => runePath(c, left + i * advance, cell.cy, knobs)).join('') + '</g>';
+}
+
+function frameSvg(puzzle, knobs, mask) {
+    const shape = puzzle.shape;
+    const cells = layoutCells(shape);
+    const L = LAYOUT;
+    const panelX = gridLeft(shape) - L.colSpacing;
+    const panelY = L.gridTop - (L.titleGap + 1) * L.rowSpacing;
+    const panelW = (shape.cols + 2) * L.colSpacing;
+    const panelH = (shape.rows + L.titleGap + 2) * L.rowSpacing;
+    const font = escapeXml(knobs.font);
+
+    if (mask && mask.targetOnly) {
+        let targets = '';
+        cells.target.forEach((cell, i) => {
+            targets += codeSvg(cell, puzzle.target[i], '#fff', knobs);
+        });
+        return '<svg xmlns="http://www.w3.org/2000/svg" width="' + L.width + '" height="' + L.height + '">' +
+            '<rect width="100%" height="100%" fill="#000"/>' +
+            '<g font-family="' + font + '" font-size="' + L.fontSize + '" text-anchor="middle" ' +
+            'dominant-baseline="central" letter-spacing="2">' + targets + '</g></svg>';
+    }
+
+    let body = '';
+    cells.target.forEach((cell, i) => { body += codeSvg(cell, puzzle.target[i], COLORS.target, knobs); });
+    cells.grid.forEach((cell, i) => { body += codeSvg(cell, puzzle.grid[i], COLORS.text, knobs); });
+
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="' + L.width + '" height="' + L.height + '">' +
+        '<rect width="100%" height="100%" fill="' + COLORS.background + '"/>' +
+        '<rect x="' + panelX + '" y="' + panelY + '" width="' + panelW + '" height="' + panelH +
+        '" rx="10" fill="' + COLORS.panel + '" stroke="' + COLORS.panelBorder + '" stroke-width="2"/>' +
+        '<text x="' + L.width / 2 + '" y="' + (L.gridTop - L.titleGap * L.rowSpacing) + '" fill="' + COLORS.title +
+        '" font-family="' + font + '" font-size="' + Math.round(L.fontSize * 0.7) + '" letter-spacing="4" ' +
+        'text-anchor="middle" dominant-baseline="central">HACKING DEVICE</text>' +
+        '<g font-family="' + font + '" font-size="' + L.fontSize + '" text-anchor="middle" ' +
+        'dominant-baseline="central" letter-spacing="2">' + body + '</g></svg>';
+}
+
+// ===== Pixel degradations (RGBA buffers) =====
+
+function warpPixels(src, width, height, inverse, fill) {
+    const out = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sx, sy] = applyHomography(inverse, x + 0.5, y + 0.5);
+            const fx = sx - 0.5, fy = sy - 0.5;
+            const x0 = Math.floor(fx), y0 = Math.floor(fy);
+            const o = (y * width + x) * 4;
+            if (x0 < 0 || y0 < 0 || x0 + 1 >= width || y0 + 1 >= height) {
+                out[o] = fill[0]; out[o + 1] = fill[1]; out[o + 2] = fill[2]; out[o + 3] = 255;
+                continue;
+            }
+            const ax = fx - x0, ay = fy - y0;
+            const i00 = (y0 * width + x0) * 4, i10 = i00 + 4;
+            const i01 = i00 + width * 4, i11 = i01 + 4;
+            for (let c = 0; c < 3; c++) {
+                const top = src[i00 + c] * (1 - ax) + src[i10 + c] * ax;
+                const bottom = src[i01 + c] * (1 - ax) + src[i11 + c] * ax;
+                out[o + c] = Math.round(top * (1 - ay) + bottom * ay);
+            }
+            out[o + 3] = 255;
+        }
+    }
+    return out;
+}
+
+// Screen-door interference: two slightly rotated gratings beating
+function addMoire(px, width, height, strength, rng) {
+    const f1 = 0.9 + rng() * 0.2, f2 = 0.9 + rng() * 0.2;
+    const a1 = rng() * 0.2, a2 = Math.PI / 2 + rng() * 0.2;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const g1 = Math.sin(f1 * (x * Math.cos(a1) + y * Math.sin(a1)));
+            const g2 = Math.sin(f2 * (x * Math.cos(a2) + y * Math.sin(a2)));
+            const m = 1 - strength * 0.5 * (1 + g1 * g2);
+            const o = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) px[o + c] = Math.round(px[o + c] * m);
+        }
+    }
+}
+
+// Monitor glare: a soft additive bright spot
+function addGlare(px, width, height, strength, rng) {
+    const gx = width * (0.2 + rng() * 0.6);
+    const gy = height * (0.2 + rng() * 0.6);
+    const r = Math.min(width, height) * (0.15 + rng() * 0.2);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const d2 = ((x - gx) * (x - gx) + (y - gy) * (y - gy)) / (r * r);
+            const add = strength * 255 * Math.exp(-d2);
+            const o = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) px[o + c] = Math.min(255, Math.round(px[o + c] + add));
+        }
+    }
+}
+
+function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * Render one synthetic frame.
+ *
+ * options: { charset, chars, seed, knobs, shape }
+ * Returns { image: Buffer, ext: 'png'|'jpg', sidecar }.
+ */
+async function renderFrame(sharp, options) {
+    const knobs = Object.assign({}, DEFAULT_KNOBS, options.knobs);
+    const rng = createRng(options.seed);
+    const puzzle = makePuzzle(options.chars, rng, options.shape);
+    const { width, height } = LAYOUT;
+
+    let px = await sharp(Buffer.from(frameSvg(puzzle, knobs))).ensureAlpha().raw().toBuffer();
+
+    const cells = layoutCells(puzzle.shape);
+    let gridBoxes = cells.grid.map(c => cellBox(c.cx, c.cy));
+    let targetBoxes = await targetInkBoxes(sharp, puzzle, knobs);
+
+    if (knobs.skew || knobs.rotate) {
+        const warp = frameWarp(width, height, knobs);
+        px = warpPixels(px, width, height, warp.inverse, hexToRgb(COLORS.background));
+        gridBoxes = gridBoxes.map(b => warpBox(warp.forward, b));
+        targetBoxes = targetBoxes.map(b => warpBox(warp.forward, b));
+    }
+    if (knobs.moire) addMoire(px, width, height, knobs.moire, rng);
+    if (knobs.glare) addGlare(px, width, height, knobs.glare, rng);
+
+    let img = sharp(px, { raw: { width, height, channels: 4 } });
+    if (knobs.blur > 0.3) img = img.blur(knobs.blur);
+
+    const outW = Math.round(width * knobs.scale);
+    const outH = Math.round(height * knobs.scale);
+    if (knobs.scale !== 1) img = img.resize(outW, outH);
+
+    const scaleBox = b => ({
+        x: Math.round(b.x * knobs.scale), y: Math.round(b.y * knobs.scale),
+        w: Math.round(b.w * knobs.scale), h: Math.round(b.h * knobs.scale)
+    });
+
+    const jpeg = knobs.jpeg > 0;
+    const image = jpeg
+        ? await img.jpeg({ quality: Math.round(knobs.jpeg) }).toBuffer()
+        : await img.png().toBuffer();
+
+    return {
+        image,
+        ext: jpeg ? 'jpg' : 'png',
+        sidecar: {
+            charset: options.charset,
+            target: puzzle.target,
+            grid: puzzle.grid,
+            expected: puzzle.expected,
+            cells: {
+                grid: gridBoxes.map(scaleBox),
+                target: targetBoxes.map(scaleBox)
+            },
+            synthetic: { seed: options.seed, knobs, shape: puzzle.shape }
+        }
+    };
+}
+
+/**
+ * Draw knob values for one frame: each numeric knob uniformly between 0
+ * (1 for scale) and the given maximum, so a batch covers mild to worst.
+ */
+function randomKnobs(maxKnobs, rng) {
+    const knobs = {};
+    for (const key of Object.keys(maxKnobs)) {
+        const max = maxKnobs[key];
+        if (typeof max !== 'number') {
+            knobs[key] = max;
+        } else if (key === 'scale') {
+            knobs[key] = 1 + (max - 1) * rng();
+        } else if (key === 'rotate') {
+            knobs[key] = (rng() * 2 - 1) * max;
+        } else if (key === 'jpeg') {
+            knobs[key] = max > 0 ? Math.round(max + (100 - max) * rng()) : 0;
+        } else {
+            knobs[key] = max * rng();
+        }
+    }
+    return knobs;
+}
+
+module.exports = {
+    createRng, makePuzzle, occurrences, homography, applyHomography,
+    renderFrame, randomKnobs, DEFAULT_KNOBS, LAYOUT, SHAPE
+};
@@ -0,0 +1,413 @@
+const Braille = (() => {
+    // Bit of each dot in the Unicode Braille block, by [row][column]
+    // of the 2x4 lattice (dots 1-3 + 7 left, 4-6 + 8 right)
+    const DOT_BITS = [[0x01, 0x08], [0x02, 0x10], [0x04, 0x20], [0x40, 0x80]];
+    const BLOCK_START = 0x2800;
+    // Dot blobs outside this range of the median blob area are merged
+    // dots, glare or noise and are not used to fit the lattice
+    const MIN_DOT_AREA = 0.3;
+    const MAX_DOT_AREA = 3;
+    // Fine search step in pixels when fitting each row's lattice
+    const FIT_STEP = 0.25;
+    // Largest mean squared distance of a grid dot from its nearest lattice
+    // position, as a fraction of the half-pitch cap, before the fit is
+    // rejected: evenly spaced strokes of other charsets can seed a lattice
+    // but most of their blobs then sit between its dots
+    const MAX_LATTICE_MISFIT = 0.1;
+    // Largest median dot area as a fraction of one lattice cell
+    // (column pitch x row pitch); a round dot that fits its cell covers
+    // at most pi/4 of it, real dots far less
+    const MAX_DOT_CELL_AREA = 0.6;
+
+    function luminance(data, i) {
+        return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+
+    function clampBox(frame, box) {
+        const x0 = Math.max(0, Math.floor(box.x));
+        const y0 = Math.max(0, Math.floor(box.y));
+        const x1 = Math.min(frame.width, Math.ceil(box.x + box.w));
+        const y1 = Math.min(frame.height, Math.ceil(box.y + box.h));
+        return { x: x0, y: y0, w: Math.max(0, x1 - x0), h: Math.max(0, y1 - y0) };
+    }
+
+    /**
+     * Find bright dot blobs in one row of codes: 4-connected components
+     * above the local mid-level. The row is split into one segment per
+     * code box (boundaries halfway between boxes) and each segment gets
+     * its own dark/bright levels, so glare across the row does not swamp
+     * the threshold. Dots are located on the whole row rather than inside
+     * each box because detected boxes can be offset from the codes by a
+     * dot column or more.
+     */
+    function findRowDots(frame, boxes) {
+        const n = boxes.length;
+        const meanW = boxes.reduce((s, b) => s + b.w, 0) / n;
+        const region = clampBox(frame, {
+            x: Math.min.apply(null, boxes.map(b => b.x)) - meanW * 0.25,
+            y: Math.min.apply(null, boxes.map(b => b.y)),
+            w: Math.max.apply(null, boxes.map(b => b.x + b.w)) - Math.min.apply(null, boxes.map(b => b.x)) + meanW * 0.5,
+            h: Math.max.apply(null, boxes.map(b => b.y + b.h)) - Math.min.apply(null, boxes.map(b => b.y))
+        });
+        const centers = boxes.map(b => centerOf(b).x);
+        const segments = centers.map(() => ({ lo: 255, hi: 0, thr: 0 }));
+        const segOf = new Int32Array(region.w);
+        for (let x = 0, s = 0; x < region.w; x++) {
+            while (s < n - 1 && region.x + x > (centers[s] + centers[s + 1]) / 2) s++;
+            segOf[x] = s;
+        }
+
+        const gray = new Float32Array(region.w * region.h);
+        for (let y = 0; y < region.h; y++) {
+            for (let x = 0; x < region.w; x++) {
+                const v = luminance(frame.data, ((region.y + y) * frame.width + region.x + x) * 4);
+                gray[y * region.w + x] = v;
+                const seg = segments[segOf[x]];
+                if (v < seg.lo) seg.lo = v;
+                if (v > seg.hi) seg.hi = v;
+            }
+        }
+        segments.forEach(seg => { seg.thr = (seg.lo + seg.hi) / 2; });
+        const thrOf = x => segments[segOf[x]].thr;
+
+        const dots = [];
+        const seen = new Uint8Array(gray.length);
+        const stack = new Int32Array(gray.length);
+        for (let start = 0; start < gray.length; start++) {
+            const sxStart = start % region.w;
+            const seg = segments[segOf[sxStart]];
+            if (seen[start] || seg.hi - seg.lo < 20 || gray[start] <= seg.thr) continue;
+            let top = 0, area = 0, sx = 0, sy = 0;
+            stack[top++] = start;
+            seen[start] = 1;
+            while (top > 0) {
+                const p = stack[--top];
+                const px = p % region.w, py = (p - px) / region.w;
+                area++; sx += px; sy += py;
+                const next = [
+                    px > 0 ? p - 1 : -1, px < region.w - 1 ? p + 1 : -1,
+                    py > 0 ? p - region.w : -1, py < region.h - 1 ? p + region.w : -1
+                ];
+                for (let k = 0; k < 4; k++) {
+                    const q = next[k];
+                    if (q >= 0 && !seen[q] && gray[q] > thrOf(q % region.w)) {
+                        seen[q] = 1;
+                        stack[top++] = q;
+                    }
+                }
+            }
+            const dot = { x: region.x + sx / area + 0.5, y: region.y + sy / area + 0.5, area };
+            // Keep only dots inside their segment's box height: a tilted
+            // row's region also clips the neighbouring rows
+            const box = boxes[segOf[Math.min(region.w - 1, Math.max(0, Math.floor(dot.x) - region.x))]];
+            if (dot.y >= box.y && dot.y <= box.y + box.h) dots.push(dot);
+        }
+        return { boxes, dots, segments, centers };
+    }
+
+    /**
+     * 1-D k-means with centers seeded at evenly spaced quantiles.
+     * Returns the k centers in ascending order.
+     */
+    function cluster1d(values, k) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        let centers = [];
+        for (let c = 0; c < k; c++) {
+            centers.push(sorted[Math.floor((c + 0.5) / k * sorted.length)]);
+        }
+        for (let iter = 0; iter < 20; iter++) {
+            const sum = new Float64Array(k), count = new Float64Array(k);
+            for (const v of sorted) {
+                let best = 0;
+                for (let c = 1; c < k; c++) {
+                    if (Math.abs(v - centers[c]) < Math.abs(v - centers[best])) best = c;
+                }
+                sum[best] += v;
+                count[best]++;
+            }
+            centers = centers.map((c, i) => count[i] ? sum[i] / count[i] : c);
+        }
+        return centers.sort((a, b) => a - b);
+    }
+
+    function centerOf(box) {
+        return { x: box.x + box.w / 2, y: box.y + box.h / 2 };
+    }
+
+    /**
+     * Split one row's dots into `n` codes at the n-1 widest horizontal
+     * gaps (the space between codes is wider than between dot columns).
+     */
+    function groupCodes(dots, n) {
+        const sorted = dots.slice().sort((a, b) => a.x - b.x);
+        if (sorted.length < n) return [];
+        const cuts = sorted.slice(1)
+            .map((d, i) => ({ i: i + 1, gap: d.x - sorted[i].x }))
+            .sort((a, b) => b.gap - a.gap)
+            .slice(0, n - 1)
+            .map(c => c.i)
+            .sort((a, b) => a - b);
+        const groups = [];
+        let from = 0;
+        for (const cut of cuts.concat(sorted.length)) {
+            groups.push(sorted.slice(from, cut));
+            from = cut;
+        }
+        return groups;
+    }
+
+    // Offsets of dots from the midpoint of their group's extent along one
+    // axis, using only groups that span the full lattice (both outer dot
+    // lines present) so the midpoint is the true code center
+    function fullSpanOffsets(groups, axis) {
+        const spans = groups.map(g => {
+            const v = g.map(d => d[axis]);
+            return { g, min: Math.min.apply(null, v), max: Math.max.apply(null, v) };
+        });
+        const widths = spans.map(s => s.max - s.min).sort((a, b) => a - b);
+        const full = widths[Math.floor(widths.length * 0.75)];
+        const offsets = [];
+        for (const s of spans) {
+            if (s.max - s.min < full - 1.5) continue;
+            const mid = (s.min + s.max) / 2;
+            for (const d of s.g) offsets.push(d[axis] - mid);
+        }
+        return offsets;
+    }
+
+    /**
+     * Shape of one code's dot lattice, learned from every grid row: the
+     * 4 dot column offsets (2 per character) and 4 dot row offsets
+     * relative to the code center, plus the dot pitches.
+     */
+    function fitShape(rows, cols) {
+        const groups = [];
+        rows.forEach(row => groupCodes(row.dots, cols).forEach(g => groups.push(g)));
+        if (groups.length < cols) return null;
+        const xs = fullSpanOffsets(groups, 'x');
+        const ys = fullSpanOffsets(groups, 'y');
+        if (xs.length < 16 || ys.length < 16) return null;
+
+        const shape = {
+            cols: cluster1d(xs, 4),
+            rows: cluster1d(ys, 4)
+        };
+        shape.colPitch = ((shape.cols[1] - shape.cols[0]) + (shape.cols[3] - shape.cols[2])) / 2;
+        shape.rowPitch = (shape.rows[3] - shape.rows[0]) / 3;
+        for (let i = 1; i < 4; i++) {
+            if (shape.cols[i] - shape.cols[i - 1] < 1 || shape.rows[i] - shape.rows[i - 1] < 1) return null;
+        }
+        return shape;
+    }
+
+    // Sum of clamped squared distances from each dot to its nearest
+    // lattice line, for n code centers running evenly from `first` to
+    // `last`. With ts given, each dot belongs to the code center at that
+    // 0-1 fraction of the row; otherwise to the nearest code.
+    function axisCost(coords, ts, n, offsets, first, last, cap) {
+        const step = n > 1 ? (last - first) / (n - 1) : 0;
+        let cost = 0;
+        for (let i = 0; i < coords.length; i++) {
+            let center;
+            if (ts) {
+                center = first + (last - first) * ts[i];
+            } else {
+                const idx = step > 0 ? Math.min(n - 1, Math.max(0, Math.round((coords[i] - first) / step))) : 0;
+                center = first + idx * step;
+            }
+            const base = coords[i] - center;
+            let best = cap;
+            for (let k = 0; k < offsets.length; k++) {
+                const r = base - offsets[k];
+                if (r * r < best) best = r * r;
+            }
+            cost += best;
+        }
+        return cost;
+    }
+
+    /**
+     * Fit code centers along one axis of a row: search shifts of the first
+     * and last code centers around the initial guesses and keep the pair
+     * whose lattice explains the dots best (ties go to the smaller shift).
+     * Coarse whole-pixel pass over +-1.5 pitch, then a fine pass around it.
+     */
+    function fitAxis(coords, ts, n, offsets, pitch, first, last) {
+        const cap = (pitch / 2) * (pitch / 2);
+        let best = { cost: Infinity, a: 0, b: 0 };
+
+        function search(aFrom, aTo, bFrom, bTo, step) {
+            for (let a = aFrom; a <= aTo + 1e-9; a += step) {
+                for (let b = n === 1 ? a : bFrom; b <= (n === 1 ? a : bTo) + 1e-9; b += step) {
+                    const cost = axisCost(coords, ts, n, offsets, first + a, last + b, cap);
+                    const shift = Math.abs(a) + Math.abs(b);
+                    if (cost < best.cost - 1e-6 ||
+                        (cost <= best.cost + 1e-6 && shift < Math.abs(best.a) + Math.abs(best.b))) {
+                        best = { cost, a, b };
+                    }
+                }
+            }
+        }
+
+        const range = Math.ceil(pitch * 1.5);
+        search(-range, range, -range, range, 1);
+        const a = best.a, b = best.b;
+        search(a - 1, a + 1, b - 1, b + 1, FIT_STEP);
+        return { first: first + best.a, last: last + best.b, cost: best.cost, cap };
+    }
+
+    /**
+     * Place the lattice for one row of codes. Horizontally the row is
+     * anchored on its outermost dots (usually the first code's left and
+     * the last code's right dot column), vertically on the box centers;
+     * both are refined by fitAxis, then each dot's position along the row
+     * carries the vertical fit (rows may tilt slightly). Returns the
+     * lattice center of every code and the row's misfit: the summed
+     * per-dot fit cost over both axes, each dot's cost normalized to 0-1.
+     */
+    function fitRow(row, shape) {
+        const n = row.boxes.length;
+        const xs = row.dots.map(d => d.x);
+        const firstBox = centerOf(row.boxes[0]), lastBox = centerOf(row.boxes[n - 1]);
+        const x0 = xs.length ? Math.min.apply(null, xs) - shape.cols[0] : firstBox.x;
+        const x1 = xs.length ? Math.max.apply(null, xs) - shape.cols[3] : lastBox.x;
+        const fx = fitAxis(xs, null, n, shape.cols, shape.colPitch, x0, n > 1 ? x1 : x0);
+
+        const spanX = fx.last - fx.first;
+        const ts = row.dots.map(d => spanX > 0 ? Math.min(1, Math.max(0, (d.x - fx.first) / spanX)) : 0);
+        const fy = fitAxis(row.dots.map(d => d.y), ts, 2, shape.rows, shape.rowPitch, firstBox.y, lastBox.y);
+
+        const centers = [];
+        for (let i = 0; i < n; i++) {
+            const t = n > 1 ? i / (n - 1) : 0;
+            centers.push({ x: fx.first + spanX * t, y: fy.first + (fy.last - fy.first) * t });
+        }
+        return { centers, misfit: (fx.cost / fx.cap + fy.cost / fy.cap) / 2 };
+    }
+
+    // Brightest luminance in a small window around a lattice point
+    function sampleDot(frame, x, y, radius) {
+        const cx = Math.round(x - 0.5), cy = Math.round(y - 0.5);
+        let best = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const px = cx + dx, py = cy + dy;
+                if (px < 0 || py < 0 || px >= frame.width || py >= frame.height) continue;
+                const v = luminance(frame.data, (py * frame.width + px) * 4);
+                if (v > best) best = v;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Read both characters of one code at its fitted lattice center.
+     * Each dot is on when its sample is above the segment's mid-level;
+     * its confidence is how far the sample sits from that level, relative
+     * to half the segment's contrast (1 = clean dot or clean background).
+     */
+    function readCode(frame, levels, center, shape) {
+        const radius = Math.max(1, Math.round(shape.rowPitch * 0.2));
+        const half = Math.max(1, (levels.hi - levels.lo) / 2);
+        const chars = [];
+        let distance = 0;
+        for (let side = 0; side < 2; side++) {
+            let bits = 0;
+            const dots = [];
+            for (let row = 0; row < 4; row++) {
+                for (let col = 0; col < 2; col++) {
+                    const v = sampleDot(frame, center.x + shape.cols[side * 2 + col],
+                        center.y + shape.rows[row], radius);
+                    if (v > levels.thr) bits |= DOT_BITS[row][col];
+                    dots.push(Math.min(1, Math.abs(v - levels.thr) / half));
+                }
+            }
+            // Report confidences in dot-number order (1-8)
+            const ordered = [dots[0], dots[2], dots[4], dots[1], dots[3], dots[5], dots[6], dots[7]];
+            const charDistance = 1 - Math.min.apply(null, ordered);
+            distance = Math.max(distance, charDistance);
+            chars.push({ char: String.fromCharCode(BLOCK_START + bits), bits, dots: ordered, distance: charDistance });
+        }
+        return { code: chars[0].char + chars[1].char, chars, distance };
+    }
+
+    function splitRows(frame, boxes, cols) {
+        const rows = [];
+        for (let start = 0; start < boxes.length; start += cols) {
+            rows.push(findRowDots(frame, boxes.slice(start, start + cols)));
+        }
+        return rows;
+    }
+
+    // Drop merged/noise blobs so only single dots drive the lattice fit;
+    // returns the median blob area (0 without blobs)
+    function filterDots(rows) {
+        const areas = [];
+        rows.forEach(row => row.dots.forEach(d => areas.push(d.area)));
+        if (areas.length === 0) return 0;
+        areas.sort((a, b) => a - b);
+        const median = areas[Math.floor(areas.length / 2)];
+        rows.forEach(row => {
+            row.dots = row.dots.filter(d => d.area >= median * MIN_DOT_AREA && d.area <= median * MAX_DOT_AREA);
+        });
+        return median;
+    }
+
+    function readRows(frame, rows, fits, shape) {
+        const out = [];
+        rows.forEach((row, r) => {
+            fits[r].centers.forEach(center => {
+                // Levels of the segment the fitted center falls into
+                let seg = 0;
+                while (seg < row.centers.length - 1 && center.x > (row.centers[seg] + row.centers[seg + 1]) / 2) seg++;
+                out.push(readCode(frame, row.segments[seg], center, shape));
+            });
+        });
+        return {
+            codes: out.map(c => c.code),
+            maxDistance: out.reduce((m, c) => Math.max(m, c.distance), 0),
+            cells: out
+        };
+    }
+
+    /**
+     * Decode Braille codes straight from the frame by fitting the 2x4 dot
+     * lattice instead of comparing font templates.
+     *
+     * gridBoxes: detected grid cell boxes, row-major with `cols` per row.
+     * targetBoxes: target cell boxes (one row), or null.
+     *
+     * Returns { grid, target, shape } where grid/target are
+     * { codes, maxDistance, cells } and each cell lists its two characters
+     * as { char, bits, dots, distance } with per-dot confidences in dot
+     * order 1-8. Returns null when no dot lattice can be fitted (not
+     * Braille, or too blurred to separate dots), when the fitted lattice
+     * leaves many blobs off its dots, or when the blobs are too large
+     * for its pitch to be dots.
+     */
+    function decode(frame, gridBoxes, targetBoxes, cols) {
+        cols = cols || 10;
+        const grid = splitRows(frame, gridBoxes, cols);
+        const target = targetBoxes && targetBoxes.length ? [findRowDots(frame, targetBoxes)] : [];
+        const dotArea = filterDots(grid.concat(target));
+
+        const shape = fitShape(grid, cols);
+        if (!shape) return null;
+        if (dotArea > shape.colPitch * shape.rowPitch * MAX_DOT_CELL_AREA) return null;
+
+        // Blobs the fitted lattice leaves unexplained mean the even
+        // spacing was a coincidence of some other charset's strokes
+        const gridFits = grid.map(row => fitRow(row, shape));
+        const dots = grid.reduce((sum, row) => sum + row.dots.length, 0);
+        const misfit = gridFits.reduce((sum, fit) => sum + fit.misfit, 0);
+        if (dots === 0 || misfit / dots > MAX_LATTICE_MISFIT) return null;
+
+        return {
+            grid: readRows(frame, grid, gridFits, shape),
+            target: target.length > 0 ? readRows(frame, target, target.map(row => fitRow(row, shape)), shape) : null,
+            shape
+        };
+    }
+
+    return { decode, cluster1d, groupCodes, DOT_BITS, BLOCK_START };
+})();
@@ -1,63 +1,125 @@
 const Camera = (() => {
-    let videoEl = null;
-    let stream = null;
-    let captureCanvas = null;
-    let captureCtx = null;
+    const frames = FrameSource.create();
 
     function init(videoElement) {
-        videoEl = videoElement;
-        captureCanvas = document.createElement('canvas');
-        captureCtx = captureCanvas.getContext('2d', { willReadFrequently: true });
+        frames.init(videoElement);
     }
 
-    async function start() {
-        const constraints = {
-            video: {
-                facingMode: 'environment',
-                width: { ideal: 1920 },
-                height: { ideal: 1080 }
-            },
-            audio: false
-        };
+    /**
+     * Start the camera `deviceId` (any back camera when omitted) at the
+     * best resolution and frame rate it supports. A device that is gone
+     * or cannot stream falls back to the default back camera; permission
+     * errors are thrown as they are. Resolves to { deviceId, label,
+     * width, height, frameRate, fallback } with `fallback` true when the
+     * requested device was not used.
+     */
+    async function start(deviceId) {
+        let fallback = false;
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: Controls.videoConstraints(deviceId || null),
+                audio: false
+            });
+        } catch (err) {
+            if (!deviceId || err.name === 'NotAllowedError' || err.name === 'SecurityError') throw err;
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: Controls.videoConstraints(null),
+                audio: false
+            });
+            fallback = true;
+        }
 
-        stream = await navigator.mediaDevices.getUserMedia(constraints);
-        videoEl.srcObject = stream;
-        await videoEl.play();
+        await frames.attach(stream);
+        await negotiate();
 
-        captureCanvas.width = videoEl.videoWidth;
-        captureCanvas.height = videoEl.videoHeight;
+        const track = frames.track();
+        const settings = track.getSettings ? track.getSettings() : {};
+        const dims = frames.getVideoDimensions();
+        return {
+            deviceId: settings.deviceId || null,
+            label: track.label,
+            width: settings.width || dims.videoWidth,
+            height: settings.height || dims.videoHeight,
+            frameRate: settings.frameRate || null,
+            fallback
+        };
     }
 
-    function stop() {
-        if (stream) {
-            stream.getTracks().forEach(t => t.stop());
-            stream = null;
+    // Raise the stream to the best mode the track reports; the ideal
+    // constraints of getUserMedia are often met with a smaller default
+    async function negotiate() {
+        const track = frames.track();
+        if (!track || !track.getCapabilities || !track.getSettings) return;
+        const mode = Controls.bestMode(track.getCapabilities(), track.getSettings());
+        if (!mode) return;
+        try {
+            await track.applyConstraints({
+                width: { ideal: mode.width },
+                height: { ideal: mode.height },
+                frameRate: { ideal: mode.frameRate }
+            });
+        } catch (err) {
+            // Keep the mode getUserMedia gave
         }
-        videoEl.srcObject = null;
     }
 
-    function captureFrame() {
-        if (!videoEl || videoEl.readyState < 2) return null;
-
-        const w = videoEl.videoWidth;
-        const h = videoEl.videoHeight;
-        if (w === 0 || h === 0) return null;
-
-        if (captureCanvas.width !== w) captureCanvas.width = w;
-        if (captureCanvas.height !== h) captureCanvas.height = h;
+    /**
+     * The video input devices, best lens for the game first (see
+     * Controls.rankDevices). Labels are empty until camera permission has
+     * been granted.
+     */
+    async function listDevices() {
+        if (!navigator.mediaDevices.enumerateDevices) return [];
+        return Controls.rankDevices(await navigator.mediaDevices.enumerateDevices());
+    }
 
-        captureCtx.drawImage(videoEl, 0, 0, w, h);
-        return captureCtx.getImageData(0, 0, w, h);
+    function stop() {
+        frames.detach();
     }
 
-    function getVideoDimensions() {
+    /**
+     * The running camera's controls: { capabilities (Controls.capabilities),
+     * settings (the track's current settings), deviceKey (a stable name to
+     * remember preferences by) }, or null without a camera.
+     */
+    function getControls() {
+        const track = frames.track();
+        if (!track) return null;
+        const caps = track.getCapabilities ? track.getCapabilities() : {};
+        const supported = navigator.mediaDevices.getSupportedConstraints
+            ? navigator.mediaDevices.getSupportedConstraints() : {};
+        const settings = track.getSettings ? track.getSettings() : {};
         return {
-            videoWidth: videoEl.videoWidth,
-            videoHeight: videoEl.videoHeight,
-            displayWidth: videoEl.clientWidth,
-            displayHeight: videoEl.clientHeight
+            capabilities: Controls.capabilities(caps, supported),
+            settings,
+            deviceKey: settings.deviceId || track.label || 'default'
         };
     }
 
-    return { init, start, stop, captureFrame, getVideoDimensions };
+    /**
+     * Apply camera settings ({ torch, zoom, exposureLock,
+     * exposureCompensation, focus }, see Controls.constraints), skipping
+     * what the camera does not support. Resolves to the constraint set
+     * applied ({} when there was nothing to apply); rejects when the
+     * browser refuses it.
+     */
+    async function applyControls(settings) {
+        const controls = getControls();
+        if (!controls) return {};
+        const set = Controls.constraints(controls.capabilities, settings);
+        if (Object.keys(set).length === 0) return set;
+        await frames.track().applyConstraints({ advanced: [set] });
+        return set;
+    }
+
+    return {
+        kind: 'camera',
+        init, start, stop, listDevices, getControls, applyControls,
+        onEnded: frames.onEnded,
+        captureFrame: frames.captureFrame,
+        capturePreview: frames.capturePreview,
+        captureBurst: frames.captureBurst,
+        getVideoDimensions: frames.getVideoDimensions
+    };
 })();
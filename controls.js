@@ -0,0 +1,195 @@
+const Controls = (() => {
+    // localStorage key of the per-device camera preferences
+    const STORAGE_KEY = 'hack-solver-camera';
+    // Preferences kept per device; a focus point belongs to one framing
+    const PREFERENCES = ['torch', 'zoom', 'exposureLock', 'exposureCompensation'];
+    // Largest stream asked for: bigger frames cost more to detect and
+    // extract than the extra detail is worth at game cell sizes
+    const MAX_WIDTH = 2560;
+    const MAX_HEIGHT = 1440;
+    const MAX_FRAME_RATE = 60;
+
+    // Lens kinds guessed from device labels, best for reading a monitor
+    // first: the main wide lens focuses close and gives the largest cells
+    // an ultra-wide lens would shrink; multi-lens virtual cameras switch
+    // lenses on their own
+    const LENSES = ['wide', 'multi', 'back', 'telephoto', 'ultra-wide', 'unknown', 'front'];
+    const LENS_PATTERNS = [
+        ['front', /front|user|facetime|selfie/i],
+        ['ultra-wide', /ultra ?wide|0\.5x/i],
+        ['telephoto', /tele|zoom/i],
+        ['multi', /dual|triple/i],
+        ['wide', /^back camera$|\bwide\b/i],
+        ['back', /back|rear|environment/i]
+    ];
+
+    // { min, max, step } of a numeric capability, null when absent or fixed
+    function range(cap) {
+        if (!cap || typeof cap.min !== 'number' || typeof cap.max !== 'number' || cap.max <= cap.min) return null;
+        return { min: cap.min, max: cap.max, step: cap.step > 0 ? cap.step : 0 };
+    }
+
+    /**
+     * What the camera track can do, from MediaStreamTrack.getCapabilities()
+     * and MediaDevices.getSupportedConstraints() (either may be missing):
+     * { torch, zoom, exposureCompensation, focusModes, exposureModes,
+     * pointsOfInterest, exposureLock }. Ranges are { min, max, step } or
+     * null; `exposureLock` is the exposure mode that holds the current
+     * exposure, null when there is none.
+     */
+    function capabilities(caps, supported) {
+        caps = caps || {};
+        const exposureModes = caps.exposureMode || [];
+        const lock = ['manual', 'single-shot'].filter(m => exposureModes.indexOf(m) >= 0)[0];
+        return {
+            torch: Array.isArray(caps.torch) ? caps.torch.indexOf(true) >= 0 : !!caps.torch,
+            zoom: range(caps.zoom),
+            exposureCompensation: range(caps.exposureCompensation),
+            focusModes: caps.focusMode || [],
+            exposureModes,
+            pointsOfInterest: !!(supported && supported.pointsOfInterest),
+            exposureLock: lock && exposureModes.indexOf('continuous') >= 0 ? lock : null
+        };
+    }
+
+    // `value` clamped to a range and snapped to its step
+    function fit(value, r) {
+        const clamped = Math.min(r.max, Math.max(r.min, value));
+        if (!r.step) return clamped;
+        const snapped = r.min + Math.round((clamped - r.min) / r.step) * r.step;
+        return Math.min(r.max, Number(snapped.toFixed(6)));
+    }
+
+    /**
+     * The constraint set (for applyConstraints({ advanced: [set] })) that
+     * applies `settings` ({ torch, zoom, exposureLock,
+     * exposureCompensation, focus }) as far as the camera allows. `focus`
+     * is a point { x, y } in 0-1 frame coordinates to focus on once.
+     * Settings the camera lacks are left out; an empty set means there is
+     * nothing to apply.
+     */
+    function constraints(caps, settings) {
+        const set = {};
+        if (settings.torch !== undefined && caps.torch) set.torch = !!settings.torch;
+        if (typeof settings.zoom === 'number' && caps.zoom) set.zoom = fit(settings.zoom, caps.zoom);
+        if (settings.exposureLock !== undefined && caps.exposureLock) {
+            set.exposureMode = settings.exposureLock ? caps.exposureLock : 'continuous';
+        }
+        if (typeof settings.exposureCompensation === 'number' && caps.exposureCompensation) {
+            set.exposureCompensation = fit(settings.exposureCompensation, caps.exposureCompensation);
+        }
+        if (settings.focus) {
+            if (caps.pointsOfInterest) {
+                set.pointsOfInterest = [{
+                    x: Math.min(1, Math.max(0, settings.focus.x)),
+                    y: Math.min(1, Math.max(0, settings.focus.y))
+                }];
+            }
+            if (caps.focusModes.indexOf('single-shot') >= 0) set.focusMode = 'single-shot';
+            else if (caps.focusModes.indexOf('continuous') >= 0 && set.pointsOfInterest) set.focusMode = 'continuous';
+        }
+        return set;
+    }
+
+    /**
+     * Zoom for a pinch that started at `startZoom` with the fingers
+     * `startDistance` apart and now `distance` apart, within the zoom
+     * range. Null when the camera cannot zoom.
+     */
+    function pinchZoom(caps, startZoom, startDistance, distance) {
+        if (!caps.zoom || !(startDistance > 0)) return null;
+        return fit(startZoom * distance / startDistance, caps.zoom);
+    }
+
+    // Lens kind of a camera device from its label (see LENSES)
+    function lensOf(label) {
+        const match = LENS_PATTERNS.filter(p => p[1].test(label || ''))[0];
+        return match ? match[0] : 'unknown';
+    }
+
+    /**
+     * Video input devices from MediaDevices.enumerateDevices() as
+     * { deviceId, label, lens }, best lens for the game first (see
+     * LENSES); devices of the same kind keep the browser's order, which
+     * lists the main camera first.
+     */
+    function rankDevices(devices) {
+        return devices
+            .filter(d => d.kind === 'videoinput')
+            .map((d, i) => ({ deviceId: d.deviceId, label: d.label, lens: lensOf(d.label), order: i }))
+            .sort((a, b) => LENSES.indexOf(a.lens) - LENSES.indexOf(b.lens) || a.order - b.order)
+            .map(d => ({ deviceId: d.deviceId, label: d.label, lens: d.lens }));
+    }
+
+    /**
+     * The getUserMedia video constraints for a device (any back camera
+     * when `deviceId` is null), asking for the largest stream up to
+     * MAX_WIDTH x MAX_HEIGHT at up to MAX_FRAME_RATE.
+     */
+    function videoConstraints(deviceId) {
+        const video = {
+            width: { ideal: MAX_WIDTH },
+            height: { ideal: MAX_HEIGHT },
+            frameRate: { ideal: MAX_FRAME_RATE }
+        };
+        if (deviceId) video.deviceId = { exact: deviceId };
+        else video.facingMode = 'environment';
+        return video;
+    }
+
+    /**
+     * The best stream mode a track supports ({ width, height, frameRate }
+     * within the MAX_ limits, from getCapabilities()), or null when that
+     * is no better than its current `settings`. Portrait streams keep
+     * their orientation.
+     */
+    function bestMode(caps, settings) {
+        caps = caps || {};
+        if (!caps.width || !caps.height) return null;
+        const portrait = settings.height > settings.width;
+        const maxW = portrait ? MAX_HEIGHT : MAX_WIDTH, maxH = portrait ? MAX_WIDTH : MAX_HEIGHT;
+        const mode = {
+            width: Math.min(caps.width.max, maxW),
+            height: Math.min(caps.height.max, maxH),
+            frameRate: caps.frameRate ? Math.min(caps.frameRate.max, MAX_FRAME_RATE) : settings.frameRate
+        };
+        const larger = mode.width * mode.height > settings.width * settings.height;
+        const faster = mode.frameRate > settings.frameRate;
+        return larger || faster ? mode : null;
+    }
+
+    /**
+     * Preferences stored for the device `key` (its deviceId, or the track
+     * label where the browser hides ids) in `storage` (localStorage).
+     * Returns {} when there are none or storage is unavailable.
+     */
+    function loadPreferences(storage, key) {
+        try {
+            const all = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+            return Object.assign({}, all[key]);
+        } catch (err) {
+            // Storage disabled or corrupt; start from the camera defaults
+            return {};
+        }
+    }
+
+    // Store the PREFERENCES fields of `prefs` for the device `key`
+    function savePreferences(storage, key, prefs) {
+        try {
+            const all = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+            all[key] = {};
+            PREFERENCES.forEach(name => {
+                if (prefs[name] !== undefined) all[key][name] = prefs[name];
+            });
+            storage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (err) {
+            // Not remembered; the settings still hold for this session
+        }
+    }
+
+    return {
+        STORAGE_KEY, PREFERENCES, MAX_WIDTH, MAX_HEIGHT, MAX_FRAME_RATE, LENSES,
+        capabilities, constraints, pinchZoom, lensOf, rankDevices, videoConstraints, bestMode,
+        loadPreferences, savePreferences
+    };
+})();
@@ -47,7 +47,9 @@ const Detector = (() => {
                           - integral[(y2 + 1) * (width + 1) + x1]
                           + integral[y1 * (width + 1) + x1];
                 const mean = sum / area;
-                out[y * width + x] = pixel > (mean - C) ? 255 : 0;
+                // Ink stands C above its block: a flat bright background
+                // (a glare spot) stays clear however bright it is
+                out[y * width + x] = pixel > mean + C ? 255 : 0;
             }
         }
 
@@ -110,13 +112,23 @@ const Detector = (() => {
         return groups;
     }
 
+    // Reference gap for merging bands into rows: the median, and the 80th
+    // percentile for the Braille dot rows pass (see findRows)
+    const ROW_GAP_QUANTILE = 0.5;
+    const DOT_ROW_GAP_QUANTILE = 0.8;
+    // The dot rows pass needs more than this many bands per grid row
+    // (Braille cells span up to four dot rows)
+    const DOT_ROW_BANDS = 3;
+
     /**
      * Merge nearby bands into single row bands.
-     * Uses median gap as reference: gaps < 40% of the median are within-row
-     * and get merged (handles Braille dots, highlighted row sub-bands, etc.)
+     * Uses the `gapQuantile` gap as reference: gaps < 40% of it are
+     * within-row and get merged (handles Braille dots, highlighted row
+     * sub-bands, etc.) Merging that leaves fewer than `minRows` bands is
+     * undone.
      */
-    function mergeBands(bands) {
-        if (bands.length <= 8) return bands;
+    function mergeBands(bands, minRows, gapQuantile) {
+        if (bands.length <= minRows) return bands;
 
         const gaps = [];
         for (let i = 1; i < bands.length; i++) {
@@ -124,8 +136,8 @@ const Detector = (() => {
         }
 
         const sorted = gaps.slice().sort((a, b) => a - b);
-        const medianGap = sorted[Math.floor(sorted.length / 2)];
-        const threshold = Math.max(2, medianGap * 0.4);
+        const refGap = sorted[Math.floor(sorted.length * gapQuantile)];
+        const threshold = Math.max(2, refGap * 0.4);
 
         const merged = [{ start: bands[0].start, end: bands[0].end, peak: bands[0].peak }];
         for (let i = 1; i < bands.length; i++) {
@@ -139,22 +151,61 @@ const Detector = (() => {
         }
         merged.forEach(b => b.center = (b.start + b.end) / 2);
 
-        if (merged.length < 8) return bands;
+        if (merged.length < minRows) return bands;
         return merged;
     }
 
     /**
-     * Find the best group of 8 consecutive row bands.
-     * Scores by both spacing regularity AND text density.
+     * Merge `bands` into text rows and find the grid's group of rows
+     * (profile.rows of them, or as many as countRows finds). Returns
+     * { rowBands, rows, group }, `group` null when none was found, and
+     * records what was found on `attempt`. Every Braille dot row is a
+     * band of its own, so most gaps then lie within a text row: only when
+     * the median gap finds no group, the profile allows Braille and there
+     * are more than DOT_ROW_BANDS bands per row are the bands merged again
+     * by the DOT_ROW_GAP_QUANTILE gap.
+     */
+    function findRows(bands, profile, minDensity, attempt) {
+        const found = rowGroup(bands, profile, minDensity, ROW_GAP_QUANTILE, attempt);
+        if (found.group) return found;
+        if (profile.charsets && profile.charsets.indexOf('braille') < 0) return found;
+        if (bands.length <= (profile.rows || Puzzle.MIN_ROWS) * DOT_ROW_BANDS) return found;
+
+        const dotAttempt = Object.assign({}, attempt);
+        const dotFound = rowGroup(bands, profile, minDensity, DOT_ROW_GAP_QUANTILE, dotAttempt);
+        if (!dotFound.group) return found;
+        Object.assign(attempt, dotAttempt);
+        return dotFound;
+    }
+
+    // One findRows pass, merging bands by the `gapQuantile` gap
+    function rowGroup(bands, profile, minDensity, gapQuantile, attempt) {
+        const rowBands = mergeBands(bands, profile.rows || Puzzle.MIN_ROWS, gapQuantile);
+        attempt.rowBands = rowBands.length;
+        const rows = profile.rows || countRows(rowBands, minDensity);
+        if (!rows) return { rowBands, rows, group: null };
+        attempt.rows = rows;
+        return { rowBands, rows, group: findBestRowGroup(rowBands, minDensity, rows, attempt) };
+    }
+
+    // Relative spacing variance above which bands are not one grid
+    const MAX_ROW_VARIANCE = 0.15;
+
+    /**
+     * Find the best group of `rows` consecutive row bands.
+     * Scores by both spacing regularity AND text density. The lowest
+     * spacing variance of the groups dense enough is recorded on
+     * attempt.rowGroupVariance (null when none is).
      */
-    function findBestRowGroup(rowBands, minDensity) {
-        if (rowBands.length < 8) return null;
+    function findBestRowGroup(rowBands, minDensity, rows, attempt) {
+        attempt.rowGroupVariance = null;
+        if (rowBands.length < rows) return null;
 
         let bestGroup = null;
         let bestScore = Infinity;
 
-        for (let i = 0; i <= rowBands.length - 8; i++) {
-            const group = rowBands.slice(i, i + 8);
+        for (let i = 0; i <= rowBands.length - rows; i++) {
+            const group = rowBands.slice(i, i + rows);
 
             const groupMinPeak = Math.min(...group.map(b => b.peak));
             if (groupMinPeak < minDensity) continue;
@@ -166,10 +217,13 @@ const Detector = (() => {
             const avgSpacing = spacings.reduce((a, b) => a + b, 0) / spacings.length;
             const variance = spacings.reduce((s, sp) => s + (sp - avgSpacing) ** 2, 0) / spacings.length;
             const relativeVariance = variance / (avgSpacing * avgSpacing);
+            if (attempt.rowGroupVariance === null || relativeVariance < attempt.rowGroupVariance) {
+                attempt.rowGroupVariance = relativeVariance;
+            }
 
-            if (relativeVariance > 0.15) continue;
+            if (relativeVariance > MAX_ROW_VARIANCE) continue;
 
-            const avgDensity = group.reduce((s, b) => s + b.peak, 0) / 8;
+            const avgDensity = group.reduce((s, b) => s + b.peak, 0) / rows;
             const score = relativeVariance / (avgDensity * avgDensity + 0.0001);
 
             if (score < bestScore) {
@@ -182,34 +236,202 @@ const Detector = (() => {
     }
 
     /**
-     * Find target row: the row of 4 codes immediately above the grid.
+     * Auto-detected grid row count: the longest run of consecutive dense
+     * bands spaced evenly (each spacing within 20% of the previous one, so
+     * perspective may stretch it gradually). The target and title rows sit
+     * further above the grid, so they do not extend the run. Returns null
+     * outside Puzzle.MIN_ROWS-MAX_ROWS.
+     */
+    function countRows(rowBands, minDensity) {
+        let best = 0;
+        for (let i = 0; i < rowBands.length; i++) {
+            if (rowBands[i].peak < minDensity) continue;
+            let n = 1;
+            let spacing = i + 1 < rowBands.length ? rowBands[i + 1].center - rowBands[i].center : 0;
+            while (i + n < rowBands.length && rowBands[i + n].peak >= minDensity) {
+                const next = rowBands[i + n].center - rowBands[i + n - 1].center;
+                if (Math.abs(next - spacing) > spacing * 0.2) break;
+                spacing = next;
+                n++;
+            }
+            best = Math.max(best, n);
+        }
+        return best >= Puzzle.MIN_ROWS && best <= Puzzle.MAX_ROWS ? best : null;
+    }
+
+    /**
+     * Code pitch of a column projection between left and right: the
+     * shortest lag whose autocorrelation comes within 10% of the best one
+     * (multiples of the pitch correlate about as well). Lags from half to
+     * three row spacings are searched.
+     */
+    function columnPitch(proj, left, right, rowSpacing) {
+        let mean = 0;
+        for (let x = left; x < right; x++) mean += proj[x];
+        mean /= Math.max(1, right - left);
+
+        const minLag = Math.max(2, Math.round(rowSpacing * 0.5));
+        const maxLag = Math.min(right - left - 1, Math.round(rowSpacing * 3));
+        const corr = [];
+        let best = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let x = left; x + lag < right; x++) sum += (proj[x] - mean) * (proj[x + lag] - mean);
+            corr.push(sum / (right - left - lag));
+            best = Math.max(best, corr[corr.length - 1]);
+        }
+        if (best <= 0) return null;
+        for (let i = 0; i < corr.length; i++) {
+            const isPeak = (i === 0 || corr[i] >= corr[i - 1]) && (i === corr.length - 1 || corr[i] >= corr[i + 1]);
+            if (isPeak && corr[i] >= best * 0.9) return minLag + i;
+        }
+        return null;
+    }
+
+    /**
+     * Number of codes spanning `span` pixels of ink at `pitch`: the outer
+     * codes add one code width (0.15-1 pitch) to the pitches between them.
+     */
+    function codeCount(span, pitch) {
+        return Math.round(span / pitch + 0.35);
+    }
+
+    /**
+     * Column count for a profile: its own, or auto-detected from the
+     * grid's column projection (null outside Puzzle.MIN_COLS-MAX_COLS).
+     * Returns { cols, pitch, codeWidth } where pitch is the measured code
+     * pitch and codeWidth the ink width of one code (the span left over
+     * by the pitches between the outer columns); both are null when not
+     * needed or not found.
+     */
+    function resolveColumns(profile, proj, left, right, rowSpacing) {
+        const needPitch = profile.cols === null || profile.targetLength === null;
+        const pitch = needPitch ? columnPitch(proj, left, right, rowSpacing) : null;
+        let cols = profile.cols;
+        if (cols === null) {
+            if (!pitch) return null;
+            cols = codeCount(right - left, pitch);
+            if (cols < Puzzle.MIN_COLS || cols > Puzzle.MAX_COLS) return null;
+        }
+        const codeWidth = pitch ? Math.max(0, right - left - (cols - 1) * pitch) : null;
+        return { cols, pitch, codeWidth };
+    }
+
+    /**
+     * Target cells for a found target band: the profile's target length,
+     * or as many codes as fit its ink span at the grid's code pitch and
+     * code width. A count out of range is recorded as a rejected target
+     * candidate.
+     */
+    function targetCellsFor(targetResult, targetLength, columns, attempt) {
+        if (!targetResult) return null;
+        const mergedTarget = {
+            start: targetResult.start,
+            end: targetResult.end,
+            center: (targetResult.start + targetResult.end) / 2
+        };
+        const span = targetResult.tRight - targetResult.tLeft;
+        const count = targetLength !== null ? targetLength
+            : columns.pitch ? Math.round((span - columns.codeWidth) / columns.pitch) + 1 : 0;
+        if (count < Puzzle.MIN_TARGET || count > Puzzle.MAX_TARGET) {
+            rejectTarget(attempt, mergedTarget, 'count');
+            return null;
+        }
+        return buildTargetCells(mergedTarget, targetResult.tLeft, targetResult.tRight, count);
+    }
+
+    // Rows above the grid searched for the target row, in row spacings
+    const TARGET_SEARCH_ROWS = 5;
+    // Columns searched either side of the grid, in grid widths, so a band
+    // off to the side still shows up (and is rejected as off-center)
+    const TARGET_SEARCH_MARGIN = 0.5;
+    // Level a row above the grid needs, relative to the grid rows' mean,
+    // to be part of a band: the target codes cover less than half the
+    // grid width, so their rows reach about half the grid rows' level
+    const TARGET_LEVEL = 0.15;
+
+    /**
+     * Bands of text above the grid, top to bottom, from a row projection
+     * over the grid's columns and TARGET_SEARCH_MARGIN either side: mean
+     * brightness detrended like the grayscale pass (binary views are
+     * 0/255, so the same projection counts lit pixels). A row is part of
+     * a band when it reaches
+     * TARGET_LEVEL of the grid rows' mean. The search runs in the view the
+     * grid was found in (frame, deskewed or rectified), where the target
+     * row is level with the grid rows and is not diluted by the rest of
+     * the frame or the empty corners of a deskewed one.
+     */
+    function targetRowBands(image, bestGroup, gridLeft, gridRight) {
+        const { data, width } = image;
+        const gridRows = bestGroup.rows;
+        const gridTop = gridRows[0].start;
+        const gridBottom = gridRows[gridRows.length - 1].end;
+        const top = Math.max(0, Math.floor(gridRows[0].center - bestGroup.spacing * TARGET_SEARCH_ROWS));
+        const margin = (gridRight - gridLeft) * TARGET_SEARCH_MARGIN;
+        const x0 = Math.max(0, Math.round(gridLeft - margin)), x1 = Math.min(width, Math.round(gridRight + margin));
+        if (gridTop <= top || x1 <= x0) return [];
+
+        const rowMean = new Float64Array(gridBottom - top);
+        for (let y = top; y < gridBottom; y++) {
+            let sum = 0;
+            for (let x = x0; x < x1; x++) sum += data[y * width + x];
+            rowMean[y - top] = sum / (x1 - x0);
+        }
+        const proj = detrendedProjection(rowMean, Math.max(3, Math.round(bestGroup.spacing / 2)));
+
+        let level = 0, count = 0;
+        for (const row of gridRows) {
+            for (let y = row.start; y < row.end; y++) { level += proj[y - top]; count++; }
+        }
+        if (level === 0) return [];
+
+        return findPeaks(proj.subarray(0, gridTop - top), level / count * TARGET_LEVEL).map(b => ({
+            start: b.start + top, end: b.end + top, center: b.center + top, peak: b.peak
+        }));
+    }
+
+    /**
+     * Find target row: the row of target codes immediately above the grid,
+     * among the bands of targetRowBands.
      *
      * Key filters:
-     * - Width is ~30-65% of grid width (4 codes vs 10 columns)
-     * - Height is similar to grid row height (same font, not a header)
+     * - Width is 0.5-1.6x the target length / column count share of the
+     *   grid width (~20-65% for 4 codes vs 10 columns); any share up to
+     *   the full width when the target length is auto-detected
+     * - Height is similar to grid row height (same font, not a header);
+     *   bands that together fit in one row height are taken as one (the
+     *   dot rows of a sparse Braille target)
      * - Centered on grid
      * - Closest matching band to grid wins (target codes sit right above grid)
+     *
+     * Bands passed over on the way are recorded on attempt.targetCandidates
+     * with the filter that rejected them (see TARGET_REJECTIONS). Returns
+     * { start, end, tLeft, tRight }, or null.
      */
-    function findTargetBand(rowBands, bestGroup, gridLeft, gridRight, gray) {
+    function findTargetBand(bestGroup, gridLeft, gridRight, gray, cols, targetLength, attempt) {
         const { data, width } = gray;
         const gridWidth = gridRight - gridLeft;
         const gridCenter = (gridLeft + gridRight) / 2;
         const gridRowHeight = bestGroup.rows[0].end - bestGroup.rows[0].start;
+        const rowBands = targetRowBands(gray, bestGroup, gridLeft, gridRight);
 
-        for (let i = bestGroup.startIdx - 1; i >= 0; i--) {
+        for (let i = rowBands.length - 1; i >= 0; i--) {
             const band = rowBands[i];
 
-            const gapFromGrid = bestGroup.rows[0].center - band.center;
-            if (gapFromGrid > bestGroup.spacing * 5) break;
-
-            const bStart = band.start;
+            let top = i;
+            while (top > 0 && band.end - rowBands[top - 1].start <= gridRowHeight * 1.3) top--;
+            const bStart = rowBands[top].start;
             const bEnd = band.end;
             const bRows = bEnd - bStart;
             if (bRows < 2) continue;
+            const candidate = { start: bStart, end: bEnd };
 
             // Band height should be similar to grid row height (reject headers)
             const heightRatio = bRows / gridRowHeight;
-            if (heightRatio > 2.5 || heightRatio < 0.3) continue;
+            if (heightRatio > 2.5 || heightRatio < 0.3) {
+                rejectTarget(attempt, candidate, 'height');
+                continue;
+            }
 
             const bColMean = new Float64Array(width);
             const bColVar = new Float64Array(width);
@@ -229,33 +451,55 @@ const Detector = (() => {
             for (let x = 0; x < width; x++) {
                 if (bColVar[x] > peakVar) peakVar = bColVar[x];
             }
-            if (peakVar < 5) continue;
+            if (peakVar < 5) {
+                rejectTarget(attempt, candidate, 'flat');
+                continue;
+            }
 
+            // Columns with text variance, merged across the gaps between
+            // glyphs and codes. Narrow runs left on their own are lines
+            // crossing the band at a slant (panel borders of a tilted or
+            // rectified frame) and are dropped.
             const varThreshold = peakVar * 0.1;
-            let tLeft = -1, tRight = -1;
-            for (let x = 0; x < width; x++) {
-                if (bColVar[x] > varThreshold) { tLeft = x; break; }
+            const maxGap = gridRowHeight;
+            const minRun = gridRowHeight * 0.5;
+            const runs = [];
+            let start = -1;
+            for (let x = 0; x <= width; x++) {
+                const lit = x < width && bColVar[x] > varThreshold;
+                if (lit && start < 0) start = x;
+                if (!lit && start >= 0) {
+                    const last = runs[runs.length - 1];
+                    if (last && start - last.end < maxGap) last.end = x;
+                    else runs.push({ start, end: x });
+                    start = -1;
+                }
             }
-            for (let x = width - 1; x >= 0; x--) {
-                if (bColVar[x] > varThreshold) { tRight = x; break; }
+            const codes = runs.filter(r => r.end - r.start >= minRun);
+            const tLeft = codes.length ? codes[0].start : 0;
+            const tRight = codes.length ? codes[codes.length - 1].end - 1 : 0;
+            if (tRight <= tLeft) {
+                rejectTarget(attempt, candidate, 'no-codes');
+                continue;
             }
 
-            if (tLeft < 0 || tRight <= tLeft) continue;
-
             const bandWidth = tRight - tLeft;
             const bandCenter = (tLeft + tRight) / 2;
             const widthRatio = bandWidth / gridWidth;
             const centerOffset = Math.abs(bandCenter - gridCenter) / gridWidth;
 
-            if (widthRatio >= 0.20 && widthRatio <= 0.65 && centerOffset < 0.3) {
-                // Closest valid band to grid wins — no merging with headers above
-                return {
-                    bandIdx: i,
-                    bandEndIdx: i,
-                    tLeft,
-                    tRight
-                };
+            const share = (targetLength !== null ? targetLength : Puzzle.MIN_TARGET) / cols;
+            const maxShare = targetLength !== null ? share * 1.6 : 1;
+            if (widthRatio < share * 0.5 || widthRatio > maxShare) {
+                rejectTarget(attempt, candidate, 'width');
+                continue;
+            }
+            if (centerOffset >= 0.3) {
+                rejectTarget(attempt, candidate, 'off-center');
+                continue;
             }
+            // Closest valid band to grid wins — no merging with headers above
+            return { start: bStart, end: bEnd, tLeft, tRight };
         }
 
         return null;
@@ -288,14 +532,14 @@ const Detector = (() => {
         return gridCells;
     }
 
-    function buildTargetCells(targetRow, tLeft, tRight) {
+    function buildTargetCells(targetRow, tLeft, tRight, count) {
         const targetH = targetRow.end - targetRow.start;
         const targetCY = (targetRow.start + targetRow.end) / 2;
         const targetSpan = tRight - tLeft;
-        const targetCellW = targetSpan / 4;
+        const targetCellW = targetSpan / count;
         const targetCells = [];
 
-        for (let i = 0; i < 4; i++) {
+        for (let i = 0; i < count; i++) {
             const cx = tLeft + (i + 0.5) * targetCellW;
             targetCells.push({
                 x: Math.round(cx - targetCellW / 2),
@@ -312,25 +556,27 @@ const Detector = (() => {
     }
 
     /**
-     * Find grid using binary threshold + projection analysis.
+     * Find grid using binary threshold + projection analysis. What was
+     * found and why the search stopped is recorded on `attempt`.
      */
-    function findGridByProjection(binary) {
+    function findGridByProjection(binary, profile, attempt) {
         const { width, height } = binary;
+        const minRows = profile.rows || Puzzle.MIN_ROWS;
 
         const rProj = rowProjection(binary);
         const rawRowBands = findPeaks(rProj, 0.02);
         const filteredBands = rawRowBands.filter(b => (b.end - b.start) >= 3);
-        if (filteredBands.length < 8) return null;
+        attempt.bands = filteredBands.length;
+        if (filteredBands.length < minRows) return failAttempt(attempt, 'few-bands');
 
-        const rowBands = mergeBands(filteredBands);
-
-        const bestGroup = findBestRowGroup(rowBands, 0.035);
-        if (!bestGroup) return null;
+        const { rows, group: bestGroup } = findRows(filteredBands, profile, 0.035, attempt);
+        if (!rows) return failAttempt(attempt, 'no-rows');
+        if (!bestGroup) return failAttempt(attempt, rowGroupFailure(attempt));
+        attempt.rowSpacing = bestGroup.spacing;
 
         const gridTop = bestGroup.rows[0].start;
-        const gridBottom = bestGroup.rows[7].end;
+        const gridBottom = bestGroup.rows[rows - 1].end;
         const rowSpacing = bestGroup.spacing;
-        const numCols = 10;
 
         const cProj = colProjection(binary, gridTop, gridBottom);
         const kernel = Math.max(3, Math.round(rowSpacing * 0.4));
@@ -348,7 +594,7 @@ const Detector = (() => {
         for (let x = 0; x < width; x++) {
             if (smoothProj[x] > peakVal) peakVal = smoothProj[x];
         }
-        if (peakVal < 0.01) return null;
+        if (peakVal < 0.01) return failAttempt(attempt, 'low-contrast');
 
         const extentThreshold = peakVal * 0.15;
         let gridLeft = -1, gridRight = -1;
@@ -365,7 +611,7 @@ const Detector = (() => {
             }
         }
 
-        if (gridLeft < 0 || gridRight - gridLeft < rowSpacing * 3) return null;
+        if (gridLeft < 0 || gridRight - gridLeft < rowSpacing * 3) return failAttempt(attempt, 'narrow-grid');
 
         const rawThreshold = 0.01;
         let trimLeft = gridLeft, trimRight = gridRight;
@@ -376,28 +622,20 @@ const Detector = (() => {
             if (cProj[x] > rawThreshold) { trimRight = x + 1; break; }
         }
 
-        const gridCells = buildGridCells(bestGroup, trimLeft, trimRight, numCols);
+        const columns = resolveColumns(profile, cProj, trimLeft, trimRight, rowSpacing);
+        if (!columns) return failAttempt(attempt, 'no-columns');
+        const gridCells = buildGridCells(bestGroup, trimLeft, trimRight, columns.cols);
 
         // Target detection: use column variance on binary data (same as GS path)
-        const targetResult = findTargetBand(rowBands, bestGroup, trimLeft, trimRight, binary);
-        let targetCells = null;
-        if (targetResult) {
-            const startBand = rowBands[targetResult.bandIdx];
-            const endBand = rowBands[targetResult.bandEndIdx || targetResult.bandIdx];
-            const mergedTarget = {
-                start: startBand.start,
-                end: endBand.end,
-                center: (startBand.start + endBand.end) / 2
-            };
-            targetCells = buildTargetCells(mergedTarget, targetResult.tLeft, targetResult.tRight);
-        }
+        const targetResult = findTargetBand(bestGroup, trimLeft, trimRight, binary,
+            columns.cols, profile.targetLength, attempt);
 
-        return {
+        return gridFound(attempt, {
             gridCells,
-            targetCells: targetCells && targetCells.length >= 4 ? targetCells : null,
-            rows: 8,
-            cols: numCols
-        };
+            targetCells: targetCellsFor(targetResult, profile.targetLength, columns, attempt),
+            rows,
+            cols: columns.cols
+        });
     }
 
     function detrendedProjection(values, smoothKernel) {
@@ -420,8 +658,9 @@ const Detector = (() => {
 
     /**
      * Camera-friendly grid detection using detrended grayscale projections.
+     * Records on `attempt` like findGridByProjection.
      */
-    function findGridByGrayscaleProjection(gray) {
+    function findGridByGrayscaleProjection(gray, profile, attempt) {
         const { data, width, height } = gray;
 
         const rowMean = new Float64Array(height);
@@ -434,19 +673,20 @@ const Detector = (() => {
         const detrendKernel = Math.max(20, Math.round(height / 40));
         const rowDetrended = detrendedProjection(rowMean, detrendKernel);
 
+        const minRows = profile.rows || Puzzle.MIN_ROWS;
         const rawRowBands = findPeaks(rowDetrended, 3);
         const filteredBands = rawRowBands.filter(b => (b.end - b.start) >= 3);
-        if (filteredBands.length < 8) return null;
-
-        const rowBands = mergeBands(filteredBands);
+        attempt.bands = filteredBands.length;
+        if (filteredBands.length < minRows) return failAttempt(attempt, 'few-bands');
 
-        const bestGroup = findBestRowGroup(rowBands, 4);
-        if (!bestGroup) return null;
+        const { rows, group: bestGroup } = findRows(filteredBands, profile, 4, attempt);
+        if (!rows) return failAttempt(attempt, 'no-rows');
+        if (!bestGroup) return failAttempt(attempt, rowGroupFailure(attempt));
+        attempt.rowSpacing = bestGroup.spacing;
 
         const gridTop = bestGroup.rows[0].start;
-        const gridBottom = bestGroup.rows[7].end;
+        const gridBottom = bestGroup.rows[rows - 1].end;
         const rowSpacing = bestGroup.spacing;
-        const numCols = 10;
 
         // Column variance to find grid horizontal extent
         const colMean = new Float64Array(width);
@@ -483,7 +723,7 @@ const Detector = (() => {
         for (let x = 0; x < width; x++) {
             if (smoothVar[x] > peakVar) peakVar = smoothVar[x];
         }
-        if (peakVar < 10) return null;
+        if (peakVar < 10) return failAttempt(attempt, 'low-contrast');
 
         const extentThreshold = peakVar * 0.15;
         let gridLeft = -1, gridRight = -1, maxLen = 0;
@@ -498,7 +738,7 @@ const Detector = (() => {
             }
         }
 
-        if (gridLeft < 0 || gridRight - gridLeft < rowSpacing * 3) return null;
+        if (gridLeft < 0 || gridRight - gridLeft < rowSpacing * 3) return failAttempt(attempt, 'narrow-grid');
 
         let trimLeft = gridLeft, trimRight = gridRight;
         const trimThreshold = peakVar * 0.05;
@@ -509,42 +749,795 @@ const Detector = (() => {
             if (colVar[x] > trimThreshold) { trimRight = x + 1; break; }
         }
 
-        const gridCells = buildGridCells(bestGroup, trimLeft, trimRight, numCols);
+        const columns = resolveColumns(profile, colVar, trimLeft, trimRight, rowSpacing);
+        if (!columns) return failAttempt(attempt, 'no-columns');
+        const gridCells = buildGridCells(bestGroup, trimLeft, trimRight, columns.cols);
 
-        // Smart target detection: find a band above the grid with ~4 codes
-        const targetResult = findTargetBand(rowBands, bestGroup, trimLeft, trimRight, gray);
-        let targetCells = null;
-        if (targetResult) {
-            const startBand = rowBands[targetResult.bandIdx];
-            const endBand = rowBands[targetResult.bandEndIdx || targetResult.bandIdx];
-            const mergedTarget = {
-                start: startBand.start,
-                end: endBand.end,
-                center: (startBand.start + endBand.end) / 2
-            };
-            targetCells = buildTargetCells(mergedTarget, targetResult.tLeft, targetResult.tRight);
+        // Smart target detection: find a band above the grid with the target codes
+        const targetResult = findTargetBand(bestGroup, trimLeft, trimRight, gray,
+            columns.cols, profile.targetLength, attempt);
+
+        return gridFound(attempt, {
+            gridCells,
+            targetCells: targetCellsFor(targetResult, profile.targetLength, columns, attempt),
+            rows,
+            cols: columns.cols
+        });
+    }
+
+    // ===== Diagnostics =====
+    // Every projection pass records an attempt: the view it ran on, its
+    // path (binary or grayscale), the bands and row grouping it found,
+    // the target band candidates it rejected and the failure that stopped
+    // it. detect() sums them up so callers can tell a frame that is too
+    // far away from one washed out by glare.
+
+    // Failures in pipeline order; the furthest one reached is reported
+    const FAILURES = ['few-bands', 'no-rows', 'irregular-rows', 'low-contrast', 'narrow-grid', 'no-columns', 'no-target'];
+    // What the user can do about each failure
+    const GUIDANCE = {
+        'few-bands': 'Move closer so the grid fills the frame',
+        'no-rows': 'Hold steady with the whole grid in view',
+        'irregular-rows': 'Hold the phone square to the screen',
+        'low-contrast': 'Raise the screen brightness',
+        'narrow-grid': 'Move closer to the grid',
+        'no-columns': 'Keep the whole grid in view',
+        'no-target': 'Keep the target row above the grid in view',
+        'glare': 'Reduce glare: tilt the phone away from lights'
+    };
+    // Why a band above the grid was not taken as the target row:
+    //   height     - much shorter or taller than a grid row (title, noise)
+    //   flat       - no contrast across the band
+    //   no-codes   - no run of glyph-wide columns
+    //   width      - too narrow or wide for the target length
+    //   off-center - not centered over the grid
+    //   count      - holds a code count out of range
+    const TARGET_REJECTIONS = ['height', 'flat', 'no-codes', 'width', 'off-center', 'count'];
+
+    // Blocks the frame is divided into for the glare measure, per side
+    const GLARE_BLOCKS = 32;
+    // Block mean brightness counted as blown out (text strokes alone never
+    // fill a block)
+    const GLARE_LEVEL = 235;
+    // Fraction of blown-out blocks that means glare on the screen
+    const GLARE_FRACTION = 0.01;
+    // Grid rows closer than this (pixels) are too small to read: the
+    // user is asked to move closer whatever else failed, and even when
+    // the grid was found
+    const MIN_ROW_SPACING = 14;
+    // Confidence factors for a grid found without a target row and for
+    // the grayscale fallback path
+    const NO_TARGET_FACTOR = 0.5;
+    const GRAYSCALE_FACTOR = 0.9;
+
+    function newAttempt(view, path) {
+        return {
+            view, path,
+            bands: 0, rowBands: 0, rows: null, rowGroupVariance: null, rowSpacing: null,
+            targetCandidates: [], failure: null
+        };
+    }
+
+    function failAttempt(attempt, failure) {
+        attempt.failure = failure;
+        return null;
+    }
+
+    // A grid was found: the attempt fails only for want of a target row
+    function gridFound(attempt, result) {
+        attempt.failure = result.targetCells ? null : 'no-target';
+        return result;
+    }
+
+    function rejectTarget(attempt, band, reason) {
+        attempt.targetCandidates.push({ start: band.start, end: band.end, reason });
+    }
+
+    // Why no row group was found: too few merged bands, none dense enough
+    // to be text, or none spaced evenly
+    function rowGroupFailure(attempt) {
+        if (attempt.rowBands < attempt.rows) return 'few-bands';
+        return attempt.rowGroupVariance === null ? 'low-contrast' : 'irregular-rows';
+    }
+
+    // Fraction of GLARE_BLOCKS x GLARE_BLOCKS blocks of the frame that are
+    // blown out
+    function glareFraction(gray) {
+        const { data, width, height } = gray;
+        const bw = Math.ceil(width / GLARE_BLOCKS), bh = Math.ceil(height / GLARE_BLOCKS);
+        const sums = new Float64Array(GLARE_BLOCKS * GLARE_BLOCKS);
+        const counts = new Uint32Array(GLARE_BLOCKS * GLARE_BLOCKS);
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y / bh) * GLARE_BLOCKS;
+            for (let x = 0; x < width; x++) {
+                const b = row + Math.floor(x / bw);
+                sums[b] += data[y * width + x];
+                counts[b]++;
+            }
+        }
+        let blown = 0, blocks = 0;
+        for (let b = 0; b < sums.length; b++) {
+            if (!counts[b]) continue;
+            blocks++;
+            if (sums[b] / counts[b] >= GLARE_LEVEL) blown++;
         }
+        return blocks ? blown / blocks : 0;
+    }
 
+    /**
+     * Sum up the attempts of one detect() call. The attempt that produced
+     * the result (or, on failure, the one that got furthest) supplies the
+     * band counts, row-group variance, rejected target candidates and
+     * failure; `guidance` tells the user what to change: glare first and
+     * then a grid too small to read (both whether the grid was found or
+     * not), then the failure itself.
+     */
+    function summarize(attempts, used, glare) {
+        const rank = a => a.failure === null ? FAILURES.length : FAILURES.indexOf(a.failure);
+        const primary = used || attempts.reduce((best, a) => !best || rank(a) > rank(best) ? a : best, null);
+        const failure = primary ? primary.failure : 'few-bands';
+        const small = primary && primary.rowSpacing !== null && primary.rowSpacing < MIN_ROW_SPACING;
+        let guidance = null;
+        if (glare >= GLARE_FRACTION) guidance = GUIDANCE.glare;
+        else if (small) guidance = GUIDANCE['few-bands'];
+        else if (failure) guidance = GUIDANCE[failure];
         return {
-            gridCells,
-            targetCells: targetCells && targetCells.length >= 4 ? targetCells : null,
-            rows: 8,
-            cols: numCols
+            path: used ? used.path : null,
+            view: used ? used.view : null,
+            bands: primary ? primary.bands : 0,
+            rowGroupVariance: primary ? primary.rowGroupVariance : null,
+            rowSpacing: primary ? primary.rowSpacing : null,
+            targetCandidates: primary ? primary.targetCandidates : [],
+            failure,
+            glare,
+            guidance,
+            attempts
         };
     }
 
-    function detect(imageData) {
-        const gray = toGrayscale(imageData);
+    /**
+     * Detection confidence in 0-1: the regularity of the row spacing,
+     * lowered for a missing target row, for cells refinement flagged and
+     * for the grayscale fallback path.
+     */
+    function detectionConfidence(result, used) {
+        const regularity = 1 - Math.min(1, (used.rowGroupVariance || 0) / MAX_ROW_VARIANCE);
+        const cells = result.gridCells.concat(result.targetCells || []);
+        const flagged = cells.filter(c => c.flags && c.flags.length > 0).length;
+        let confidence = regularity * (1 - 0.5 * flagged / cells.length);
+        if (!result.targetCells) confidence *= NO_TARGET_FACTOR;
+        if (used.path === 'grayscale') confidence *= GRAYSCALE_FACTOR;
+        return Math.round(confidence * 100) / 100;
+    }
+
+    // ===== Cell refinement =====
+    // Cells are laid out as a uniform lattice, so uneven code spacing can
+    // clip characters or take in a neighbour's. Each cell is snapped to
+    // the connected components of its ink in the adaptive-threshold image,
+    // and flagged when that ink does not look like one code:
+    //   empty  - no ink in the cell
+    //   merged - one blob runs on into a neighbouring code (blur, glare)
+    //   split  - the cell edge cuts through its code, so part of it sits
+    //            in the neighbouring cell (lattice out of step)
+    // The lattice box stays on the cell as `lattice`.
+
+    // Search window around each lattice box, as a multiple of its size
+    const REFINE_WINDOW = 1.5;
+    // Blobs smaller than this fraction of the lattice box are noise
+    const MIN_BLOB_FRACTION = 0.003;
+    // A blob covering this much of the box width belongs to the cell even
+    // when its center lies outside
+    const OWN_OVERLAP = 0.5;
+    // A blob wider than this many box widths joins two codes
+    const MERGED_WIDTH = 1.1;
+    // Ink sticking out of the box by more than this fraction of its width
+    // is cut by the cell edge
+    const SPLIT_OVERHANG = 0.15;
+    // Padding around the snapped ink, as a fraction of the box height
+    const SNAP_PAD = 0.08;
+
+    // 8-connected blobs of lit pixels inside a window of the binary image:
+    // [{ x0, y0, x1, y1, area }] with inclusive bounds in image coordinates
+    function windowBlobs(binary, wx0, wy0, wx1, wy1) {
+        const { data, width } = binary;
+        const w = wx1 - wx0, h = wy1 - wy0;
+        const seen = new Uint8Array(w * h);
+        const stack = new Int32Array(w * h);
+        const blobs = [];
+        for (let start = 0; start < w * h; start++) {
+            if (seen[start] || data[(wy0 + Math.floor(start / w)) * width + wx0 + start % w] !== 255) continue;
+            const blob = { x0: w, y0: h, x1: -1, y1: -1, area: 0 };
+            let top = 0;
+            stack[top++] = start;
+            seen[start] = 1;
+            while (top > 0) {
+                const p = stack[--top];
+                const px = p % w, py = (p - px) / w;
+                blob.area++;
+                if (px < blob.x0) blob.x0 = px;
+                if (px > blob.x1) blob.x1 = px;
+                if (py < blob.y0) blob.y0 = py;
+                if (py > blob.y1) blob.y1 = py;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const qy = py + dy;
+                    if (qy < 0 || qy >= h) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const qx = px + dx;
+                        if (qx < 0 || qx >= w) continue;
+                        const q = qy * w + qx;
+                        if (!seen[q] && data[(wy0 + qy) * width + wx0 + qx] === 255) {
+                            seen[q] = 1;
+                            stack[top++] = q;
+                        }
+                    }
+                }
+            }
+            blob.x0 += wx0; blob.x1 += wx0;
+            blob.y0 += wy0; blob.y1 += wy0;
+            blobs.push(blob);
+        }
+        return blobs;
+    }
+
+    /**
+     * Snap one lattice cell to its ink. Returns the refined cell
+     * { x, y, w, h, cx, cy, area, lattice, flags }; the box is the lattice
+     * box when the cell is empty, and keeps the lattice's horizontal
+     * extent when its ink is merged with a neighbour's.
+     */
+    function refineCell(binary, cell) {
+        const { width, height } = binary;
+        const lattice = { x: cell.x, y: cell.y, w: cell.w, h: cell.h, cx: cell.cx, cy: cell.cy, area: cell.area };
+        const lx1 = cell.x + cell.w, ly1 = cell.y + cell.h;
+        const wx0 = Math.max(0, Math.floor(cell.cx - cell.w * REFINE_WINDOW / 2));
+        const wy0 = Math.max(0, Math.floor(cell.cy - cell.h * REFINE_WINDOW / 2));
+        const wx1 = Math.min(width, Math.ceil(cell.cx + cell.w * REFINE_WINDOW / 2));
+        const wy1 = Math.min(height, Math.ceil(cell.cy + cell.h * REFINE_WINDOW / 2));
+        const flags = [];
+        if (wx1 <= wx0 || wy1 <= wy0) return Object.assign({}, lattice, { lattice, flags: ['empty'] });
+
+        const minArea = Math.max(2, cell.w * cell.h * MIN_BLOB_FRACTION);
+        const own = windowBlobs(binary, wx0, wy0, wx1, wy1).filter(b => {
+            if (b.area < minArea) return false;
+            const bcx = (b.x0 + b.x1 + 1) / 2, bcy = (b.y0 + b.y1 + 1) / 2;
+            if (bcy < cell.y || bcy > ly1) return false;
+            const overlap = Math.min(b.x1 + 1, lx1) - Math.max(b.x0, cell.x);
+            return (bcx >= cell.x && bcx <= lx1) || overlap >= cell.w * OWN_OVERLAP;
+        });
+        if (own.length === 0) return Object.assign({}, lattice, { lattice, flags: ['empty'] });
+
+        let x0 = Math.min(...own.map(b => b.x0)), x1 = Math.max(...own.map(b => b.x1)) + 1;
+        const y0 = Math.min(...own.map(b => b.y0)), y1 = Math.max(...own.map(b => b.y1)) + 1;
+        if (own.some(b => b.x1 + 1 - b.x0 > cell.w * MERGED_WIDTH)) {
+            flags.push('merged');
+            x0 = Math.max(x0, cell.x);
+            x1 = Math.min(x1, lx1);
+        } else if (cell.x - x0 > cell.w * SPLIT_OVERHANG || x1 - lx1 > cell.w * SPLIT_OVERHANG) {
+            flags.push('split');
+        }
+        const pad = Math.max(1, Math.round(cell.h * SNAP_PAD));
+        const x = Math.max(0, x0 - pad), y = Math.max(0, y0 - pad);
+        const w = Math.min(width, x1 + pad) - x, h = Math.min(height, y1 + pad) - y;
+        return { x, y, w, h, cx: x + w / 2, cy: y + h / 2, area: w * h, lattice, flags };
+    }
+
+    // Refine the grid and target cells of a detection in place
+    function refineCells(binary, det) {
+        det.gridCells = det.gridCells.map(c => refineCell(binary, c));
+        if (det.targetCells) det.targetCells = det.targetCells.map(c => refineCell(binary, c));
+        return det;
+    }
+
+    // The lattice box of a cell (the cell itself before refinement)
+    function latticeOf(cell) {
+        return cell.lattice || cell;
+    }
+
+    // A cell mapped through a homography along with its lattice box
+    function mapCell(h, cell) {
+        const mapped = Geometry.mapBox(h, cell);
+        if (cell.lattice) mapped.lattice = Geometry.mapBox(h, cell.lattice);
+        if (cell.flags) mapped.flags = cell.flags;
+        return mapped;
+    }
+
+    // ===== Perspective =====
+    // A tilted camera turns the grid into a trapezoid, so uniform column
+    // spacing drifts off the outer columns. The corner cells are located
+    // in the frame, the grid is detected again in an image rectified by
+    // the homography through them, and the cells are mapped back.
+
+    // Corner cell centers further than this (in columns) off an axis-aligned
+    // rectangle mean the grid is seen at an angle
+    const SKEW_TOLERANCE = 0.1;
+    // Rectified image margins around the corner cell centers, in column /
+    // row spacings; the top one leaves room for the title and the target
+    // row (findTargetBand looks up to 5 rows above the grid)
+    const RECT_MARGIN_X = 2;
+    const RECT_MARGIN_TOP = 6.5;
+    const RECT_MARGIN_BOTTOM = 1.5;
+
+    /**
+     * Ink centers of the first and last code of one grid row. Ink runs of
+     * the row's column projection are merged into codes; runs too narrow
+     * to be a code (a slanted panel border) are dropped. Returns
+     * { left: [x, y], right: [x, y], count }, or null without any code.
+     */
+    function rowEnds(binary, cy, rowSpacing, xFrom, xTo, colSpacing) {
+        const { data, width, height } = binary;
+        const y0 = Math.max(0, Math.round(cy - rowSpacing * 0.4));
+        const y1 = Math.min(height, Math.round(cy + rowSpacing * 0.4));
+        const x0 = Math.max(0, Math.round(xFrom));
+        const x1 = Math.min(width, Math.round(xTo));
+
+        const runs = [];
+        let start = -1;
+        for (let x = x0; x <= x1; x++) {
+            let lit = false;
+            for (let y = y0; x < x1 && y < y1 && !lit; y++) lit = data[y * width + x] === 255;
+            if (lit && start < 0) start = x;
+            if (!lit && start >= 0) {
+                const last = runs[runs.length - 1];
+                if (last && start - last.end < colSpacing * 0.2) last.end = x;
+                else runs.push({ start, end: x });
+                start = -1;
+            }
+        }
+        const codes = runs.filter(r => r.end - r.start >= colSpacing * 0.25);
+        if (codes.length === 0) return null;
+
+        const center = run => {
+            let sumY = 0, n = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = run.start; x < run.end; x++) {
+                    if (data[y * width + x] === 255) { sumY += y; n++; }
+                }
+            }
+            return [(run.start + run.end) / 2, n ? sumY / n : cy];
+        };
+        return { left: center(codes[0]), right: center(codes[codes.length - 1]), count: codes.length };
+    }
+
+    // Least-squares line v = a + b * u through [u, v] points
+    function fitLine(points) {
+        const n = points.length;
+        let su = 0, sv = 0, suu = 0, suv = 0;
+        for (const [u, v] of points) { su += u; sv += v; suu += u * u; suv += u * v; }
+        const den = n * suu - su * su;
+        const b = den === 0 ? 0 : (n * suv - su * sv) / den;
+        return { a: (sv - b * su) / n, b };
+    }
+
+    /**
+     * Centers of the four corner cells (top-left, top-right, bottom-right,
+     * bottom-left) from an axis-aligned detection. The first and last
+     * code of every readable row give the left and right grid edges as
+     * lines x(y), and each end's y as a line over the row index, so rows
+     * hidden by glare are interpolated. A row is readable when it shows
+     * `expectCols` codes; with auto-detected columns (null) the count
+     * most rows agree on is used, as the frame's column count may be off
+     * when the far side of the grid is narrower. Returns null with fewer
+     * than 4 readable rows.
+     */
+    function estimateCorners(binary, det, expectCols) {
+        const cols = det.cols, rows = det.rows;
+        const cells = det.gridCells.map(latticeOf);
+        const colSpacing = (cells[cols - 1].cx - cells[0].cx) / (cols - 1);
+        const rowSpacing = (cells[(rows - 1) * cols].cy - cells[0].cy) / (rows - 1);
+        const xFrom = cells[0].cx - colSpacing;
+        const xTo = cells[cols - 1].cx + colSpacing;
+
+        const found = [];
+        for (let r = 0; r < rows; r++) {
+            const ends = rowEnds(binary, cells[r * cols].cy, rowSpacing, xFrom, xTo, colSpacing);
+            if (ends) found.push(Object.assign({ r }, ends));
+        }
+        let count = expectCols;
+        if (!count) {
+            const votes = {};
+            found.forEach(e => { votes[e.count] = (votes[e.count] || 0) + 1; });
+            count = Number(Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0]);
+        }
+        const left = [], right = [];
+        found.filter(e => e.count === count).forEach(e => {
+            left.push({ r: e.r, x: e.left[0], y: e.left[1] });
+            right.push({ r: e.r, x: e.right[0], y: e.right[1] });
+        });
+        if (left.length < 4) return null;
+
+        const corner = (ends, r) => {
+            const yAt = fitLine(ends.map(e => [e.r, e.y]));
+            const xAt = fitLine(ends.map(e => [e.y, e.x]));
+            const y = yAt.a + yAt.b * r;
+            return [xAt.a + xAt.b * y, y];
+        };
+        return {
+            points: [corner(left, 0), corner(right, 0), corner(right, rows - 1), corner(left, rows - 1)],
+            cols: count,
+            colSpacing
+        };
+    }
+
+    function isSkewed(points, colSpacing) {
+        const [tl, tr, br, bl] = points;
+        const offset = Math.max(
+            Math.abs(tl[0] - bl[0]), Math.abs(tr[0] - br[0]),
+            Math.abs(tl[1] - tr[1]), Math.abs(bl[1] - br[1])
+        );
+        return offset > colSpacing * SKEW_TOLERANCE;
+    }
+
+    // Corners [tl, tr, br, bl] of the box around a set of cells, mapped
+    // through h (identity when h is null)
+    function cellsQuad(cells, h) {
+        cells = cells.map(latticeOf);
+        const x0 = Math.min(...cells.map(c => c.x)), y0 = Math.min(...cells.map(c => c.y));
+        const x1 = Math.max(...cells.map(c => c.x + c.w)), y1 = Math.max(...cells.map(c => c.y + c.h));
+        const quad = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+        return h ? quad.map(p => Geometry.apply(h, p[0], p[1])) : quad;
+    }
 
+    /**
+     * Detect the grid again in a rectified view when the axis-aligned
+     * detection looks like a trapezoid. Returns the rectified detection
+     * with cells mapped back into frame coordinates, or null when the
+     * grid is not skewed or the rectified pass fails.
+     */
+    function detectRectified(gray, binary, det, profile, attempts) {
+        const est = estimateCorners(binary, det, profile.cols);
+        if (!est || !isSkewed(est.points, est.colSpacing)) return null;
+
+        const [tl, tr, br, bl] = est.points;
+        const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+        const cols = est.cols, rows = det.rows;
+        const colW = (dist(tl, tr) + dist(bl, br)) / 2 / (cols - 1);
+        const rowH = (dist(tl, bl) + dist(tr, br)) / 2 / (rows - 1);
+        const mx = RECT_MARGIN_X * colW, my = RECT_MARGIN_TOP * rowH;
+        const width = Math.round(2 * mx + (cols - 1) * colW);
+        const height = Math.round(my + (rows - 1 + RECT_MARGIN_BOTTOM) * rowH);
+        const rectPoints = [
+            [mx, my], [mx + (cols - 1) * colW, my],
+            [mx + (cols - 1) * colW, my + (rows - 1) * rowH], [mx, my + (rows - 1) * rowH]
+        ];
+        // Maps rectified coordinates to frame coordinates
+        const h = Geometry.homography(rectPoints, est.points);
+
+        const rectGray = {
+            data: Geometry.warp(gray.data, gray.width, gray.height, 1, h, width, height),
+            width, height
+        };
+        // The row count found in the frame holds for its rectified view;
+        // auto-detected columns and target length are counted again there,
+        // where every column has the same pitch
+        const rect = detectAxisAligned(rectGray, null, Object.assign({}, profile, { rows: det.rows }),
+            attempts, 'rectified');
+        if (!rect) return null;
+
+        return {
+            gridCells: rect.gridCells.map(c => mapCell(h, c)),
+            targetCells: rect.targetCells ? rect.targetCells.map(c => mapCell(h, c)) : null,
+            rows: rect.rows,
+            cols: rect.cols,
+            attempt: rect.attempt,
+            corners: {
+                grid: cellsQuad(rect.gridCells, h),
+                target: rect.targetCells ? cellsQuad(rect.targetCells, h) : null
+            },
+            rectification: {
+                homography: h,
+                width, height,
+                gridCells: rect.gridCells,
+                targetCells: rect.targetCells
+            }
+        };
+    }
+
+    function binarize(gray) {
         const blockSize = Math.floor(gray.width / 30) | 1;
-        const binary = adaptiveThreshold(gray, blockSize, 8);
-        const result = findGridByProjection(binary);
-        if (result) return result;
+        return adaptiveThreshold(gray, blockSize, 8);
+    }
+
+    // Binary projections, then grayscale ones; each pass is recorded on
+    // `attempts` and the result keeps the one that found the grid as
+    // `attempt`
+    function detectAxisAligned(gray, binary, profile, attempts, view) {
+        if (!binary) binary = binarize(gray);
+        const bin = newAttempt(view, 'binary');
+        attempts.push(bin);
+        let result = findGridByProjection(binary, profile, bin);
+        if (result) {
+            result.attempt = bin;
+        } else {
+            const gs = newAttempt(view, 'grayscale');
+            attempts.push(gs);
+            result = findGridByGrayscaleProjection(gray, profile, gs);
+            if (result) result.attempt = gs;
+        }
+        return result ? refineCells(binary, result) : null;
+    }
+
+    // Axis-aligned detection, corrected for perspective when the grid is
+    // seen at an angle
+    function detectUpright(gray, binary, profile, attempts, view) {
+        const result = detectAxisAligned(gray, binary, profile, attempts, view);
+        if (!result) return null;
+
+        const rectified = detectRectified(gray, binary, result, profile, attempts);
+        if (rectified) return rectified;
+
+        result.corners = {
+            grid: cellsQuad(result.gridCells, null),
+            target: result.targetCells ? cellsQuad(result.targetCells, null) : null
+        };
+        result.rectification = null;
+        return result;
+    }
+
+    // ===== Rotation =====
+    // A phone held slightly rotated smears the row projection peaks. The
+    // tilt is the angle whose projection is sharpest; the frame is deskewed
+    // by it before detection and the cells are mapped back.
+
+    // Angles searched either way, in degrees: coarse steps, then fine
+    // steps around the best coarse angle
+    const MAX_ROTATION = 15;
+    const ROTATION_STEP = 1;
+    const ROTATION_FINE_STEP = 0.1;
+    // The coarse search projects every n-th lit pixel
+    const ROTATION_COARSE_STRIDE = 4;
+    // Smaller tilts are left to the upright detection
+    const ROTATION_TOLERANCE = 1;
+    // A tilt must sharpen the projection at least this much over level
+    const ROTATION_MIN_GAIN = 1.05;
+
+    // Sum of squared row-projection bins of every `stride`-th point along
+    // rows tilted by `degrees`: highest when the projection lines up with
+    // the text rows
+    function projectionSharpness(points, stride, degrees, bins, offset) {
+        const a = degrees * Math.PI / 180;
+        const sin = Math.sin(a), cos = Math.cos(a);
+        bins.fill(0);
+        for (let i = 0; i < points.length; i += 2 * stride) {
+            bins[Math.round(points[i + 1] * cos - points[i] * sin + offset)]++;
+        }
+        let sum = 0;
+        for (let i = 0; i < bins.length; i++) sum += bins[i] * bins[i];
+        return sum;
+    }
+
+    /**
+     * In-plane rotation of the screen in degrees, positive clockwise,
+     * from the lit pixels of the binary frame. The coarse search uses a
+     * sample of the pixels, the fine one all of them. Returns 0 for tilts
+     * within ROTATION_TOLERANCE or when no angle clearly sharpens the
+     * projection.
+     */
+    function estimateRotation(binary) {
+        const { data, width, height } = binary;
+        let lit = 0;
+        for (let i = 0; i < data.length; i++) if (data[i] === 255) lit++;
+        if (lit === 0) return 0;
+        const points = new Uint16Array(lit * 2);
+        for (let y = 0, n = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[y * width + x] === 255) { points[n++] = x; points[n++] = y; }
+            }
+        }
+        const bins = new Float64Array(width + height + 2);
+
+        const search = (from, to, step, stride) => {
+            let best = { degrees: 0, sharpness: -1 };
+            for (let d = from; d <= to + 1e-9; d += step) {
+                const s = projectionSharpness(points, stride, d, bins, width);
+                if (s > best.sharpness) best = { degrees: d, sharpness: s };
+            }
+            return best;
+        };
+        const coarse = search(-MAX_ROTATION, MAX_ROTATION, ROTATION_STEP, ROTATION_COARSE_STRIDE);
+        if (Math.abs(coarse.degrees) < ROTATION_TOLERANCE) return 0;
+        const best = search(coarse.degrees - ROTATION_STEP, coarse.degrees + ROTATION_STEP, ROTATION_FINE_STEP, 1);
+
+        const degrees = Math.round(best.degrees * 10) / 10;
+        const level = projectionSharpness(points, 1, 0, bins, width);
+        if (Math.abs(degrees) < ROTATION_TOLERANCE || best.sharpness < level * ROTATION_MIN_GAIN) return 0;
+        return degrees;
+    }
+
+    /**
+     * The frame rotated back by `degrees` into a canvas large enough to
+     * hold all of it. Returns { gray, homography } where the homography
+     * maps deskewed coordinates to frame coordinates.
+     */
+    function deskew(gray, degrees) {
+        const a = degrees * Math.PI / 180;
+        const sin = Math.sin(a), cos = Math.cos(a);
+        const width = Math.ceil(gray.width * Math.abs(cos) + gray.height * Math.abs(sin));
+        const height = Math.ceil(gray.width * Math.abs(sin) + gray.height * Math.abs(cos));
+        const fx = gray.width / 2, fy = gray.height / 2;
+        const dx = width / 2, dy = height / 2;
+        const h = [
+            cos, -sin, fx - cos * dx + sin * dy,
+            sin, cos, fy - sin * dx - cos * dy,
+            0, 0, 1
+        ];
+        return {
+            gray: { data: Geometry.warp(gray.data, gray.width, gray.height, 1, h, width, height), width, height },
+            homography: h
+        };
+    }
+
+    // Map a detection made on the deskewed frame back into the frame
+    function unrotate(result, deskewed, degrees) {
+        const h = deskewed.homography;
+        const inner = result.rectification;
+        const source = inner || {
+            width: deskewed.gray.width,
+            height: deskewed.gray.height,
+            gridCells: result.gridCells,
+            targetCells: result.targetCells
+        };
+        const homography = inner ? Geometry.multiply(h, inner.homography) : h;
+        const mapQuad = quad => quad ? quad.map(p => Geometry.apply(h, p[0], p[1])) : null;
+        return {
+            gridCells: source.gridCells.map(c => mapCell(homography, c)),
+            targetCells: source.targetCells ? source.targetCells.map(c => mapCell(homography, c)) : null,
+            rows: result.rows,
+            cols: result.cols,
+            attempt: result.attempt,
+            corners: { grid: mapQuad(result.corners.grid), target: mapQuad(result.corners.target) },
+            rotation: degrees,
+            rectification: {
+                homography,
+                width: source.width,
+                height: source.height,
+                gridCells: source.gridCells,
+                targetCells: source.targetCells
+            }
+        };
+    }
+
+    // ===== Framing pre-check =====
+    // A cheap look at a preview frame, run many times a second while the
+    // user frames the screen: the binary projection pass alone on a
+    // downscaled copy, without deskew, rectification or refinement.
+
+    // Preview width the pre-check works at
+    const PRECHECK_WIDTH = 480;
+
+    // Box-filtered grayscale copy `width` pixels wide
+    function shrinkGray(gray, width) {
+        const scale = gray.width / width;
+        const height = Math.max(1, Math.round(gray.height / scale));
+        const out = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.floor(y * scale), y1 = Math.max(y0 + 1, Math.floor((y + 1) * scale));
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.floor(x * scale), x1 = Math.max(x0 + 1, Math.floor((x + 1) * scale));
+                let sum = 0;
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) sum += gray.data[sy * gray.width + sx];
+                }
+                out[y * width + x] = sum / ((y1 - y0) * (x1 - x0));
+            }
+        }
+        return { data: out, width, height };
+    }
+
+    // Bounding box { x, y, w, h } of a set of cells
+    function boundsOf(cells) {
+        const x0 = Math.min(...cells.map(c => c.x)), y0 = Math.min(...cells.map(c => c.y));
+        const x1 = Math.max(...cells.map(c => c.x + c.w)), y1 = Math.max(...cells.map(c => c.y + c.h));
+        return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+    }
+
+    /**
+     * Focus of a box of a grayscale image in 0-1, from the energy of
+     * 1-pixel differences against 2-pixel ones: a sharp edge puts all of
+     * its step into one pixel (ratio 1/2), an edge blurred over several
+     * pixels spreads it (ratio towards 1/4).
+     */
+    function focusMeasure(gray, box) {
+        const { data, width } = gray;
+        let g1 = 0, g2 = 0;
+        for (let y = box.y; y < box.y + box.h - 2; y++) {
+            for (let x = box.x; x < box.x + box.w - 2; x++) {
+                const i = y * width + x;
+                const dx1 = data[i + 1] - data[i], dx2 = data[i + 2] - data[i];
+                const dy1 = data[i + width] - data[i], dy2 = data[i + 2 * width] - data[i];
+                g1 += dx1 * dx1 + dy1 * dy1;
+                g2 += dx2 * dx2 + dy2 * dy2;
+            }
+        }
+        if (g2 === 0) return 0;
+        return Math.max(0, Math.min(1, (g1 / g2 - 0.25) * 4));
+    }
+
+    /**
+     * Quick framing check of a (preview) frame with the binary projection
+     * pass on a copy at most PRECHECK_WIDTH wide. Returns { grid, target,
+     * rowSpacing, focus, failure, guidance }: the grid and target row
+     * bounding boxes ({ x, y, w, h }, null when not found) and the grid
+     * row spacing in frame pixels, the focus of the grid (0-1, see
+     * focusMeasure) and the failure and guidance as in detect()
+     * diagnostics.
+     */
+    function precheck(imageData, profile) {
+        profile = profile || Puzzle.DEFAULT;
+        let gray = toGrayscale(imageData);
+        const scale = gray.width > PRECHECK_WIDTH ? gray.width / PRECHECK_WIDTH : 1;
+        if (scale > 1) gray = shrinkGray(gray, PRECHECK_WIDTH);
+
+        const attempt = newAttempt('preview', 'binary');
+        const result = findGridByProjection(binarize(gray), profile, attempt);
+        const summary = summarize([attempt], result ? attempt : null, glareFraction(gray));
+        const toFrame = box => box && {
+            x: Math.round(box.x * scale), y: Math.round(box.y * scale),
+            w: Math.round(box.w * scale), h: Math.round(box.h * scale)
+        };
+        const grid = result ? boundsOf(result.gridCells) : null;
+        return {
+            grid: toFrame(grid),
+            target: result && result.targetCells ? toFrame(boundsOf(result.targetCells)) : null,
+            rowSpacing: attempt.rowSpacing === null ? null : attempt.rowSpacing * scale,
+            focus: grid ? focusMeasure(gray, grid) : 0,
+            failure: summary.failure,
+            guidance: summary.guidance
+        };
+    }
+
+    /**
+     * Find the grid and target cells in a frame. `profile` (a Puzzle
+     * profile, default Puzzle.DEFAULT) gives the row, column and target
+     * counts; null counts are auto-detected. Returns { gridCells,
+     * targetCells, rows, cols, corners, rotation, rectification } or null.
+     * Cells are in frame coordinates; `corners` holds the grid and target
+     * quads ([tl, tr, br, bl] points) for drawing and `rotation` the tilt
+     * the frame was deskewed by (degrees clockwise, 0 when level). When the
+     * grid is tilted or seen at an angle, `rectification` holds the
+     * homography from the rectified view to the frame, its size and the
+     * cells in rectified coordinates (Processor.extractDetected samples
+     * from there); otherwise it is null.
+     *
+     * `confidence` (0-1) rates the detection and `diagnostics` describes
+     * it: { path, view, bands, rowGroupVariance, rowSpacing,
+     * targetCandidates, failure, glare, guidance, attempts }. `path` is the projection path that found
+     * the grid (binary or grayscale) and `view` the image it ran on (frame,
+     * deskewed or rectified); `failure` is one of FAILURES ('no-target'
+     * when only the target row is missing) and `guidance` a short hint for
+     * the user. The same diagnostics are assigned to the optional
+     * `diagnostics` object, so callers learn why detection returned null.
+     */
+    function detect(imageData, profile, diagnostics) {
+        profile = profile || Puzzle.DEFAULT;
+        const gray = toGrayscale(imageData);
+        const binary = binarize(gray);
+        const attempts = [];
+
+        let result = null;
+        const degrees = estimateRotation(binary);
+        if (degrees !== 0) {
+            const deskewed = deskew(gray, degrees);
+            const upright = detectUpright(deskewed.gray, binarize(deskewed.gray), profile, attempts, 'deskewed');
+            if (upright) result = unrotate(upright, deskewed, degrees);
+        }
+        if (!result) {
+            result = detectUpright(gray, binary, profile, attempts, 'frame');
+            if (result) result.rotation = 0;
+        }
 
-        return findGridByGrayscaleProjection(gray);
+        const used = result ? result.attempt : null;
+        const summary = summarize(attempts, used, glareFraction(gray));
+        if (diagnostics) Object.assign(diagnostics, summary);
+        if (!result) return null;
+        delete result.attempt;
+        result.confidence = detectionConfidence(result, used);
+        result.diagnostics = summary;
+        return result;
     }
 
-    function debugDetect(imageData) {
+    function debugDetect(imageData, profile) {
+        profile = profile || Puzzle.DEFAULT;
+        const minRows = profile.rows || Puzzle.MIN_ROWS;
         const gray = toGrayscale(imageData);
         const { width, height } = gray;
         const lines = [];
@@ -553,10 +1546,10 @@ const Detector = (() => {
         const binary = adaptiveThreshold(gray, blockSize, 8);
         const rProj = rowProjection(binary);
         const rawBands = findPeaks(rProj, 0.02).filter(b => (b.end - b.start) >= 3);
-        const mergedBin = mergeBands(rawBands);
+        const mergedBin = mergeBands(rawBands, minRows, ROW_GAP_QUANTILE);
         lines.push(`BIN: ${rawBands.length}→${mergedBin.length} bands`);
 
-        const binResult = findGridByProjection(binary);
+        const binResult = findGridByProjection(binary, profile, newAttempt('frame', 'binary'));
         if (binResult) {
             lines.push(`BIN: ${binResult.gridCells.length}c tgt:${binResult.targetCells ? binResult.targetCells.length : 0}`);
         } else {
@@ -572,10 +1565,10 @@ const Detector = (() => {
         const detrendKernel = Math.max(20, Math.round(height / 40));
         const rowDet = detrendedProjection(rowMean, detrendKernel);
         const gsBands = findPeaks(rowDet, 3).filter(b => (b.end - b.start) >= 3);
-        const gsMerged = mergeBands(gsBands);
+        const gsMerged = mergeBands(gsBands, minRows, ROW_GAP_QUANTILE);
         lines.push(`GS: ${gsBands.length}→${gsMerged.length} bands`);
 
-        const gsResult = findGridByGrayscaleProjection(gray);
+        const gsResult = findGridByGrayscaleProjection(gray, profile, newAttempt('frame', 'grayscale'));
         if (gsResult) {
             lines.push(`GS: ${gsResult.gridCells.length}c tgt:${gsResult.targetCells ? gsResult.targetCells.length : 0}`);
             if (gsResult.gridCells.length > 0) {
@@ -602,5 +1595,8 @@ const Detector = (() => {
         return { cProj, peaks };
     }
 
-    return { detect, debugDetect, toGrayscale, adaptiveThreshold, debugColProjection };
+    return {
+        FAILURES, GUIDANCE, TARGET_REJECTIONS, PRECHECK_WIDTH,
+        detect, precheck, debugDetect, toGrayscale, adaptiveThreshold, refineCell, debugColProjection
+    };
 })();
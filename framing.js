@@ -0,0 +1,105 @@
+const Framing = (() => {
+    // Focus (Detector.precheck, 0-1) below which codes stop reading
+    // reliably: synthetic frames read cleanly up to a blur sigma of
+    // about 1.5 px (focus 0.86) and misread from 1.75 (0.64)
+    const MIN_FOCUS = 0.75;
+    // Grid row spacing in video pixels below which the grid is too small
+    // to read well (the standard game at arm's length is about 50)
+    const MIN_ROW_SPACING = 28;
+    // Ready checks in a row, each within MAX_DRIFT of the last grid box
+    // (as a fraction of its width), before the tracker fires
+    const STABLE_CHECKS = 4;
+    const MAX_DRIFT = 0.05;
+
+    const GUIDANCE = {
+        'too-small': Detector.GUIDANCE['few-bands'],
+        'blurred': Quality.GUIDANCE.blurred,
+        'ready': 'Hold steady...'
+    };
+
+    // Scale a preview box { x, y, w, h } to video pixels
+    function scaleBox(box, scale) {
+        return box && { x: box.x * scale, y: box.y * scale, w: box.w * scale, h: box.h * scale };
+    }
+
+    /**
+     * Framing check of a preview frame (see Camera.capturePreview).
+     * `options`: { profile, scale } with `scale` the video pixels per
+     * preview pixel. Returns { grid, target, found, focused, large, ready,
+     * focus, rowSpacing, guidance } with the grid and target row boxes
+     * and the row spacing in video pixels; `ready` when all of the grid,
+     * the target row, focus and size are good.
+     */
+    function check(preview, options) {
+        options = options || {};
+        const scale = options.scale || 1;
+        const pre = Detector.precheck(preview, options.profile);
+        const rowSpacing = pre.rowSpacing === null ? null : pre.rowSpacing * scale;
+        const found = !!pre.grid;
+        const result = {
+            grid: scaleBox(pre.grid, scale),
+            target: scaleBox(pre.target, scale),
+            found,
+            focused: found && pre.focus >= MIN_FOCUS,
+            large: rowSpacing !== null && rowSpacing >= MIN_ROW_SPACING,
+            ready: false,
+            focus: pre.focus,
+            rowSpacing,
+            guidance: null
+        };
+        result.ready = found && !!result.target && result.focused && result.large;
+
+        if (!found || !result.target) result.guidance = pre.guidance;
+        else if (!result.large) result.guidance = GUIDANCE['too-small'];
+        else if (!result.focused) result.guidance = GUIDANCE.blurred;
+        else result.guidance = GUIDANCE.ready;
+        return result;
+    }
+
+    /**
+     * Tracks framing checks over time. update(check) returns { count,
+     * stable, fire }: `count` ready checks in a row with the grid holding
+     * still, `stable` once there are STABLE_CHECKS of them, and `fire` on
+     * the one check that should trigger a scan. It fires once per framing;
+     * losing the grid (or moving it) re-arms it.
+     */
+    function createTracker() {
+        let count = 0;
+        let fired = false;
+        let last = null;
+
+        function update(current) {
+            if (!current.ready) {
+                count = 0;
+                fired = false;
+                last = null;
+                return { count, stable: false, fire: false };
+            }
+            const box = current.grid;
+            const drift = last ? Math.max(
+                Math.abs(box.x - last.x), Math.abs(box.y - last.y),
+                Math.abs(box.x + box.w - last.x - last.w), Math.abs(box.y + box.h - last.y - last.h)
+            ) / box.w : 0;
+            if (drift > MAX_DRIFT) {
+                count = 0;
+                fired = false;
+            }
+            count++;
+            last = box;
+            const stable = count >= STABLE_CHECKS;
+            const fire = stable && !fired;
+            if (fire) fired = true;
+            return { count, stable, fire };
+        }
+
+        function reset() {
+            count = 0;
+            fired = false;
+            last = null;
+        }
+
+        return { update, reset };
+    }
+
+    return { MIN_FOCUS, MIN_ROW_SPACING, STABLE_CHECKS, MAX_DRIFT, GUIDANCE, check, createTracker };
+})();
@@ -0,0 +1,87 @@
+const Fusion = (() => {
+    // Max cell-center drift between frames, as a fraction of cell width,
+    // before two detections are treated as different lattices
+    const ALIGN_TOLERANCE = 0.35;
+    // Per-cell binary hamming distance above which a cell "changed"
+    const CELL_CHANGE_DIST = 0.2;
+    // Fraction of changed cells that marks a reshuffle
+    const SHUFFLE_CHANGE_RATIO = 0.4;
+
+    /**
+     * Whether two detections describe the same grid lattice: same cell
+     * counts and every cell center within ALIGN_TOLERANCE of its partner.
+     * Small hand shake is fine because each frame is extracted with its
+     * own boxes; this only rejects frames where the lattice shifted by
+     * a cell or detection picked different rows.
+     */
+    function aligned(detA, detB) {
+        if (!detA || !detB) return false;
+        if (!sameBoxes(detA.gridCells, detB.gridCells)) return false;
+        if (!detA.targetCells || !detB.targetCells) return !detA.targetCells === !detB.targetCells;
+        return sameBoxes(detA.targetCells, detB.targetCells);
+    }
+
+    // Compares lattice boxes: refined boxes follow each frame's ink
+    function sameBoxes(a, b) {
+        if (a.length !== b.length) return false;
+        for (var i = 0; i < a.length; i++) {
+            var la = a[i].lattice || a[i], lb = b[i].lattice || b[i];
+            var tol = Math.max(2, la.w * ALIGN_TOLERANCE);
+            if (Math.abs(la.cx - lb.cx) > tol) return false;
+            if (Math.abs(la.cy - lb.cy) > tol) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Whether two sets of extracted grid cells show the same shuffle.
+     * Noise and blur flip a few pixels per cell; a reshuffle replaces the
+     * code in almost every cell.
+     */
+    function sameShuffle(cellsA, cellsB) {
+        if (cellsA.length !== cellsB.length || cellsA.length === 0) return false;
+        var changed = 0;
+        for (var i = 0; i < cellsA.length; i++) {
+            var dist = Matcher.hammingDist(Matcher.toBinary(cellsA[i]), Matcher.toBinary(cellsB[i]));
+            if (dist > CELL_CHANGE_DIST) changed++;
+        }
+        return changed / cellsA.length < SHUFFLE_CHANGE_RATIO;
+    }
+
+    /**
+     * Average corresponding cells across frames.
+     * cellSets: array of per-frame cell arrays (all the same length).
+     */
+    function averageCells(cellSets) {
+        var n = cellSets.length;
+        var out = [];
+        for (var c = 0; c < cellSets[0].length; c++) {
+            var len = cellSets[0][c].length;
+            var sum = new Uint32Array(len);
+            for (var f = 0; f < n; f++) {
+                var px = cellSets[f][c];
+                for (var i = 0; i < len; i++) sum[i] += px[i];
+            }
+            var avg = new Uint8Array(len);
+            for (var j = 0; j < len; j++) avg[j] = Math.round(sum[j] / n);
+            out.push(avg);
+        }
+        return out;
+    }
+
+    /**
+     * Fuse extractions of the same shuffle into one by pixel averaging.
+     * extractions: array of { gridCells, targetCells } from Processor.extractAllCells.
+     */
+    function fuse(extractions) {
+        if (extractions.length === 1) return extractions[0];
+        return {
+            gridCells: averageCells(extractions.map(function(e) { return e.gridCells; })),
+            targetCells: extractions[0].targetCells.length > 0
+                ? averageCells(extractions.map(function(e) { return e.targetCells; }))
+                : []
+        };
+    }
+
+    return { aligned, sameShuffle, averageCells, fuse };
+})();
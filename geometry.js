@@ -0,0 +1,105 @@
+const Geometry = (() => {
+
+    /**
+     * Solve for the 3x3 homography mapping 4 src points onto 4 dst points
+     * ([[x, y], ...]). Returns a row-major array of 9 numbers (h22 = 1).
+     */
+    function homography(src, dst) {
+        const A = [];
+        for (let i = 0; i < 4; i++) {
+            const x = src[i][0], y = src[i][1];
+            const u = dst[i][0], v = dst[i][1];
+            A.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+            A.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+        }
+        // Gaussian elimination with partial pivoting on the 8x9 augmented matrix
+        for (let c = 0; c < 8; c++) {
+            let pivot = c;
+            for (let r = c + 1; r < 8; r++) {
+                if (Math.abs(A[r][c]) > Math.abs(A[pivot][c])) pivot = r;
+            }
+            const tmp = A[c]; A[c] = A[pivot]; A[pivot] = tmp;
+            for (let r = 0; r < 8; r++) {
+                if (r === c) continue;
+                const f = A[r][c] / A[c][c];
+                for (let k = c; k < 9; k++) A[r][k] -= f * A[c][k];
+            }
+        }
+        const h = [];
+        for (let i = 0; i < 8; i++) h.push(A[i][8] / A[i][i]);
+        h.push(1);
+        return h;
+    }
+
+    function apply(h, x, y) {
+        const w = h[6] * x + h[7] * y + h[8];
+        return [(h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w];
+    }
+
+    // Homography applying b first, then a
+    function multiply(a, b) {
+        const m = [];
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                m.push(a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c]);
+            }
+        }
+        return m;
+    }
+
+    /**
+     * Resample an image through a homography: output pixel (x, y) takes the
+     * bilinear sample of the source at apply(h, x, y), so `h` maps output
+     * coordinates to source coordinates. Works on any channel count
+     * (1 = grayscale, 4 = RGBA); outside the source the output is 0.
+     */
+    function warp(src, srcW, srcH, channels, h, outW, outH) {
+        const out = new Uint8ClampedArray(outW * outH * channels);
+        for (let y = 0; y < outH; y++) {
+            for (let x = 0; x < outW; x++) {
+                const w = h[6] * (x + 0.5) + h[7] * (y + 0.5) + h[8];
+                const fx = (h[0] * (x + 0.5) + h[1] * (y + 0.5) + h[2]) / w - 0.5;
+                const fy = (h[3] * (x + 0.5) + h[4] * (y + 0.5) + h[5]) / w - 0.5;
+                if (fx < 0 || fy < 0 || fx > srcW - 1 || fy > srcH - 1) continue;
+                const x0 = Math.floor(fx), y0 = Math.floor(fy);
+                const ax = fx - x0, ay = fy - y0;
+                // The far neighbours repeat the last column / row at the edge
+                const dx = x0 + 1 < srcW ? channels : 0;
+                const dy = y0 + 1 < srcH ? srcW * channels : 0;
+                const i00 = (y0 * srcW + x0) * channels, i10 = i00 + dx;
+                const i01 = i00 + dy, i11 = i01 + dx;
+                const o = (y * outW + x) * channels;
+                for (let c = 0; c < channels; c++) {
+                    const top = src[i00 + c] + (src[i10 + c] - src[i00 + c]) * ax;
+                    const bottom = src[i01 + c] + (src[i11 + c] - src[i01 + c]) * ax;
+                    out[o + c] = top + (bottom - top) * ay;
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Axis-aligned bounding box { x, y, w, h, cx, cy, area } of a box in
+     * one coordinate space after mapping its corners through `h`; the
+     * center is the mapped box center.
+     */
+    function mapBox(h, box) {
+        const pts = [
+            apply(h, box.x, box.y), apply(h, box.x + box.w, box.y),
+            apply(h, box.x + box.w, box.y + box.h), apply(h, box.x, box.y + box.h)
+        ];
+        const xs = pts.map(p => p[0]), ys = pts.map(p => p[1]);
+        const x = Math.min.apply(null, xs), y = Math.min.apply(null, ys);
+        const w = Math.max.apply(null, xs) - x, hh = Math.max.apply(null, ys) - y;
+        const c = apply(h, box.x + box.w / 2, box.y + box.h / 2);
+        return {
+            x: Math.max(0, Math.round(x)), y: Math.max(0, Math.round(y)),
+            w: Math.round(w), h: Math.round(hh),
+            cx: c[0], cy: c[1],
+            area: Math.round(w * hh)
+        };
+    }
+
+    return { homography, apply, multiply, warp, mapBox };
+})();
@@ -0,0 +1,74 @@
+const Learned = (() => {
+    // Learned character templates persisted in IndexedDB: one record per
+    // charset + character holding its newest exemplar half-cells.
+    const DB_NAME = 'hack-solver';
+    const DB_VERSION = 1;
+    const STORE = 'learnedTemplates';
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(STORE, { keyPath: 'id' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // A failed open (private mode, quota) may succeed on a later call
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    function done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Install every stored exemplar into Templates. Resolves with the
+     * number of learned characters.
+     */
+    async function load() {
+        const db = await openDb();
+        const tx = db.transaction(STORE, 'readonly');
+        const req = tx.objectStore(STORE).getAll();
+        await done(tx);
+        req.result.forEach(record => Templates.setLearned(record.charset, record.char, record.exemplars));
+        return req.result.length;
+    }
+
+    /**
+     * Learn exemplars [{ charset, char, pixels }] (see
+     * Solver.learnableExemplars) and persist the characters they touch.
+     * Templates are updated even when storage is unavailable.
+     */
+    async function save(exemplars) {
+        const touched = new Map();
+        exemplars.forEach(e => {
+            Templates.learn(e.charset, e.char, e.pixels);
+            touched.set(e.charset + ' ' + e.char, e);
+        });
+        if (touched.size === 0) return 0;
+
+        const db = await openDb();
+        const tx = db.transaction(STORE, 'readwrite');
+        const store = tx.objectStore(STORE);
+        touched.forEach((e, id) => {
+            store.put({ id: id, charset: e.charset, char: e.char, exemplars: Templates.getLearned(e.charset, e.char) });
+        });
+        await done(tx);
+        return touched.size;
+    }
+
+    return { load, save };
+})();
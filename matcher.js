@@ -90,23 +90,28 @@ const Matcher = (() => {
     }
 
     /**
-     * Find the best starting position where 4 consecutive grid cells
-     * match the 4 target cells.
+     * Find the best starting position where consecutive grid cells match
+     * the target cells. `profile` (a resolved Puzzle profile) gives the
+     * column count and the wrap rule that decides which cells follow a
+     * position; without one the grid wraps as in the standard game.
      *
      * Uses masked binary hamming as the primary metric — compares only
      * foreground (text) pixels, ignoring background agreement that would
      * otherwise make all cells look similar.
      *
-     * Best 3-of-4 scoring: drops the worst-matching target cell to handle
-     * one badly-extracted cell.
+     * With 4 or more targets the worst-matching target cell is dropped
+     * (best 3-of-4) to handle one badly-extracted cell.
      */
-    function findMatch(targetCells, gridCells) {
-        if (targetCells.length < 4 || gridCells.length < 4) {
+    function findMatch(targetCells, gridCells, profile) {
+        if (targetCells.length < 2 || gridCells.length < 4) {
             return null;
         }
 
-        var numTargets = Math.min(4, targetCells.length);
+        var numTargets = targetCells.length;
         var numGridCells = gridCells.length;
+        var cols = columnsOf(profile, numGridCells);
+        var wrap = profile ? profile.wrap : 'grid';
+        var kept = numTargets >= 4 ? numTargets - 1 : numTargets;
 
         // Pre-compute binary at full and half resolution
         var targetBin = [], targetBinSmall = [];
@@ -124,10 +129,15 @@ const Matcher = (() => {
         var scores = new Float64Array(numGridCells);
 
         for (var pos = 0; pos < numGridCells; pos++) {
-            // Compute per-cell distances, then use best 3-of-4
+            var seq = Puzzle.sequence(wrap, pos, numTargets, numGridCells, cols);
+            if (!seq) {
+                scores[pos] = Infinity;
+                continue;
+            }
+            // Compute per-cell distances, then keep the best ones
             var cellScores = [];
             for (var t2 = 0; t2 < numTargets; t2++) {
-                var gridIdx = (pos + t2) % numGridCells;
+                var gridIdx = seq[t2];
 
                 // Primary: masked hamming at full resolution (foreground-only)
                 var mh = maskedHamming(targetBin[t2], gridBin[gridIdx]);
@@ -141,9 +151,11 @@ const Matcher = (() => {
                 cellScores.push(mh * 2 + mhSmall + ham * 0.5);
             }
 
-            // Best 3-of-4: sort and drop worst cell match
+            // Sort and drop the worst cell match
             cellScores.sort(function(a, b) { return a - b; });
-            scores[pos] = cellScores[0] + cellScores[1] + cellScores[2];
+            var sum = 0;
+            for (var k = 0; k < kept; k++) sum += cellScores[k];
+            scores[pos] = sum;
         }
 
         // Find top 3 matches (lowest scores)
@@ -169,8 +181,6 @@ const Matcher = (() => {
             ? Math.min(1, (top[1].score - top[0].score) / top[1].score)
             : 0;
 
-        var cols = estimateColumns(gridCells.length);
-
         return {
             position: top[0].pos,
             row: Math.floor(top[0].pos / cols) + 1,
@@ -198,23 +208,34 @@ const Matcher = (() => {
         return 10;
     }
 
+    function columnsOf(profile, totalCells) {
+        return profile && profile.cols ? profile.cols : estimateColumns(totalCells);
+    }
+
     /**
      * Find match by comparing OCR text strings.
      * targetCodes: array of 4 strings (e.g., ["58","38","69","61"])
      * gridCodes: flat array of 80 strings (row-major order)
+     * profile: optional resolved Puzzle profile, as for findMatch
      */
-    function findMatchByText(targetCodes, gridCodes) {
+    function findMatchByText(targetCodes, gridCodes, profile) {
         if (!targetCodes || !gridCodes) return null;
         if (targetCodes.length < 2 || gridCodes.length < 4) return null;
 
         const numCodes = gridCodes.length;
         const numTargets = targetCodes.length;
-        const cols = estimateColumns(numCodes);
+        const cols = columnsOf(profile, numCodes);
+        const wrap = profile ? profile.wrap : 'grid';
+        const sequences = [];
+        for (let pos = 0; pos < numCodes; pos++) {
+            sequences.push(Puzzle.sequence(wrap, pos, numTargets, numCodes, cols));
+        }
 
         for (let pos = 0; pos < numCodes; pos++) {
+            if (!sequences[pos]) continue;
             let match = true;
             for (let t = 0; t < numTargets; t++) {
-                const gridIdx = (pos + t) % numCodes;
+                const gridIdx = sequences[pos][t];
                 if (gridCodes[gridIdx] !== targetCodes[t]) {
                     match = false;
                     break;
@@ -238,9 +259,10 @@ const Matcher = (() => {
         let bestScore = Infinity;
         let secondBest = Infinity;
         for (let pos = 0; pos < numCodes; pos++) {
+            if (!sequences[pos]) continue;
             let totalScore = 0;
             for (let t = 0; t < numTargets; t++) {
-                const gridIdx = (pos + t) % numCodes;
+                const gridIdx = sequences[pos][t];
                 const a = targetCodes[t];
                 const b = gridCodes[gridIdx];
                 if (a === b) continue;
@@ -287,7 +309,8 @@ const Matcher = (() => {
 
     /**
      * Identify a single character by matching a half-cell against charset templates.
-     * Returns { char, distance } for the best match.
+     * Templates.getCharset lists learned exemplars first, so they win ties
+     * against rendered glyphs. Returns { char, distance } for the best match.
      */
     function identifyChar(halfPixels, charsetTemplates) {
         var halfBin = toBinary(halfPixels);
@@ -1,14 +1,72 @@
 const Processor = (() => {
     const CELL_SIZE = 32;
-    let tempCanvas = null;
-    let tempCtx = null;
 
-    function getCanvas() {
-        if (!tempCanvas) {
-            tempCanvas = document.createElement('canvas');
-            tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
+    /**
+     * Precompute resampling taps for one axis as flat [srcIndex, weight, ...]
+     * lists per destination pixel. Downscaling averages the covered source
+     * area (fractional overlap at the edges); upscaling interpolates
+     * linearly between the two nearest source pixel centers.
+     */
+    function axisTaps(srcLen, dstLen) {
+        const scale = srcLen / dstLen;
+        const taps = [];
+        for (let d = 0; d < dstLen; d++) {
+            const list = [];
+            if (scale > 1) {
+                const start = d * scale;
+                const end = start + scale;
+                const last = Math.min(srcLen, Math.ceil(end));
+                for (let s = Math.floor(start); s < last; s++) {
+                    const overlap = Math.min(end, s + 1) - Math.max(start, s);
+                    if (overlap > 0) list.push(s, overlap / scale);
+                }
+            } else {
+                const pos = Math.min(srcLen - 1, Math.max(0, (d + 0.5) * scale - 0.5));
+                const s0 = Math.floor(pos);
+                const s1 = Math.min(srcLen - 1, s0 + 1);
+                const f = pos - s0;
+                list.push(s0, 1 - f, s1, f);
+            }
+            taps.push(list);
+        }
+        return taps;
+    }
+
+    /**
+     * Resample a rectangle of a grayscale image to dstW × dstH.
+     * Pure typed-array replacement for canvas drawImage scaling, so the
+     * extraction path runs the same in the browser, a worker and Node.
+     *
+     * src: Uint8Array grayscale with row stride srcStride.
+     * rect: { x, y, w, h } source region.
+     */
+    function resample(src, srcStride, rect, dstW, dstH) {
+        const xTaps = axisTaps(rect.w, dstW);
+        const yTaps = axisTaps(rect.h, dstH);
+
+        // Horizontal pass: rect.h rows × dstW columns
+        const tmp = new Float32Array(dstW * rect.h);
+        for (let y = 0; y < rect.h; y++) {
+            const rowStart = (rect.y + y) * srcStride + rect.x;
+            for (let x = 0; x < dstW; x++) {
+                const t = xTaps[x];
+                let sum = 0;
+                for (let k = 0; k < t.length; k += 2) sum += src[rowStart + t[k]] * t[k + 1];
+                tmp[y * dstW + x] = sum;
+            }
         }
-        return { canvas: tempCanvas, ctx: tempCtx };
+
+        // Vertical pass
+        const out = new Uint8Array(dstW * dstH);
+        for (let y = 0; y < dstH; y++) {
+            const t = yTaps[y];
+            for (let x = 0; x < dstW; x++) {
+                let sum = 0;
+                for (let k = 0; k < t.length; k += 2) sum += tmp[t[k] * dstW + x] * t[k + 1];
+                out[y * dstW + x] = Math.min(255, Math.max(0, Math.round(sum)));
+            }
+        }
+        return out;
     }
 
     /**
@@ -17,7 +75,6 @@ const Processor = (() => {
      * font sizes produce similar normalized images.
      */
     function extractCell(imageData, blob, padding, overrideThreshold) {
-        const { canvas, ctx } = getCanvas();
         const { width, height, data } = imageData;
         const pad = padding || 2;
 
@@ -82,38 +139,12 @@ const Processor = (() => {
         const cropW = tMaxX - tMinX + 1;
         const cropH = tMaxY - tMinY + 1;
 
-        // Draw tight-cropped region to canvas, scaled to CELL_SIZE
-        const srcCanvas = document.createElement('canvas');
-        srcCanvas.width = cropW;
-        srcCanvas.height = cropH;
-        const srcCtx = srcCanvas.getContext('2d');
-        const cropData = srcCtx.createImageData(cropW, cropH);
-
-        for (let y = 0; y < cropH; y++) {
-            for (let x = 0; x < cropW; x++) {
-                const g = cellGray[(tMinY + y) * sw + (tMinX + x)];
-                const dstIdx = (y * cropW + x) * 4;
-                cropData.data[dstIdx] = g;
-                cropData.data[dstIdx + 1] = g;
-                cropData.data[dstIdx + 2] = g;
-                cropData.data[dstIdx + 3] = 255;
-            }
-        }
-        srcCtx.putImageData(cropData, 0, 0);
-
-        canvas.width = CELL_SIZE;
-        canvas.height = CELL_SIZE;
-        ctx.drawImage(srcCanvas, 0, 0, cropW, cropH, 0, 0, CELL_SIZE, CELL_SIZE);
-        const scaled = ctx.getImageData(0, 0, CELL_SIZE, CELL_SIZE);
-
-        // Convert to grayscale and normalize contrast
-        const gray = new Uint8Array(CELL_SIZE * CELL_SIZE);
+        // Scale the tight-cropped region to CELL_SIZE
+        const gray = resample(cellGray, sw, { x: tMinX, y: tMinY, w: cropW, h: cropH }, CELL_SIZE, CELL_SIZE);
         let gMin = 255, gMax = 0;
         for (let i = 0; i < gray.length; i++) {
-            const v = scaled.data[i * 4];
-            gray[i] = v;
-            if (v < gMin) gMin = v;
-            if (v > gMax) gMax = v;
+            if (gray[i] < gMin) gMin = gray[i];
+            if (gray[i] > gMax) gMax = gray[i];
         }
 
         // Contrast normalization: stretch to 0-255
@@ -179,106 +210,214 @@ const Processor = (() => {
     }
 
     /**
-     * Split a 32×32 cell containing 2 characters into left and right halves.
-     * Each half is tight-cropped and stretched to 32×32 with contrast normalization.
+     * Resample the rectified view of a frame (see Detector.detect) over
+     * the given region of rectified coordinates. Returns an ImageData-like
+     * { data, width, height } whose pixel (0, 0) is the region's origin.
      */
-    function splitCellHalves(cellPixels) {
-        const halfW = CELL_SIZE / 2;
-        const halves = [];
+    function rectify(imageData, rectification, region) {
+        const h = rectification.homography;
+        const rx = region.x, ry = region.y;
+        // Shift output pixels by the region origin before the homography
+        const shifted = [
+            h[0], h[1], h[0] * rx + h[1] * ry + h[2],
+            h[3], h[4], h[3] * rx + h[4] * ry + h[5],
+            h[6], h[7], h[6] * rx + h[7] * ry + h[8]
+        ];
+        return {
+            data: Geometry.warp(imageData.data, imageData.width, imageData.height, 4, shifted, region.w, region.h),
+            width: region.w,
+            height: region.h
+        };
+    }
 
-        for (let side = 0; side < 2; side++) {
-            const startX = side * halfW;
+    /**
+     * Extract the cells of a detection. A perspective-corrected detection
+     * is sampled from its rectified view (only the area around the cells is
+     * resampled), so tilted cells come out upright; otherwise this is
+     * extractAllCells on the frame. Target cells are skipped when
+     * withTargets is false.
+     */
+    function extractDetected(imageData, detection, withTargets) {
+        const rect = detection.rectification;
+        if (!rect) {
+            return extractAllCells(imageData, detection.gridCells, withTargets ? detection.targetCells : null);
+        }
+        const targets = withTargets && rect.targetCells ? rect.targetCells : [];
+        const cells = rect.gridCells.concat(targets);
+        const pad = 4;
+        const x0 = Math.max(0, Math.min(...cells.map(c => c.x)) - pad);
+        const y0 = Math.max(0, Math.min(...cells.map(c => c.y)) - pad);
+        const x1 = Math.min(rect.width, Math.max(...cells.map(c => c.x + c.w)) + pad);
+        const y1 = Math.min(rect.height, Math.max(...cells.map(c => c.y + c.h)) + pad);
+        const view = rectify(imageData, rect, { x: x0, y: y0, w: x1 - x0, h: y1 - y0 });
+        const shift = c => ({ x: c.x - x0, y: c.y - y0, w: c.w, h: c.h });
+        return extractAllCells(view, rect.gridCells.map(shift), targets.length ? targets.map(shift) : null);
+    }
 
-            // Extract half region
-            const halfGray = new Uint8Array(halfW * CELL_SIZE);
-            for (let y = 0; y < CELL_SIZE; y++) {
-                for (let x = 0; x < halfW; x++) {
-                    halfGray[y * halfW + x] = cellPixels[y * CELL_SIZE + startX + x];
-                }
-            }
+    // ===== Character segmentation =====
+    // The two characters of a code are rarely equally wide (W next to 1,
+    // Greek Ψ, runes), and a crop off-center by a few pixels moves the gap
+    // between them. The split is placed in the widest ink-free column run
+    // near the middle of the ink; when the glyphs touch, at a clear valley
+    // of the column projection; otherwise at the cell midpoint.
+
+    // Split search window around the ink center, as a fraction of the ink width
+    const SPLIT_WINDOW = 0.25;
+    // Columns with at most this many ink pixels count as gap (speckle)
+    const GAP_NOISE = 1;
+    // An ink-free run this wide (or wider) is a certain split
+    const CLEAR_GAP = 2;
+    // A valley at most this fraction of the lower neighbouring peak
+    // separates touching glyphs
+    const VALLEY_RATIO = 0.5;
+    // Narrowest part either side of a split, in columns
+    const MIN_PART = 3;
 
-            // Tight crop
-            let minVal = 255, maxVal = 0;
-            for (let i = 0; i < halfGray.length; i++) {
-                if (halfGray[i] < minVal) minVal = halfGray[i];
-                if (halfGray[i] > maxVal) maxVal = halfGray[i];
+    /**
+     * Locate the split between the two characters of a CELL_SIZE × CELL_SIZE
+     * cell. Returns { split, quality }: the first column of the right
+     * character and how clearly the glyphs separate there, from 1 (a gap
+     * of CLEAR_GAP columns or more) through under 0.5 (touching glyphs
+     * split at a projection valley) to 0 (ambiguous: the cell midpoint).
+     */
+    function findSplit(cellPixels) {
+        const mid = CELL_SIZE / 2;
+        let minVal = 255, maxVal = 0;
+        for (let i = 0; i < cellPixels.length; i++) {
+            if (cellPixels[i] < minVal) minVal = cellPixels[i];
+            if (cellPixels[i] > maxVal) maxVal = cellPixels[i];
+        }
+        if (maxVal - minVal <= 10) return { split: mid, quality: 0 };
+        const threshold = (minVal + maxVal) / 2;
+
+        // Column projection of ink pixels
+        const cols = new Array(CELL_SIZE).fill(0);
+        for (let y = 0; y < CELL_SIZE; y++) {
+            for (let x = 0; x < CELL_SIZE; x++) {
+                if (cellPixels[y * CELL_SIZE + x] > threshold) cols[x]++;
             }
-            const threshold = (minVal + maxVal) / 2;
-
-            let tMinX = halfW, tMaxX = 0, tMinY = CELL_SIZE, tMaxY = 0;
-            let hasText = false;
-            for (let y = 0; y < CELL_SIZE; y++) {
-                for (let x = 0; x < halfW; x++) {
-                    if (halfGray[y * halfW + x] > threshold) {
-                        hasText = true;
-                        if (x < tMinX) tMinX = x;
-                        if (x > tMaxX) tMaxX = x;
-                        if (y < tMinY) tMinY = y;
-                        if (y > tMaxY) tMaxY = y;
-                    }
-                }
+        }
+        let x0 = 0, x1 = CELL_SIZE - 1;
+        while (x0 < x1 && cols[x0] <= GAP_NOISE) x0++;
+        while (x1 > x0 && cols[x1] <= GAP_NOISE) x1--;
+        const inkW = x1 - x0 + 1;
+        if (inkW < MIN_PART * 2 + 1) return { split: mid, quality: 0 };
+
+        const center = (x0 + x1 + 1) / 2;
+        const lo = Math.max(x0 + MIN_PART, Math.floor(center - inkW * SPLIT_WINDOW));
+        const hi = Math.min(x1 - MIN_PART + 1, Math.ceil(center + inkW * SPLIT_WINDOW));
+
+        // Widest gap in the window, the one nearer the ink center on a tie
+        let best = null;
+        for (let x = lo; x <= hi; x++) {
+            if (cols[x] > GAP_NOISE) continue;
+            let end = x;
+            while (end + 1 <= hi && cols[end + 1] <= GAP_NOISE) end++;
+            const run = { start: x, len: end - x + 1, at: Math.round((x + end + 1) / 2) };
+            if (!best || run.len > best.len ||
+                    (run.len === best.len && Math.abs(run.at - center) < Math.abs(best.at - center))) {
+                best = run;
             }
+            x = end;
+        }
+        if (best) return { split: best.at, quality: Math.min(1, 0.5 + 0.5 * best.len / CLEAR_GAP) };
+
+        // Touching glyphs: the deepest valley between two peaks
+        let valley = lo;
+        for (let x = lo; x <= hi; x++) {
+            if (cols[x] < cols[valley] ||
+                    (cols[x] === cols[valley] && Math.abs(x - center) < Math.abs(valley - center))) {
+                valley = x;
+            }
+        }
+        const peak = Math.min(Math.max(...cols.slice(x0, valley)), Math.max(...cols.slice(valley + 1, x1 + 1)));
+        if (cols[valley] <= peak * VALLEY_RATIO) {
+            return { split: valley, quality: 0.5 * (1 - cols[valley] / peak) };
+        }
+        return { split: mid, quality: 0 };
+    }
 
-            if (!hasText) {
-                tMinX = 0; tMaxX = halfW - 1;
-                tMinY = 0; tMaxY = CELL_SIZE - 1;
+    /**
+     * Tight-crop columns [x0, x1) of a cell and stretch them to
+     * CELL_SIZE × CELL_SIZE with contrast normalization.
+     */
+    function cropPart(cellPixels, x0, x1) {
+        const partW = x1 - x0;
+        const part = new Uint8Array(partW * CELL_SIZE);
+        for (let y = 0; y < CELL_SIZE; y++) {
+            for (let x = 0; x < partW; x++) {
+                part[y * partW + x] = cellPixels[y * CELL_SIZE + x0 + x];
             }
+        }
 
-            const margin = Math.max(1, Math.round(Math.min(tMaxX - tMinX, tMaxY - tMinY) * 0.1));
-            tMinX = Math.max(0, tMinX - margin);
-            tMaxX = Math.min(halfW - 1, tMaxX + margin);
-            tMinY = Math.max(0, tMinY - margin);
-            tMaxY = Math.min(CELL_SIZE - 1, tMaxY + margin);
-
-            const cropW = tMaxX - tMinX + 1;
-            const cropH = tMaxY - tMinY + 1;
-
-            // Draw cropped half to canvas, scale to CELL_SIZE
-            const srcCanvas = document.createElement('canvas');
-            srcCanvas.width = cropW;
-            srcCanvas.height = cropH;
-            const srcCtx = srcCanvas.getContext('2d');
-            const cropData = srcCtx.createImageData(cropW, cropH);
-
-            for (let y = 0; y < cropH; y++) {
-                for (let x = 0; x < cropW; x++) {
-                    const g = halfGray[(tMinY + y) * halfW + (tMinX + x)];
-                    const dstIdx = (y * cropW + x) * 4;
-                    cropData.data[dstIdx] = g;
-                    cropData.data[dstIdx + 1] = g;
-                    cropData.data[dstIdx + 2] = g;
-                    cropData.data[dstIdx + 3] = 255;
+        // Tight crop
+        let minVal = 255, maxVal = 0;
+        for (let i = 0; i < part.length; i++) {
+            if (part[i] < minVal) minVal = part[i];
+            if (part[i] > maxVal) maxVal = part[i];
+        }
+        const threshold = (minVal + maxVal) / 2;
+
+        let tMinX = partW, tMaxX = 0, tMinY = CELL_SIZE, tMaxY = 0;
+        let hasText = false;
+        for (let y = 0; y < CELL_SIZE; y++) {
+            for (let x = 0; x < partW; x++) {
+                if (part[y * partW + x] > threshold) {
+                    hasText = true;
+                    if (x < tMinX) tMinX = x;
+                    if (x > tMaxX) tMaxX = x;
+                    if (y < tMinY) tMinY = y;
+                    if (y > tMaxY) tMaxY = y;
                 }
             }
-            srcCtx.putImageData(cropData, 0, 0);
+        }
 
-            const { canvas, ctx } = getCanvas();
-            canvas.width = CELL_SIZE;
-            canvas.height = CELL_SIZE;
-            ctx.drawImage(srcCanvas, 0, 0, cropW, cropH, 0, 0, CELL_SIZE, CELL_SIZE);
-            const scaled = ctx.getImageData(0, 0, CELL_SIZE, CELL_SIZE);
+        if (!hasText) {
+            tMinX = 0; tMaxX = partW - 1;
+            tMinY = 0; tMaxY = CELL_SIZE - 1;
+        }
 
-            const result = new Uint8Array(CELL_SIZE * CELL_SIZE);
-            let gMin = 255, gMax = 0;
-            for (let i = 0; i < result.length; i++) {
-                const v = scaled.data[i * 4];
-                result[i] = v;
-                if (v < gMin) gMin = v;
-                if (v > gMax) gMax = v;
-            }
+        const margin = Math.max(1, Math.round(Math.min(tMaxX - tMinX, tMaxY - tMinY) * 0.1));
+        tMinX = Math.max(0, tMinX - margin);
+        tMaxX = Math.min(partW - 1, tMaxX + margin);
+        tMinY = Math.max(0, tMinY - margin);
+        tMaxY = Math.min(CELL_SIZE - 1, tMaxY + margin);
 
-            const range = gMax - gMin;
-            if (range > 10) {
-                for (let i = 0; i < result.length; i++) {
-                    result[i] = Math.round(((result[i] - gMin) / range) * 255);
-                }
-            }
+        const cropW = tMaxX - tMinX + 1;
+        const cropH = tMaxY - tMinY + 1;
 
-            halves.push(result);
+        // Scale the cropped part to CELL_SIZE
+        const result = resample(part, partW, { x: tMinX, y: tMinY, w: cropW, h: cropH }, CELL_SIZE, CELL_SIZE);
+        let gMin = 255, gMax = 0;
+        for (let i = 0; i < result.length; i++) {
+            if (result[i] < gMin) gMin = result[i];
+            if (result[i] > gMax) gMax = result[i];
         }
 
-        return { left: halves[0], right: halves[1] };
+        const range = gMax - gMin;
+        if (range > 10) {
+            for (let i = 0; i < result.length; i++) {
+                result[i] = Math.round(((result[i] - gMin) / range) * 255);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Split a 32×32 cell containing 2 characters into left and right halves
+     * at the gap findSplit locates. Each half is tight-cropped and stretched
+     * to 32×32 with contrast normalization. Returns { left, right, split,
+     * quality }.
+     */
+    function splitCellHalves(cellPixels) {
+        const { split, quality } = findSplit(cellPixels);
+        return {
+            left: cropPart(cellPixels, 0, split),
+            right: cropPart(cellPixels, split, CELL_SIZE),
+            split,
+            quality
+        };
     }
 
-    return { extractCell, extractAllCells, splitCellHalves, CELL_SIZE };
+    return { extractCell, extractAllCells, extractDetected, rectify, findSplit, splitCellHalves, resample, CELL_SIZE };
 })();
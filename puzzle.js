@@ -0,0 +1,135 @@
+const Puzzle = (() => {
+    // Wrap rules: how a target sequence continues past the end of a row.
+    //   grid - row-major into the next row, past the last cell back to the
+    //          first (the game as shipped)
+    //   row  - back to the start of the same row
+    //   none - row-major into the next row, never past the last cell
+    const WRAPS = ['grid', 'row', 'none'];
+
+    // Bounds for counts the Detector auto-detects
+    const MIN_ROWS = 4;
+    const MAX_ROWS = 12;
+    const MIN_COLS = 4;
+    const MAX_COLS = 16;
+    const MIN_TARGET = 2;
+    const MAX_TARGET = 8;
+
+    /**
+     * Puzzle profiles: grid rows and columns, target length, wrap rule and
+     * the charsets to try (null = all). A null count is auto-detected
+     * from the frame's projections.
+     */
+    const PRESETS = {
+        standard: { rows: 8, cols: 10, targetLength: 4, wrap: 'grid', charsets: null },
+        auto: { rows: null, cols: null, targetLength: null, wrap: 'grid', charsets: null }
+    };
+    const DEFAULT = PRESETS.standard;
+
+    // Spec keys accepted by parse()
+    const SPEC_KEYS = { rows: 'rows', cols: 'cols', target: 'targetLength', wrap: 'wrap', charsets: 'charsets' };
+
+    function checkCount(name, value, min, max) {
+        if (value === null) return;
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error('Puzzle ' + name + ' must be ' + min + '-' + max + ' or auto, got ' + value);
+        }
+    }
+
+    /**
+     * A complete profile from DEFAULT overridden by `fields`. Throws on
+     * counts out of range, unknown wrap rules, an empty charset list or
+     * charset names Templates does not know.
+     */
+    function create(fields) {
+        const profile = Object.assign({}, DEFAULT, fields);
+        checkCount('rows', profile.rows, MIN_ROWS, MAX_ROWS);
+        checkCount('cols', profile.cols, MIN_COLS, MAX_COLS);
+        checkCount('target length', profile.targetLength, MIN_TARGET, MAX_TARGET);
+        if (WRAPS.indexOf(profile.wrap) < 0) {
+            throw new Error('Puzzle wrap must be one of ' + WRAPS.join(', ') + ', got ' + profile.wrap);
+        }
+        if (profile.charsets !== null && (!Array.isArray(profile.charsets) || profile.charsets.length === 0)) {
+            throw new Error('Puzzle charsets must be a non-empty list or null');
+        }
+        const known = Object.keys(Templates.CHARSETS);
+        const unknown = (profile.charsets || []).filter(name => known.indexOf(name) < 0);
+        if (unknown.length > 0) {
+            throw new Error('Puzzle charsets must be among ' + known.join(', ') + ', got ' + unknown.join(', '));
+        }
+        return profile;
+    }
+
+    /**
+     * Parse a profile spec as used by ?profile= and --profile: a preset
+     * name and/or comma-separated key=value pairs, e.g. "auto",
+     * "rows=6,cols=8,target=3" or "standard,wrap=row,charsets=numeric+greek".
+     * Counts take a number or "auto".
+     */
+    function parse(spec) {
+        let fields = {};
+        String(spec).split(',').map(s => s.trim()).filter(Boolean).forEach(part => {
+            const eq = part.indexOf('=');
+            if (eq < 0) {
+                if (!PRESETS[part]) throw new Error('Unknown puzzle preset ' + part);
+                fields = Object.assign(fields, PRESETS[part]);
+                return;
+            }
+            const key = SPEC_KEYS[part.slice(0, eq)];
+            const value = part.slice(eq + 1);
+            if (!key) throw new Error('Unknown puzzle setting ' + part.slice(0, eq));
+            if (key === 'wrap') fields.wrap = value;
+            else if (key === 'charsets') fields.charsets = value === 'all' ? null : value.split('+');
+            else fields[key] = value === 'auto' ? null : Number(value);
+        });
+        return create(fields);
+    }
+
+    /**
+     * The profile a frame was solved with, counts filled in from its
+     * detection (auto-detected ones included).
+     */
+    function resolve(profile, detection) {
+        const resolved = Object.assign({}, profile);
+        if (detection) {
+            resolved.rows = detection.rows;
+            resolved.cols = detection.cols;
+            if (detection.targetCells) resolved.targetLength = detection.targetCells.length;
+        }
+        return resolved;
+    }
+
+    // Short label for logs, e.g. "8x10/4 wrap grid" or "6xauto/3 wrap row"
+    function describe(profile) {
+        const count = n => n === null ? 'auto' : String(n);
+        return count(profile.rows) + 'x' + count(profile.cols) + '/' + count(profile.targetLength) +
+            ' wrap ' + profile.wrap + (profile.charsets ? ' ' + profile.charsets.join('+') : '');
+    }
+
+    /**
+     * Grid indices of a `length`-cell sequence starting at `position` in a
+     * row-major grid of `total` cells with `cols` columns, following the
+     * wrap rule. Returns null when the rule does not allow the sequence
+     * (it would run past the last cell with wrap "none").
+     */
+    function sequence(wrap, position, length, total, cols) {
+        const indices = [];
+        for (let t = 0; t < length; t++) {
+            if (wrap === 'row') {
+                const rowStart = position - position % cols;
+                indices.push(rowStart + (position % cols + t) % cols);
+            } else if (wrap === 'none') {
+                if (position + t >= total) return null;
+                indices.push(position + t);
+            } else {
+                indices.push((position + t) % total);
+            }
+        }
+        return indices;
+    }
+
+    return {
+        PRESETS, DEFAULT, WRAPS,
+        MIN_ROWS, MAX_ROWS, MIN_COLS, MAX_COLS, MIN_TARGET, MAX_TARGET,
+        create, parse, resolve, describe, sequence
+    };
+})();
@@ -0,0 +1,122 @@
+const Quality = (() => {
+    // Mean gray level of a SATURATED_BLOCK-pixel square block counted as
+    // blown out by glare; whole blocks, so bright glyph strokes do not count
+    const SATURATED_LEVEL = 240;
+    const SATURATED_BLOCK = 16;
+    // Percentiles whose gray level gap is the contrast
+    const CONTRAST_LOW = 0.05;
+    const CONTRAST_HIGH = 0.95;
+
+    // Gates, from synthetic frames over the grid region: codes read
+    // cleanly up to a blur sigma of 1.5 px (sharpness 0.012) and misread
+    // from 1.75 (0.006); a contrast of 0.18 reads, 0.09 starts to
+    // misread; a glare spot that blows out even 1% of the grid already
+    // costs codes
+    const MIN_SHARPNESS = 0.008;
+    const MAX_SATURATED = 0.005;
+    const MIN_CONTRAST = 0.12;
+
+    // Problems in the order they are worth fixing, with a hint for each
+    const PROBLEMS = ['glare', 'low-contrast', 'blurred'];
+    const GUIDANCE = {
+        'glare': Detector.GUIDANCE.glare,
+        'low-contrast': 'Turn up the screen brightness or move out of direct light',
+        'blurred': 'Hold steady until the codes are sharp'
+    };
+
+    /**
+     * Quality metrics of a frame over `region` ({ x, y, w, h }, default
+     * the whole frame): `sharpness`, the variance of the 4-neighbour
+     * Laplacian over the square of the contrast gap (so a dim but sharp
+     * screen is not taken for a blurred one); `saturated`, the fraction
+     * of the region in blown-out blocks (see SATURATED_LEVEL); `contrast`,
+     * the gap between the 5th and 95th percentile gray levels as a
+     * fraction of the full range.
+     */
+    function measure(imageData, region) {
+        const gray = Detector.toGrayscale(imageData);
+        const { data, width, height } = gray;
+        const box = clip(region || { x: 0, y: 0, w: width, h: height }, width, height);
+
+        const histogram = new Uint32Array(256);
+        const cols = Math.ceil(box.w / SATURATED_BLOCK);
+        const blockSums = new Float64Array(cols * Math.ceil(box.h / SATURATED_BLOCK));
+        const blockCounts = new Uint32Array(blockSums.length);
+        for (let y = box.y; y < box.y + box.h; y++) {
+            const row = Math.floor((y - box.y) / SATURATED_BLOCK) * cols;
+            for (let x = box.x; x < box.x + box.w; x++) {
+                const v = data[y * width + x];
+                const b = row + Math.floor((x - box.x) / SATURATED_BLOCK);
+                histogram[v]++;
+                blockSums[b] += v;
+                blockCounts[b]++;
+            }
+        }
+        let saturated = 0;
+        for (let b = 0; b < blockSums.length; b++) {
+            if (blockSums[b] >= SATURATED_LEVEL * blockCounts[b]) saturated += blockCounts[b];
+        }
+
+        let sum = 0, sumSq = 0, n = 0;
+        for (let y = Math.max(1, box.y); y < Math.min(height - 1, box.y + box.h); y++) {
+            for (let x = Math.max(1, box.x); x < Math.min(width - 1, box.x + box.w); x++) {
+                const i = y * width + x;
+                const lap = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i];
+                sum += lap;
+                sumSq += lap * lap;
+                n++;
+            }
+        }
+        const mean = n ? sum / n : 0;
+        const total = box.w * box.h;
+        const gap = total ? percentile(histogram, total, CONTRAST_HIGH) - percentile(histogram, total, CONTRAST_LOW) : 0;
+        return {
+            sharpness: n && gap ? (sumSq / n - mean * mean) / (gap * gap) : 0,
+            saturated: total ? saturated / total : 0,
+            contrast: gap / 255
+        };
+    }
+
+    /**
+     * The metrics with the gates applied: adds `problems` (PROBLEMS that
+     * apply, most important first) and `ok` when there are none.
+     */
+    function assess(metrics) {
+        const problems = [];
+        if (metrics.saturated > MAX_SATURATED) problems.push('glare');
+        if (metrics.contrast < MIN_CONTRAST) problems.push('low-contrast');
+        if (metrics.sharpness < MIN_SHARPNESS) problems.push('blurred');
+        return Object.assign({}, metrics, { problems, ok: problems.length === 0 });
+    }
+
+    // One debug line of assessed metrics, e.g. "sharp 0.112 sat 0.0% contrast 0.60 ok"
+    function describe(quality) {
+        return 'sharp ' + quality.sharpness.toFixed(3) + ' sat ' + (quality.saturated * 100).toFixed(1) +
+            '% contrast ' + quality.contrast.toFixed(2) + ' ' + (quality.ok ? 'ok' : quality.problems.join('+'));
+    }
+
+    // `region` clipped to the frame, in whole pixels
+    function clip(region, width, height) {
+        const x = Math.max(0, Math.floor(region.x)), y = Math.max(0, Math.floor(region.y));
+        return {
+            x, y,
+            w: Math.max(0, Math.min(width, Math.ceil(region.x + region.w)) - x),
+            h: Math.max(0, Math.min(height, Math.ceil(region.y + region.h)) - y)
+        };
+    }
+
+    // Gray level below which `fraction` of the `total` counted pixels lie
+    function percentile(histogram, total, fraction) {
+        let seen = 0;
+        for (let v = 0; v < 256; v++) {
+            seen += histogram[v];
+            if (seen > total * fraction) return v;
+        }
+        return 255;
+    }
+
+    return {
+        SATURATED_LEVEL, MIN_SHARPNESS, MAX_SATURATED, MIN_CONTRAST, PROBLEMS, GUIDANCE,
+        measure, assess, describe
+    };
+})();
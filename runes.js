@@ -0,0 +1,211 @@
+const Runes = (() => {
+    // Stroke definitions of the 25 runes in Templates.CHARSETS.runes,
+    // after the Unicode reference glyphs. Each rune is a list of
+    // polylines [x0, y0, x1, y1, ...] in a unit box (x right, y down).
+    // Drawing them ourselves means runes mode does not depend on the
+    // device having a font with the Runic block. The dots of dotted p
+    // fill most of each bow at the size the game draws it, so they are
+    // drawn as strokes filling the bows rather than as small dots.
+    const STROKES = {
+        'ᚠ': [[0.2, 0, 0.2, 1], [0.2, 0.3, 0.8, 0], [0.2, 0.55, 0.8, 0.25]],              // fehu
+        'ᚥ': [[0.2, 1, 0.2, 0, 0.8, 0.3, 0.8, 1], [0.5, 0.15, 0.5, 0.6]],                  // w
+        'ᚧ': [[0.2, 0, 0.2, 1], [0.2, 0.3, 0.75, 0.5, 0.2, 0.7], [0, 0.15, 0.4, 0.15]],   // eth
+        'ᚨ': [[0.2, 0, 0.2, 1], [0.2, 0, 0.8, 0.3], [0.2, 0.3, 0.8, 0.6]],                // ansuz
+        'ᚩ': [[0.2, 0, 0.2, 1], [0.2, 0, 0.8, 0.3, 0.8, 0.45], [0.2, 0.3, 0.8, 0.6, 0.8, 0.75]], // os
+        'ᚬ': [[0.5, 0, 0.5, 1], [0.15, 0.3, 0.85, 0.55]],                                 // long-branch oss
+        'ᚭ': [[0.5, 0, 0.5, 1], [0.5, 0.35, 0.85, 0.15]],                                 // short-twig oss
+        'ᚻ': [[0.15, 0, 0.15, 1], [0.85, 0, 0.85, 1], [0.15, 0.3, 0.85, 0.5], [0.15, 0.5, 0.85, 0.7]], // haegl
+        'ᛐ': [[0.5, 0, 0.5, 1], [0.5, 0, 0.15, 0.25]],                                    // short-twig tyr
+        'ᛑ': [[0.5, 0, 0.5, 1], [0.5, 0, 0.15, 0.25], [0.3, 0.6, 0.7, 0.6]],              // d
+        'ᛒ': [[0.2, 0, 0.2, 1], [0.2, 0, 0.75, 0.25, 0.2, 0.5, 0.75, 0.75, 0.2, 1]],       // berkanan
+        'ᛓ': [[0.3, 0, 0.3, 1], [0.3, 0.2, 0.7, 0.35, 0.3, 0.5]],                          // short-twig bjarkan
+        'ᛔ': [[0.2, 0, 0.2, 1], [0.2, 0, 0.75, 0.25, 0.2, 0.5, 0.75, 0.75, 0.2, 1],
+            [0.3, 0.13, 0.3, 0.37, 0.55, 0.25, 0.3, 0.13, 0.3, 0.25, 0.45, 0.25],
+            [0.3, 0.63, 0.3, 0.87, 0.55, 0.75, 0.3, 0.63, 0.3, 0.75, 0.45, 0.75]],             // dotted p
+        'ᛕ': [[0.2, 0, 0.2, 1], [0.8, 0.1, 0.35, 0.5, 0.8, 0.9]],                          // open p
+        'ᛖ': [[0.1, 1, 0.1, 0, 0.5, 0.35, 0.9, 0, 0.9, 1]],                                // ehwaz
+        'ᛗ': [[0.1, 0, 0.1, 1], [0.9, 0, 0.9, 1], [0.1, 0, 0.9, 0.45], [0.9, 0, 0.1, 0.45]], // mannaz
+        'ᛘ': [[0.5, 0, 0.5, 1], [0.5, 0.4, 0.1, 0.05], [0.5, 0.4, 0.9, 0.05]],             // long-branch madr
+        'ᛙ': [[0.5, 0, 0.5, 1], [0.25, 0.35, 0.5, 0.2, 0.75, 0.35]],                       // short-twig madr
+        'ᛚ': [[0.25, 0, 0.25, 1], [0.25, 0, 0.8, 0.35]],                                   // laukaz
+        'ᛛ': [[0.25, 0, 0.25, 1], [0.25, 0, 0.8, 0.35], [0.53, 0.6, 0.57, 0.6]],           // dotted l
+        'ᛜ': [[0.5, 0.2, 0.85, 0.5, 0.5, 0.8, 0.15, 0.5, 0.5, 0.2]],                       // ingwaz
+        'ᛝ': [[0.15, 0, 0.85, 0.5, 0.15, 1], [0.85, 0, 0.15, 0.5, 0.85, 1]],               // ing
+        'ᛞ': [[0.1, 0, 0.1, 1, 0.9, 0, 0.9, 1, 0.1, 0]],                                   // dagaz
+        'ᛟ': [[0.5, 0, 0.9, 0.4, 0.1, 1], [0.5, 0, 0.1, 0.4, 0.9, 1]],                      // othalan
+        'ᛤ': [[0.5, 0.1, 0.5, 1], [0.1, 0.4, 0.5, 0.1, 0.9, 0.4], [0.2, 0.65, 0.8, 0.65]]  // cweorth
+    };
+
+    // Glyph box width as a fraction of its height, and stroke width as a
+    // fraction of the height (close to a regular-weight sans font)
+    const ASPECT = 0.6;
+    const STROKE = 0.09;
+
+    // Orientation histogram layout: GRID x GRID spatial cells, BINS
+    // undirected gradient directions per cell
+    const GRID = 4;
+    const BINS = 4;
+
+    // Counters: background enclosed by strokes (the open bows of
+    // berkanan, the loop of ingwaz). Pixels below COUNTER_LEVEL count as
+    // background. A glyph read against a rune without counters is
+    // penalized by COUNTER_WEIGHT x its counter area (fraction of the
+    // cell), which is what tells berkanan from dotted p, whose dots close
+    // its bows; the direction features barely differ between the two.
+    const COUNTER_LEVEL = 128;
+    const COUNTER_WEIGHT = 1;
+
+    function distToSegment(px, py, x0, y0, x1, y1) {
+        const dx = x1 - x0, dy = y1 - y0;
+        const len2 = dx * dx + dy * dy;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - x0) * dx + (py - y0) * dy) / len2)) : 0;
+        const ex = px - (x0 + t * dx), ey = py - (y0 + t * dy);
+        return Math.sqrt(ex * ex + ey * ey);
+    }
+
+    /**
+     * Rasterize a rune's strokes white-on-black, anti-aliased, centered in
+     * a (3 × fontSize) square like the canvas glyph renderer. The stroke
+     * width can be overridden (fraction of glyph height) to mimic bolder
+     * or lighter fonts. Returns { gray, w, h }, or null for unknown chars.
+     */
+    function render(char, fontSize, strokeWidth) {
+        const polylines = STROKES[char];
+        if (!polylines) return null;
+        const size = fontSize * 3;
+        const glyphH = fontSize * 0.75;
+        const glyphW = glyphH * ASPECT;
+        const ox = (size - glyphW) / 2, oy = (size - glyphH) / 2;
+        const half = (strokeWidth || STROKE) * glyphH / 2;
+
+        const segments = [];
+        for (const line of polylines) {
+            for (let i = 0; i + 3 < line.length; i += 2) {
+                segments.push([
+                    ox + line[i] * glyphW, oy + line[i + 1] * glyphH,
+                    ox + line[i + 2] * glyphW, oy + line[i + 3] * glyphH
+                ]);
+            }
+        }
+
+        const gray = new Uint8Array(size * size);
+        const x0 = Math.floor(ox - half - 1), x1 = Math.ceil(ox + glyphW + half + 1);
+        const y0 = Math.floor(oy - half - 1), y1 = Math.ceil(oy + glyphH + half + 1);
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                let d = Infinity;
+                for (const s of segments) {
+                    d = Math.min(d, distToSegment(x + 0.5, y + 0.5, s[0], s[1], s[2], s[3]));
+                }
+                const cover = Math.max(0, Math.min(1, half + 0.5 - d));
+                gray[y * size + x] = Math.round(cover * 255);
+            }
+        }
+        return { gray, w: size, h: size };
+    }
+
+    /**
+     * Stroke-direction features of a normalized glyph (CELL_SIZE square):
+     * per spatial cell, gradient magnitude summed into undirected
+     * orientation bins, L2-normalized. Comparing directions instead of
+     * pixels tolerates different stroke widths and slight shape changes
+     * between the device font and our stroke definitions.
+     */
+    function features(pixels) {
+        const size = Math.round(Math.sqrt(pixels.length));
+        const hist = new Float64Array(GRID * GRID * BINS);
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                const i = y * size + x;
+                const gx = (pixels[i - size + 1] + 2 * pixels[i + 1] + pixels[i + size + 1]) -
+                    (pixels[i - size - 1] + 2 * pixels[i - 1] + pixels[i + size - 1]);
+                const gy = (pixels[i + size - 1] + 2 * pixels[i + size] + pixels[i + size + 1]) -
+                    (pixels[i - size - 1] + 2 * pixels[i - size] + pixels[i - size + 1]);
+                const mag = Math.sqrt(gx * gx + gy * gy);
+                if (mag === 0) continue;
+                // Undirected angle in [0, PI), soft-assigned to the two nearest bins
+                let angle = Math.atan2(gy, gx);
+                if (angle < 0) angle += Math.PI;
+                const pos = angle / Math.PI * BINS;
+                const b0 = Math.floor(pos) % BINS, b1 = (b0 + 1) % BINS;
+                const f = pos - Math.floor(pos);
+                const cell = (Math.min(GRID - 1, Math.floor(y * GRID / size)) * GRID +
+                    Math.min(GRID - 1, Math.floor(x * GRID / size))) * BINS;
+                hist[cell + b0] += mag * (1 - f);
+                hist[cell + b1] += mag * f;
+            }
+        }
+        let norm = 0;
+        for (let i = 0; i < hist.length; i++) norm += hist[i] * hist[i];
+        norm = Math.sqrt(norm) || 1;
+        for (let i = 0; i < hist.length; i++) hist[i] /= norm;
+        return hist;
+    }
+
+    /**
+     * Counter area of a normalized glyph: the fraction of its pixels that
+     * are background not 4-connected to the cell border.
+     */
+    function counters(pixels) {
+        const size = Math.round(Math.sqrt(pixels.length));
+        const outside = new Uint8Array(size * size);
+        const stack = [];
+        const visit = i => {
+            if (!outside[i] && pixels[i] < COUNTER_LEVEL) {
+                outside[i] = 1;
+                stack.push(i);
+            }
+        };
+        for (let k = 0; k < size; k++) {
+            visit(k);
+            visit((size - 1) * size + k);
+            visit(k * size);
+            visit(k * size + size - 1);
+        }
+        while (stack.length) {
+            const i = stack.pop();
+            const x = i % size;
+            if (x > 0) visit(i - 1);
+            if (x < size - 1) visit(i + 1);
+            if (i >= size) visit(i - size);
+            if (i < size * (size - 1)) visit(i + size);
+        }
+        let enclosed = 0;
+        for (let i = 0; i < pixels.length; i++) {
+            if (!outside[i] && pixels[i] < COUNTER_LEVEL) enclosed++;
+        }
+        return enclosed / pixels.length;
+    }
+
+    /**
+     * Identify one rune from a normalized half-cell by comparing stroke
+     * direction features against the charset templates, plus the counter
+     * penalty against runes without counters (features and counters are
+     * computed once per template and cached on it). Same contract as
+     * Matcher.identifyChar: { char, distance } with distance in 0-1
+     * (1 - cosine similarity, plus the penalty).
+     */
+    function identifyChar(halfPixels, templates) {
+        const f = features(halfPixels);
+        const area = counters(halfPixels);
+        let bestChar = '?';
+        let bestDist = 1;
+        for (const tpl of templates) {
+            if (!tpl.features) {
+                tpl.features = features(tpl.pixels);
+                tpl.counters = counters(tpl.pixels);
+            }
+            let dot = 0;
+            for (let i = 0; i < f.length; i++) dot += f[i] * tpl.features[i];
+            const penalty = tpl.counters === 0 ? COUNTER_WEIGHT * area : 0;
+            const dist = Math.max(0, 1 - dot + penalty);
+            if (dist < bestDist) {
+                bestDist = dist;
+                bestChar = tpl.char;
+            }
+        }
+        return { char: bestChar, distance: bestDist };
+    }
+
+    return { render, features, counters, identifyChar, STROKES };
+})();
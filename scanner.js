@@ -0,0 +1,113 @@
+const Scanner = (() => {
+    let worker = null;
+    let nextId = 0;
+    const pending = new Map();
+
+    /**
+     * Start the scan worker and warm up its templates. Falls back to
+     * running Solver on the main thread when workers or OffscreenCanvas
+     * (needed to render templates off-thread) are unavailable.
+     */
+    function init() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+            loadLearned();
+            return;
+        }
+        try {
+            const query = typeof _v !== 'undefined' ? '?' + _v : '';
+            worker = new Worker('worker.js' + query);
+        } catch (err) {
+            worker = null;
+            loadLearned();
+            return;
+        }
+        worker.onmessage = handleMessage;
+        worker.onerror = handleError;
+        post({ type: 'init' }, []).catch(() => {});
+    }
+
+    function isWorker() {
+        return worker !== null;
+    }
+
+    /**
+     * Solve a burst of frames. Resolves with the Solver result.
+     * Frame pixel buffers are transferred to the worker and are unusable
+     * by the caller afterwards.
+     */
+    function solve(frames, options) {
+        if (!worker) {
+            return Promise.resolve(Solver.solveBurst(frames, options));
+        }
+        const plain = frames.map(f => ({ width: f.width, height: f.height, data: f.data }));
+        return post(
+            { type: 'solve', frames: plain, options: options },
+            plain.map(f => f.data.buffer)
+        );
+    }
+
+    /**
+     * Learn character exemplars from a confirmed solve (see
+     * Solver.learnableExemplars) wherever the Solver runs. Resolves with
+     * the number of characters stored.
+     */
+    function learn(exemplars) {
+        if (!worker) return Learned.save(exemplars);
+        return post({ type: 'learn', exemplars: exemplars }, []);
+    }
+
+    /**
+     * Install a template pack (see Templates.importPack) wherever the
+     * Solver runs. The main thread gets it too, in case the worker fails
+     * later. Resolves with the imported charsets.
+     */
+    function importPack(pack) {
+        return Promise.resolve().then(() => {
+            const names = Templates.importPack(pack);
+            return worker ? post({ type: 'importPack', pack: pack }, []) : names;
+        });
+    }
+
+    // Current templates as a pack, including exemplars learned in the worker
+    function exportPack() {
+        if (!worker) return Promise.resolve().then(() => Templates.exportPack());
+        return post({ type: 'exportPack' }, []);
+    }
+
+    // Learned templates for the main-thread Solver; storage may be
+    // unavailable (private browsing), rendered templates still work
+    function loadLearned() {
+        Learned.load().catch(() => {});
+    }
+
+    function post(msg, transfer) {
+        return new Promise((resolve, reject) => {
+            msg.id = ++nextId;
+            pending.set(msg.id, { resolve, reject });
+            worker.postMessage(msg, transfer);
+        });
+    }
+
+    function handleMessage(event) {
+        const msg = event.data;
+        const req = pending.get(msg.id);
+        if (!req) return;
+        pending.delete(msg.id);
+        if (msg.error) req.reject(new Error(msg.error));
+        else req.resolve(msg.result);
+    }
+
+    // A worker that fails to load or crashes is dropped for the rest of
+    // the session; later scans run on the main thread
+    function handleError(event) {
+        event.preventDefault();
+        worker.terminate();
+        worker = null;
+        loadLearned();
+        const message = event.message || 'Scan worker failed';
+        pending.forEach(req => req.reject(new Error(message)));
+        pending.clear();
+    }
+
+    return { init, solve, learn, importPack, exportPack, isWorker };
+})();
@@ -0,0 +1,73 @@
+const ScreenCapture = (() => {
+    // Shared windows are read at up to this size; a desktop game window
+    // gives cells far larger than a phone camera does
+    const MAX_WIDTH = 2560;
+    const MAX_HEIGHT = 1440;
+    // Shuffles are slow, so a low rate spares the desktop the capture load
+    const FRAME_RATE = 15;
+
+    const frames = FrameSource.create();
+
+    function init(videoElement) {
+        frames.init(videoElement);
+    }
+
+    // Whether the browser can share a window or screen (desktop browsers)
+    function supported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+    }
+
+    /**
+     * Ask the user for a window or screen to share and show it. Resolves
+     * to { deviceId, label, width, height, frameRate, fallback } like
+     * Camera.start (`deviceId` is always null); rejects when the user
+     * cancels the picker.
+     */
+    async function start() {
+        const stream = await navigator.mediaDevices.getDisplayMedia({
+            video: {
+                width: { max: MAX_WIDTH },
+                height: { max: MAX_HEIGHT },
+                frameRate: { ideal: FRAME_RATE }
+            },
+            audio: false,
+            selfBrowserSurface: 'exclude'
+        });
+        await frames.attach(stream);
+
+        const track = frames.track();
+        const settings = track.getSettings ? track.getSettings() : {};
+        const dims = frames.getVideoDimensions();
+        return {
+            deviceId: null,
+            label: track.label,
+            width: settings.width || dims.videoWidth,
+            height: settings.height || dims.videoHeight,
+            frameRate: settings.frameRate || null,
+            fallback: false
+        };
+    }
+
+    function stop() {
+        frames.detach();
+    }
+
+    // A shared screen has no camera controls
+    function getControls() {
+        return null;
+    }
+
+    async function applyControls() {
+        return {};
+    }
+
+    return {
+        kind: 'screen',
+        init, supported, start, stop, getControls, applyControls,
+        onEnded: frames.onEnded,
+        captureFrame: frames.captureFrame,
+        capturePreview: frames.capturePreview,
+        captureBurst: frames.captureBurst,
+        getVideoDimensions: frames.getVideoDimensions
+    };
+})();
@@ -0,0 +1,624 @@
+const Solver = (() => {
+    // Worst per-character template distance still accepted for auto-lock
+    const LOCK_MAX_DISTANCE = 0.25;
+    // Scans in a row without the locked target in the grid before the lock
+    // is dropped (a new hack has started)
+    const LOCK_MAX_MISSES = 4;
+    // Worst template distance of a half-cell still learned as an exemplar
+    // of the character it was read as (misreads measure 0.15 and up)
+    const LEARN_MAX_DISTANCE = 0.15;
+    // Match confidence factor per flagged cell (empty, merged or split)
+    // among the matched grid cells and the target
+    const FLAGGED_CELL_FACTOR = 0.8;
+    // Charsets whose worst target distance is further than this above the
+    // closest charset's are read as garbage and never solved with
+    const CHARSET_FIT_MARGIN = 0.1;
+    // Charset read by Braille.decode instead of glyph templates
+    const BRAILLE = 'braille';
+    // Charset read by Runes.identifyChar (stroke directions)
+    const RUNES = 'runes';
+
+    /**
+     * Run the full recognition pipeline on a single frame:
+     * detect → extract → identify (every charset) → text/pixel match.
+     */
+    function solve(frame, options) {
+        return solveBurst([frame], options);
+    }
+
+    /**
+     * Run the pipeline on a short burst of frames of (ideally) one shuffle.
+     * Every frame is detected; frames whose lattice lines up with the first
+     * usable one and that still show the same shuffle are extracted and
+     * their cells averaged before identification, which smooths out moire,
+     * blur and rolling-shutter noise from any single frame.
+     *
+     * options.lock: a target lock from createLock(). The target codes and
+     * charset are taken from the lock, so only the grid is read.
+     * options.profile: the Puzzle profile to detect and match with
+     * (default Puzzle.DEFAULT); its charsets limit the charsets tried.
+     *
+     * Returns { detection, puzzle, extracted, targetHalves, match, method, charset,
+     * targetCodes, gridCodes, codesByCharset, targetDistance, targetTemplates,
+     * exemplars, braille, cellFlags, diagnostics, quality, guidance, locked,
+     * frames, log, timings, elapsed, error }. `error` is a short user-facing reason when the
+     * pipeline stopped early; `log` collects debug lines; `frames` counts
+     * how many burst frames were fused or dropped; `timings` holds per-stage
+     * milliseconds (detect, quality, extract, identify, match);
+     * `braille` holds the Braille.decode reading (codes with per-dot
+     * confidences) when the dot lattice was decoded; `puzzle` is the
+     * profile with the detected counts filled in (Puzzle.resolve);
+     * `cellFlags` counts the detected cells flagged empty, merged or split
+     * (see flagMatch); `diagnostics` holds Detector.detect's diagnostics of
+     * the reference frame (the first frame when none was detected);
+     * `quality` holds { frames, rejected } with the Quality.assess metrics
+     * of every detected frame over its grid (null for frames without a
+     * grid) and how many were rejected; `guidance` is a hint for the user
+     * when detection or frame quality fell short; `targetTemplates` holds
+     * the template pixels of the target characters (see targetTemplates)
+     * and `exemplars` the half-cells to learn (see learnableExemplars), so
+     * a caller on another thread needs no templates of its own.
+     */
+    function solveBurst(frames, options) {
+        var lock = options && options.lock;
+        var profile = (options && options.profile) || Puzzle.DEFAULT;
+        var t0 = performance.now();
+        var clock = { last: t0 };
+        var log = [];
+        var result = {
+            detection: null,
+            puzzle: null,
+            extracted: null,
+            match: null,
+            method: '',
+            charset: '',
+            targetCodes: null,
+            gridCodes: null,
+            codesByCharset: {},
+            targetHalves: null,
+            targetDistance: 1,
+            targetTemplates: null,
+            exemplars: [],
+            braille: null,
+            cellFlags: null,
+            diagnostics: null,
+            quality: null,
+            guidance: null,
+            locked: !!lock,
+            frames: { captured: frames.length, fused: 0, misaligned: 0, otherShuffle: 0, lowQuality: 0 },
+            log: log,
+            timings: {},
+            elapsed: 0,
+            error: null
+        };
+
+        log.push('Frame: ' + frames[0].width + 'x' + frames[0].height +
+            (frames.length > 1 ? ' x' + frames.length : ''));
+
+        // Detect every frame
+        var detections = [];
+        var diagnostics = [];
+        var firstIdx = -1;
+        for (var fi = 0; fi < frames.length; fi++) {
+            diagnostics.push({});
+            detections.push(Detector.detect(frames[fi], profile, diagnostics[fi]));
+            if (firstIdx < 0 && detections[fi]) firstIdx = fi;
+        }
+        lap(result, clock, 'detect');
+
+        // Rate every detected frame over its grid; the first one that
+        // passes the quality gates is the reference
+        var refIdx = gateQuality(frames, detections, result);
+        lap(result, clock, 'quality');
+
+        result.diagnostics = diagnostics[refIdx >= 0 ? refIdx : Math.max(0, firstIdx)];
+        log.push(describeDiagnostics(result.diagnostics));
+        if (result.diagnostics.failure) result.guidance = result.diagnostics.guidance;
+        if (firstIdx < 0) return fail(result, 'Grid not found', t0);
+        if (refIdx < 0) {
+            result.guidance = Quality.GUIDANCE[result.quality.frames[firstIdx].problems[0]];
+            return fail(result, 'Frame quality too low', t0);
+        }
+
+        var det = detections[refIdx];
+        result.detection = det;
+        result.puzzle = Puzzle.resolve(profile, det);
+
+        var gc = det.gridCells.length;
+        var tc = det.targetCells ? det.targetCells.length : 0;
+        log.push('Grid: ' + gc + ', Target: ' + tc + (det.rotation ? ', Rotation: ' + det.rotation + '°' : '') +
+            ', Confidence: ' + Math.round(det.confidence * 100) + '%');
+        log.push('Puzzle: ' + Puzzle.describe(result.puzzle));
+
+        if (gc < Puzzle.MIN_ROWS * Puzzle.MIN_COLS || (tc < Puzzle.MIN_TARGET && !lock)) {
+            return fail(result, 'Not enough cells: ' + gc + '/' + tc, t0);
+        }
+
+        var extracted = extractFused(frames, detections, refIdx, !lock, result);
+        result.extracted = extracted;
+
+        if (lock) return solveLocked(extracted, lock, result, t0, clock, frames[refIdx]);
+
+        // Split all cells into halves ONCE (reused across all charset attempts)
+        var targetHalves = splitAll(extracted.targetCells);
+        var gridHalves = splitAll(extracted.gridCells);
+        result.targetHalves = targetHalves;
+        lap(result, clock, 'extract');
+
+        // Debug: show character recognition quality for alphabet charset
+        var alphaTemplates = Templates.getCharset('alphabet');
+        if (alphaTemplates && targetHalves.length > 0) {
+            var dbgLeft = Matcher.identifyChar(targetHalves[0].left, alphaTemplates);
+            var dbgRight = Matcher.identifyChar(targetHalves[0].right, alphaTemplates);
+            log.push('OCR t0: ' + dbgLeft.char + '(' + dbgLeft.distance.toFixed(3) + ') ' +
+                     dbgRight.char + '(' + dbgRight.distance.toFixed(3) + ')');
+            // Show pixel stats of first target half
+            var h0 = targetHalves[0].left;
+            var hMin = 255, hMax = 0;
+            for (var pi = 0; pi < h0.length; pi++) {
+                if (h0[pi] < hMin) hMin = h0[pi];
+                if (h0[pi] > hMax) hMax = h0[pi];
+            }
+            log.push('Half0: min=' + hMin + ' max=' + hMax + ' len=' + h0.length +
+                     ' split=' + targetHalves[0].split + ' q=' + targetHalves[0].quality.toFixed(2));
+        }
+
+        // Multi-strategy: try every charset the profile allows using
+        // pre-computed halves
+        var allCharsets = Templates.getAllCharsets();
+        var charsetNames = Object.keys(allCharsets).filter(function(name) {
+            return !profile.charsets || profile.charsets.indexOf(name) >= 0;
+        });
+        var reads = [];
+
+        for (var ci = 0; ci < charsetNames.length; ci++) {
+            var csName = charsetNames[ci];
+            var tpls = allCharsets[csName];
+
+            // Braille is decoded from the dot lattice in the frame itself;
+            // templates remain the fallback when no lattice fits
+            var dots = csName === BRAILLE ? readBraille(frames[refIdx], det, true, result) : null;
+
+            // Identify codes using pre-split halves (no canvas creation)
+            var tRead = dots ? dots.target : identifyCodes(targetHalves, tpls, charReader(csName));
+            var tCodes = tRead.codes;
+
+            // Log what alphabet reads
+            if (csName === 'alphabet') {
+                log.push('alpha: ' + tCodes.join(' '));
+            }
+
+            var gCodes = dots ? dots.grid.codes : identifyCodes(gridHalves, tpls, charReader(csName)).codes;
+            result.codesByCharset[csName] = { target: tCodes, grid: gCodes };
+
+            reads.push({
+                charset: csName, targetCodes: tCodes, gridCodes: gCodes, distance: tRead.maxDistance,
+                match: Matcher.findMatchByText(tCodes, gCodes, result.puzzle)
+            });
+        }
+
+        var best = pickCharset(reads);
+        // A profile naming only charsets without templates reads nothing
+        if (!best) return fail(result, 'No charset to read', t0);
+        var bestMatch = best.match;
+        var bestCharset = best.charset;
+        var bestTargetCodes = best.targetCodes;
+        var bestGridCodes = best.gridCodes;
+        var bestTargetDistance = best.distance;
+
+        lap(result, clock, 'identify');
+
+        // Also try pixel matching
+        var pixelMatch = Matcher.findMatch(extracted.targetCells, extracted.gridCells, result.puzzle);
+
+        var picked = pickMatch(bestMatch, pixelMatch, bestCharset);
+        lap(result, clock, 'match');
+
+        log.push(bestCharset + ': ' + bestTargetCodes.join(' '));
+
+        result.method = picked.method;
+        result.charset = bestCharset;
+        result.targetCodes = bestTargetCodes;
+        result.gridCodes = bestGridCodes;
+        result.targetDistance = bestTargetDistance;
+        result.match = flagMatch(picked.match, result, true);
+        result.targetTemplates = targetTemplates(bestCharset, bestTargetCodes);
+        result.exemplars = learnableExemplars(result);
+        result.elapsed = Math.round(performance.now() - t0);
+        if (!picked.match) result.error = 'No match found';
+        return result;
+    }
+
+    /**
+     * Measure and assess (Quality) every detected frame over the bounding
+     * box of its grid and target cells, log the metrics and store them as
+     * result.quality. Returns the index of the first detected frame that
+     * passes, -1 when none does.
+     */
+    function gateQuality(frames, detections, result) {
+        var assessed = [];
+        var rejected = 0;
+        var refIdx = -1;
+        for (var i = 0; i < frames.length; i++) {
+            if (!detections[i]) {
+                assessed.push(null);
+                continue;
+            }
+            var quality = Quality.assess(Quality.measure(frames[i], cellBounds(detections[i])));
+            assessed.push(quality);
+            if (!quality.ok) rejected++;
+            else if (refIdx < 0) refIdx = i;
+            result.log.push('Quality' + (frames.length > 1 ? ' f' + i : '') + ': ' + Quality.describe(quality));
+        }
+        result.quality = { frames: assessed, rejected: rejected };
+        return refIdx;
+    }
+
+    // Bounding box of a detection's grid and target lattice cells
+    function cellBounds(det) {
+        var cells = det.gridCells.concat(det.targetCells || []);
+        var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+        for (var i = 0; i < cells.length; i++) {
+            var c = cells[i].lattice || cells[i];
+            x0 = Math.min(x0, c.x);
+            y0 = Math.min(y0, c.y);
+            x1 = Math.max(x1, c.x + c.w);
+            y1 = Math.max(y1, c.y + c.h);
+        }
+        return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+    }
+
+    /**
+     * Extract cells from the reference frame and every burst frame that is
+     * aligned with it and shows the same shuffle, then fuse them.
+     * Target cells are skipped when withTargets is false (target locked).
+     */
+    function extractFused(frames, detections, refIdx, withTargets, result) {
+        var refDet = detections[refIdx];
+        var ref = Processor.extractDetected(frames[refIdx], refDet, withTargets);
+        var extractions = [ref];
+        var stats = result.frames;
+
+        for (var i = refIdx + 1; i < frames.length; i++) {
+            var quality = result.quality.frames[i];
+            if (quality && !quality.ok) {
+                stats.lowQuality++;
+                continue;
+            }
+            if (!Fusion.aligned(refDet, detections[i])) {
+                stats.misaligned++;
+                continue;
+            }
+            var ex = Processor.extractDetected(frames[i], detections[i], withTargets);
+            if (!Fusion.sameShuffle(ref.gridCells, ex.gridCells)) {
+                stats.otherShuffle++;
+                continue;
+            }
+            extractions.push(ex);
+        }
+
+        stats.fused = extractions.length;
+        if (frames.length > 1) {
+            result.log.push('Fused ' + stats.fused + '/' + frames.length +
+                (stats.misaligned ? ' misaligned=' + stats.misaligned : '') +
+                (stats.otherShuffle ? ' shuffled=' + stats.otherShuffle : '') +
+                (stats.lowQuality ? ' low quality=' + stats.lowQuality : ''));
+        }
+        return Fusion.fuse(extractions);
+    }
+
+    /**
+     * Grid-only pass for a locked target: read just the grid cells with
+     * the locked charset, then match against the locked codes and pixel
+     * cells.
+     */
+    function solveLocked(extracted, lock, result, t0, clock, frame) {
+        extracted.targetCells = lock.cells;
+        result.targetHalves = lock.halves;
+
+        var tpls = Templates.getCharset(lock.charset);
+        var gridHalves = splitAll(extracted.gridCells);
+        lap(result, clock, 'extract');
+
+        var dots = lock.charset === BRAILLE ? readBraille(frame, result.detection, false, result) : null;
+        var gCodes = dots ? dots.grid.codes : identifyCodes(gridHalves, tpls, charReader(lock.charset)).codes;
+        var textMatch = Matcher.findMatchByText(lock.codes, gCodes, result.puzzle);
+        lap(result, clock, 'identify');
+
+        var pixelMatch = Matcher.findMatch(lock.cells, extracted.gridCells, result.puzzle);
+        var picked = pickMatch(textMatch, pixelMatch, lock.charset);
+        lap(result, clock, 'match');
+
+        result.log.push('locked ' + lock.charset + ': ' + lock.codes.join(' '));
+
+        result.method = picked.method;
+        result.charset = lock.charset;
+        result.targetCodes = lock.codes;
+        result.gridCodes = gCodes;
+        result.targetDistance = lock.distance;
+        result.match = flagMatch(picked.match, result, false);
+        result.targetTemplates = targetTemplates(lock.charset, lock.codes);
+        result.elapsed = Math.round(performance.now() - t0);
+        if (!picked.match) result.error = 'No match found';
+        return result;
+    }
+
+    /**
+     * The charset reading to solve with from `reads` ([{ charset,
+     * targetCodes, gridCodes, distance, match }]): the lowest text-match
+     * score among the charsets that read the target within
+     * CHARSET_FIT_MARGIN of the closest one, equal scores going to the
+     * closer read. Templates of the wrong charset read a frame as garbage
+     * that can still line up with itself in the grid, even exactly, so a
+     * charset that fits the glyphs far worse is not trusted. Without any
+     * match the first read is kept for the debug display; null without
+     * reads.
+     */
+    function pickCharset(reads) {
+        var closest = Infinity;
+        for (var i = 0; i < reads.length; i++) {
+            closest = Math.min(closest, reads[i].distance);
+        }
+        var best = null;
+        for (var j = 0; j < reads.length; j++) {
+            var r = reads[j];
+            if (!r.match || r.distance > closest + CHARSET_FIT_MARGIN) continue;
+            if (!best || r.match.score < best.match.score ||
+                    (r.match.score === best.match.score && r.distance < best.distance)) {
+                best = r;
+            }
+        }
+        return best || reads[0] || null;
+    }
+
+    /**
+     * Template pixels of the two characters of each target code in
+     * `charset`, as [{ left, right }] (null for a character without a
+     * template), for the debug view. Taken from the templates the solve
+     * read with, on the thread it ran on.
+     */
+    function targetTemplates(charset, codes) {
+        var tpls = Templates.getCharset(charset) || [];
+        var pixelsOf = function(ch) {
+            var found = null;
+            tpls.forEach(function(t) { if (t.char === ch) found = t.pixels; });
+            return found;
+        };
+        return codes.map(function(code) {
+            var chars = Array.from(code);
+            return { left: pixelsOf(chars[0]), right: pixelsOf(chars[1]) };
+        });
+    }
+
+    /**
+     * Count the cells Detector refinement flagged on result.cellFlags and
+     * scale the match confidence by FLAGGED_CELL_FACTOR for each flagged
+     * grid cell in the matched sequence and, when the target was read from
+     * this frame, each flagged target cell. Returns the (copied) match.
+     */
+    function flagMatch(match, result, withTargets) {
+        var det = result.detection;
+        var counts = { empty: 0, merged: 0, split: 0 };
+        var flagged = function(cell) {
+            return cell && cell.flags && cell.flags.length > 0;
+        };
+        det.gridCells.concat(det.targetCells || []).forEach(function(cell) {
+            if (flagged(cell)) counts[cell.flags[0]]++;
+        });
+        result.cellFlags = counts;
+        if (counts.empty + counts.merged + counts.split > 0) {
+            result.log.push('Cell flags: ' + counts.empty + ' empty, ' + counts.merged + ' merged, ' +
+                counts.split + ' split');
+        }
+        if (!match || !result.targetCodes) return match;
+
+        var seq = Puzzle.sequence(result.puzzle.wrap, match.position, result.targetCodes.length,
+            det.gridCells.length, result.puzzle.cols) || [];
+        var n = seq.filter(function(i) { return flagged(det.gridCells[i]); }).length;
+        if (withTargets && det.targetCells) n += det.targetCells.filter(flagged).length;
+        if (n === 0) return match;
+        return Object.assign({}, match, { confidence: match.confidence * Math.pow(FLAGGED_CELL_FACTOR, n) });
+    }
+
+    function pickMatch(bestMatch, pixelMatch, bestCharset) {
+        var bestScore = bestMatch ? bestMatch.score : Infinity;
+        var match = null;
+        var method = '';
+
+        if (bestMatch && bestMatch.score === 0) {
+            match = bestMatch;
+            method = bestCharset + ' exact';
+        } else if (bestMatch && pixelMatch) {
+            if (bestMatch.confidence >= pixelMatch.confidence) {
+                match = bestMatch;
+                method = bestCharset + ' fuzzy(s=' + bestScore + ')';
+            } else {
+                match = pixelMatch;
+                method = 'pixel';
+            }
+        } else if (bestMatch) {
+            match = bestMatch;
+            method = bestCharset + ' fuzzy(s=' + bestScore + ')';
+        } else if (pixelMatch) {
+            match = pixelMatch;
+            method = 'pixel';
+        }
+
+        return { match, method };
+    }
+
+    /**
+     * Decode Braille codes from the reference frame's dot lattice.
+     * The per-dot reading is kept on result.braille for debugging.
+     * Returns null when no lattice fits or the target row is missing.
+     */
+    function readBraille(frame, det, withTargets, result) {
+        var decoded = Braille.decode(frame, det.gridCells, withTargets ? det.targetCells : null, det.cols);
+        if (!decoded || (withTargets && !decoded.target)) {
+            result.log.push('braille: no dot lattice, using templates');
+            return null;
+        }
+        result.braille = decoded;
+        return decoded;
+    }
+
+    function splitAll(cells) {
+        var halves = [];
+        for (var i = 0; i < cells.length; i++) {
+            halves.push(Processor.splitCellHalves(cells[i]));
+        }
+        return halves;
+    }
+
+    /**
+     * Per-character reader for a charset: runes compare stroke-direction
+     * features (robust to font differences), everything else uses binary
+     * template hamming distance.
+     */
+    function charReader(csName) {
+        return csName === RUNES ? Runes.identifyChar : Matcher.identifyChar;
+    }
+
+    /**
+     * Read one code per pre-split cell. maxDistance is the worst
+     * per-character template distance, used to judge target confidence.
+     */
+    function identifyCodes(halves, templates, identify) {
+        var codes = [];
+        var maxDistance = 0;
+        for (var i = 0; i < halves.length; i++) {
+            var lc = identify(halves[i].left, templates);
+            var rc = identify(halves[i].right, templates);
+            codes.push(lc.char + rc.char);
+            maxDistance = Math.max(maxDistance, lc.distance, rc.distance);
+        }
+        return { codes, maxDistance };
+    }
+
+    // One log line for Detector.detect diagnostics: the path that found
+    // the grid, band count, row spacing variance, failure and the target
+    // candidates rejected
+    function describeDiagnostics(d) {
+        var line = 'Detect: ' + (d.path ? d.path + ' ' + d.view : 'no grid') + ', ' + d.bands + ' bands';
+        if (d.rowGroupVariance !== null) line += ', row var ' + d.rowGroupVariance.toFixed(3);
+        if (d.failure) line += ', ' + d.failure;
+        if (d.glare > 0) line += ', glare ' + Math.round(d.glare * 100) + '%';
+        d.targetCandidates.forEach(function(c) {
+            line += ', target y' + c.start + '-' + c.end + ' ' + c.reason;
+        });
+        return line;
+    }
+
+    // Record milliseconds spent in `stage` since the previous lap
+    function lap(result, clock, stage) {
+        var now = performance.now();
+        result.timings[stage] = Math.round(now - clock.last);
+        clock.last = now;
+    }
+
+    function fail(result, reason, t0) {
+        result.error = reason;
+        result.elapsed = Math.round(performance.now() - t0);
+        return result;
+    }
+
+    /**
+     * Whether two solved frames show the same grid shuffle.
+     * Codes are compared cell by cell; recognition noise flips a few codes
+     * between frames, a reshuffle changes almost all of them.
+     */
+    function sameShuffle(gridCodesA, gridCodesB) {
+        if (!gridCodesA || !gridCodesB || gridCodesA.length !== gridCodesB.length) return false;
+        var same = 0;
+        for (var i = 0; i < gridCodesA.length; i++) {
+            if (gridCodesA[i] === gridCodesB[i]) same++;
+        }
+        return same / gridCodesA.length >= 0.5;
+    }
+
+    /**
+     * Whether a result's target reading is trustworthy enough to lock
+     * without asking: all target codes were found verbatim in the grid
+     * and every target character matched its template closely.
+     */
+    function isLockable(result) {
+        return !!(result.match && result.match.score === 0 && !result.locked &&
+            result.targetDistance <= LOCK_MAX_DISTANCE);
+    }
+
+    /**
+     * Whether a burst is worth capturing again: a grid was found, but in
+     * frames too blurred, blown out or flat to pass the quality gates.
+     */
+    function needsRecapture(result) {
+        return !!(result.quality && result.quality.rejected > 0 && result.quality.frames.every(function(q) {
+            return !q || !q.ok;
+        }));
+    }
+
+    /**
+     * Build a target lock from a solved result. The lock keeps the codes,
+     * charset and pixel cells of the target row so later scans of the same
+     * hack only need to read the grid. A result solved with a lock gives
+     * that lock back, so LOCK after a release locks those codes again.
+     */
+    function createLock(result) {
+        if (!result.targetCodes || !result.extracted || !result.charset) return null;
+        return {
+            charset: result.charset,
+            codes: result.targetCodes.slice(),
+            cells: result.extracted.targetCells,
+            halves: result.targetHalves,
+            distance: result.targetDistance
+        };
+    }
+
+    /**
+     * Follow a target lock after `result` was solved with it, `misses`
+     * scans in a row having missed it so far. Returns { misses, release }:
+     * an exact match resets the count, anything else adds one, and the
+     * lock is to be released at LOCK_MAX_MISSES.
+     */
+    function trackLock(result, misses) {
+        if (result.match && result.match.score === 0) return { misses: 0, release: false };
+        return { misses: misses + 1, release: misses + 1 >= LOCK_MAX_MISSES };
+    }
+
+    /**
+     * Half-cells whose characters a confirmed (lockable) result proves:
+     * the target codes and the grid cells they matched verbatim. Several
+     * charsets can match a frame exactly with consistently wrong reads, so
+     * a half is only kept when it also reads as its character within
+     * LEARN_MAX_DISTANCE. Returns [{ charset, char, pixels }] for
+     * Templates.learn, or [] when the result is not confirmed.
+     */
+    function learnableExemplars(result) {
+        if (!isLockable(result) || !result.targetCodes || !result.targetHalves) return [];
+        var tpls = Templates.getCharset(result.charset);
+        var exemplars = [];
+        var add = function(code, halves) {
+            var chars = Array.from(code);
+            if (!halves || chars.length !== 2) return;
+            [halves.left, halves.right].forEach(function(pixels, side) {
+                var read = Matcher.identifyChar(pixels, tpls);
+                if (read.char === chars[side] && read.distance <= LEARN_MAX_DISTANCE) {
+                    exemplars.push({ charset: result.charset, char: chars[side], pixels: pixels });
+                }
+            });
+        };
+        var gridCells = result.extracted.gridCells;
+        var seq = Puzzle.sequence(result.puzzle.wrap, result.match.position, result.targetCodes.length,
+            gridCells.length, result.puzzle.cols);
+        for (var t = 0; t < result.targetCodes.length; t++) {
+            add(result.targetCodes[t], result.targetHalves[t]);
+            add(result.targetCodes[t], Processor.splitCellHalves(gridCells[seq[t]]));
+        }
+        return exemplars;
+    }
+
+    return {
+        LOCK_MAX_MISSES,
+        solve, solveBurst, sameShuffle, isLockable, needsRecapture, createLock, trackLock, learnableExemplars,
+        pickCharset
+    };
+})();
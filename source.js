@@ -0,0 +1,186 @@
+const FrameSource = (() => {
+    /**
+     * What App calls on the active frame source (Camera or
+     * ScreenCapture), so it does not care which one runs:
+     *   start(...)            open the stream; resolves to { deviceId,
+     *                         label, width, height, frameRate, fallback }
+     *   stop()                release the stream
+     *   onEnded(callback)     called when the stream ends on its own
+     *                         (camera unplugged, screen sharing stopped)
+     *   captureFrame()        full-size ImageData, null when not ready
+     *   capturePreview(width) { frame, scale } scaled down for checks
+     *   captureBurst(n, ms)   up to n full-size frames about ms apart
+     *   getVideoDimensions()  stream and element sizes and object-fit
+     *   getControls()         camera controls, null when there are none
+     *   applyControls(s)      apply camera settings ({} when none applied)
+     */
+    const METHODS = [
+        'start', 'stop', 'onEnded', 'captureFrame', 'capturePreview', 'captureBurst',
+        'getVideoDimensions', 'getControls', 'applyControls'
+    ];
+    // A burst waits at most this many intervals for the next video frame
+    // before capturing without one (stalled or stopped stream)
+    const FRAME_WAIT_INTERVALS = 3;
+
+    /**
+     * Frame capture from a <video> element playing a MediaStream, shared
+     * by the sources: { init(videoElement), attach(stream), detach(),
+     * track(), onEnded, captureFrame, capturePreview, captureBurst,
+     * getVideoDimensions } (see METHODS).
+     */
+    function create() {
+        let videoEl = null;
+        let stream = null;
+        let captureCanvas = null;
+        let captureCtx = null;
+        let previewCanvas = null;
+        let previewCtx = null;
+        let endedCallback = null;
+        // Settle functions of the nextFrame waits still open
+        let waits = [];
+
+        function init(videoElement) {
+            videoEl = videoElement;
+            captureCanvas = document.createElement('canvas');
+            captureCtx = captureCanvas.getContext('2d', { willReadFrequently: true });
+            previewCanvas = document.createElement('canvas');
+            previewCtx = previewCanvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        // Show `stream` in the video element and wait for it to play
+        async function attach(newStream) {
+            stream = newStream;
+            const live = stream;
+            stream.getVideoTracks().forEach(t => t.addEventListener('ended', () => {
+                // Only the stream still shown counts, not one stopped on purpose
+                if (live === stream && endedCallback) endedCallback();
+            }));
+            videoEl.srcObject = stream;
+            await videoEl.play();
+
+            captureCanvas.width = videoEl.videoWidth;
+            captureCanvas.height = videoEl.videoHeight;
+        }
+
+        function detach() {
+            // A stopped video delivers no more frames; let bursts finish
+            waits.slice().forEach(settle => settle());
+            if (stream) {
+                stream.getTracks().forEach(t => t.stop());
+                stream = null;
+            }
+            if (videoEl) videoEl.srcObject = null;
+        }
+
+        function track() {
+            return stream ? stream.getVideoTracks()[0] || null : null;
+        }
+
+        function onEnded(callback) {
+            endedCallback = callback;
+        }
+
+        function captureFrame() {
+            if (!videoEl || videoEl.readyState < 2) return null;
+
+            const w = videoEl.videoWidth;
+            const h = videoEl.videoHeight;
+            if (w === 0 || h === 0) return null;
+
+            if (captureCanvas.width !== w) captureCanvas.width = w;
+            if (captureCanvas.height !== h) captureCanvas.height = h;
+
+            captureCtx.drawImage(videoEl, 0, 0, w, h);
+            return captureCtx.getImageData(0, 0, w, h);
+        }
+
+        /**
+         * Capture a frame scaled down to at most `width` pixels wide, for
+         * cheap per-frame checks. Returns { frame, scale } with `scale` the
+         * video pixels per preview pixel, or null when no frame is ready.
+         */
+        function capturePreview(width) {
+            if (!videoEl || videoEl.readyState < 2) return null;
+
+            const vw = videoEl.videoWidth;
+            const vh = videoEl.videoHeight;
+            if (vw === 0 || vh === 0) return null;
+
+            const scale = Math.max(1, vw / width);
+            const w = Math.round(vw / scale);
+            const h = Math.round(vh / scale);
+            if (previewCanvas.width !== w) previewCanvas.width = w;
+            if (previewCanvas.height !== h) previewCanvas.height = h;
+
+            previewCtx.drawImage(videoEl, 0, 0, w, h);
+            return { frame: previewCtx.getImageData(0, 0, w, h), scale: vw / w };
+        }
+
+        /**
+         * Capture `count` frames spaced roughly `intervalMs` apart.
+         * Waits for a new video frame between captures where the browser
+         * supports requestVideoFrameCallback, so frames are never duplicates.
+         * Ends early with the frames so far when the stream is detached.
+         */
+        async function captureBurst(count, intervalMs) {
+            const frames = [];
+            for (let i = 0; i < count; i++) {
+                if (i > 0) await nextFrame(intervalMs);
+                if (i > 0 && !stream) break;
+                const frame = captureFrame();
+                if (frame) frames.push(frame);
+            }
+            return frames;
+        }
+
+        /**
+         * Resolve after `intervalMs` once the video has a new frame, or
+         * after FRAME_WAIT_INTERVALS intervals without one, or when the
+         * stream is detached, whichever comes first.
+         */
+        function nextFrame(intervalMs) {
+            return new Promise(resolve => {
+                let timer = null;
+                let deadline = null;
+                const settle = () => {
+                    if (waits.indexOf(settle) < 0) return;
+                    waits = waits.filter(w => w !== settle);
+                    clearTimeout(timer);
+                    clearTimeout(deadline);
+                    resolve();
+                };
+                waits.push(settle);
+                timer = setTimeout(() => {
+                    if (videoEl && videoEl.requestVideoFrameCallback) {
+                        videoEl.requestVideoFrameCallback(settle);
+                    } else {
+                        settle();
+                    }
+                }, intervalMs);
+                deadline = setTimeout(settle, intervalMs * FRAME_WAIT_INTERVALS);
+            });
+        }
+
+        function getVideoDimensions() {
+            return {
+                videoWidth: videoEl.videoWidth,
+                videoHeight: videoEl.videoHeight,
+                displayWidth: videoEl.clientWidth,
+                displayHeight: videoEl.clientHeight,
+                fit: getComputedStyle(videoEl).objectFit
+            };
+        }
+
+        return {
+            init, attach, detach, track, onEnded,
+            captureFrame, capturePreview, captureBurst, getVideoDimensions
+        };
+    }
+
+    // Names of the METHODS `source` lacks ([] for a complete frame source)
+    function missing(source) {
+        return METHODS.filter(name => typeof source[name] !== 'function');
+    }
+
+    return { METHODS, create, missing };
+})();
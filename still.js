@@ -0,0 +1,110 @@
+const StillImage = (() => {
+    let canvas = null;
+    let ctx = null;
+    let previewCanvas = null;
+    let previewCtx = null;
+    let loaded = false;
+
+    // `canvasElement` shows the image (laid out like the video, see style.css)
+    function init(canvasElement) {
+        canvas = canvasElement;
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+        previewCanvas = document.createElement('canvas');
+        previewCtx = previewCanvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    // Whether `file` (a File or Blob) looks like an image the browser decodes
+    function supports(file) {
+        return !!file && /^image\//.test(file.type);
+    }
+
+    /**
+     * Decode and show an image file, pasted or dropped blob. Resolves to
+     * { deviceId, label, width, height, frameRate, fallback } like
+     * Camera.start (`label` is the file name); rejects when the image
+     * cannot be decoded. The pixels are kept as they are, not scaled, so
+     * a user's screenshot reproduces what they saw.
+     */
+    async function start(blob) {
+        const bitmap = await createImageBitmap(blob);
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        ctx.drawImage(bitmap, 0, 0);
+        if (bitmap.close) bitmap.close();
+        loaded = true;
+        canvas.classList.remove('hidden');
+        return {
+            deviceId: null,
+            label: blob.name || 'pasted image',
+            width: canvas.width,
+            height: canvas.height,
+            frameRate: null,
+            fallback: false
+        };
+    }
+
+    function stop() {
+        loaded = false;
+        if (!canvas) return;
+        canvas.classList.add('hidden');
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+
+    // A still image never ends by itself
+    function onEnded() {}
+
+    // A fresh copy of the image each time: the Scanner hands frame
+    // buffers over to its worker
+    function captureFrame() {
+        if (!loaded) return null;
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * The image scaled down to at most `width` pixels wide as { frame,
+     * scale }, like Camera.capturePreview; null without an image.
+     */
+    function capturePreview(width) {
+        if (!loaded) return null;
+        const scale = Math.max(1, canvas.width / width);
+        const w = Math.round(canvas.width / scale);
+        const h = Math.round(canvas.height / scale);
+        if (previewCanvas.width !== w) previewCanvas.width = w;
+        if (previewCanvas.height !== h) previewCanvas.height = h;
+        previewCtx.drawImage(canvas, 0, 0, w, h);
+        return { frame: previewCtx.getImageData(0, 0, w, h), scale: canvas.width / w };
+    }
+
+    // One frame whatever `count` asks for: repeats of a still add nothing
+    // to fusion
+    async function captureBurst() {
+        const frame = captureFrame();
+        return frame ? [frame] : [];
+    }
+
+    function getVideoDimensions() {
+        return {
+            videoWidth: canvas.width,
+            videoHeight: canvas.height,
+            displayWidth: canvas.clientWidth,
+            displayHeight: canvas.clientHeight,
+            fit: getComputedStyle(canvas).objectFit
+        };
+    }
+
+    // An image has no camera controls
+    function getControls() {
+        return null;
+    }
+
+    async function applyControls() {
+        return {};
+    }
+
+    return {
+        kind: 'image',
+        init, supports, start, stop, onEnded, captureFrame, capturePreview, captureBurst,
+        getVideoDimensions, getControls, applyControls
+    };
+})();
@@ -1,14 +1,30 @@
-const CACHE_NAME = 'hack-solver-v18';
+const CACHE_NAME = 'hack-solver-v34';
 const ASSETS = [
     './',
     './index.html',
     './style.css',
     './app.js',
+    './controls.js',
+    './source.js',
     './camera.js',
+    './screen.js',
+    './still.js',
+    './viewport.js',
+    './geometry.js',
+    './puzzle.js',
     './detector.js',
+    './quality.js',
+    './framing.js',
     './processor.js',
+    './runes.js',
     './templates.js',
+    './learned.js',
     './matcher.js',
+    './braille.js',
+    './fusion.js',
+    './solver.js',
+    './scanner.js',
+    './worker.js',
     './manifest.json'
 ];
 
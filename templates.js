@@ -22,20 +22,49 @@ const Templates = (() => {
         runes: '\u16A0\u16A5\u16A7\u16A8\u16A9\u16AC\u16AD\u16BB\u16D0\u16D1\u16D2\u16D3\u16D4\u16D5\u16D6\u16D7\u16D8\u16D9\u16DA\u16DB\u16DC\u16DD\u16DE\u16DF\u16E4'
     };
 
+    // Learned exemplars kept per character (newest last)
+    const MAX_LEARNED = 8;
+
+    // Template pack file format (see encodePack)
+    const PACK_FORMAT = 'hack-solver-templates';
+    const PACK_VERSION = 1;
+    // Font the canvas renderer draws glyphs with, recorded in packs
+    const FONT = 'sans-serif';
+
     let generated = null;
+    let renderer = null;
+    let rendererFont = FONT;
+    // charset -> templates from an imported pack (replace rendered glyphs)
+    let packed = {};
+    // charset -> char -> [{ char, pixels, binary, learned }]
+    let learned = {};
+    // charset -> rendered templates with learned exemplars swapped in
+    let merged = {};
+
+    /**
+     * Create a canvas on the main thread, or an OffscreenCanvas when
+     * running inside the scan worker (no document there).
+     */
+    function createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return new OffscreenCanvas(width, height);
+    }
 
     function renderChar(char, fontSize) {
         const size = fontSize * 3;
-        const canvas = document.createElement('canvas');
-        canvas.width = size;
-        canvas.height = size;
+        const canvas = createCanvas(size, size);
         const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, size, size);
 
         ctx.fillStyle = '#fff';
-        ctx.font = fontSize + 'px sans-serif';
+        ctx.font = fontSize + 'px ' + FONT;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         ctx.fillText(char, size / 2, size / 2);
@@ -84,38 +113,11 @@ const Templates = (() => {
         var cropW = tMaxX - tMinX + 1;
         var cropH = tMaxY - tMinY + 1;
 
-        var srcCanvas = document.createElement('canvas');
-        srcCanvas.width = cropW;
-        srcCanvas.height = cropH;
-        var srcCtx = srcCanvas.getContext('2d');
-        var cropData = srcCtx.createImageData(cropW, cropH);
-
-        for (var cy = 0; cy < cropH; cy++) {
-            for (var cx = 0; cx < cropW; cx++) {
-                var g = gray[(tMinY + cy) * w + (tMinX + cx)];
-                var dstIdx = (cy * cropW + cx) * 4;
-                cropData.data[dstIdx] = g;
-                cropData.data[dstIdx + 1] = g;
-                cropData.data[dstIdx + 2] = g;
-                cropData.data[dstIdx + 3] = 255;
-            }
-        }
-        srcCtx.putImageData(cropData, 0, 0);
-
-        var dstCanvas = document.createElement('canvas');
-        dstCanvas.width = CELL_SIZE;
-        dstCanvas.height = CELL_SIZE;
-        var dstCtx = dstCanvas.getContext('2d', { willReadFrequently: true });
-        dstCtx.drawImage(srcCanvas, 0, 0, cropW, cropH, 0, 0, CELL_SIZE, CELL_SIZE);
-        var scaled = dstCtx.getImageData(0, 0, CELL_SIZE, CELL_SIZE);
-
-        var result = new Uint8Array(CELL_SIZE * CELL_SIZE);
+        var result = Processor.resample(gray, w, { x: tMinX, y: tMinY, w: cropW, h: cropH }, CELL_SIZE, CELL_SIZE);
         var gMin = 255, gMax = 0;
         for (var j = 0; j < result.length; j++) {
-            var v = scaled.data[j * 4];
-            result[j] = v;
-            if (v < gMin) gMin = v;
-            if (v > gMax) gMax = v;
+            if (result[j] < gMin) gMin = result[j];
+            if (result[j] > gMax) gMax = result[j];
         }
 
         var range = gMax - gMin;
@@ -142,37 +144,247 @@ const Templates = (() => {
         return binary;
     }
 
-    function generateCharset(charString, fontSize) {
+    // Charsets drawn from bundled glyph definitions instead of a font
+    function builtinRenderer(name) {
+        return name === 'runes' ? Runes.render : null;
+    }
+
+    function generateCharset(charString, fontSize, render) {
         var chars = Array.from(charString);
         var templates = [];
         for (var i = 0; i < chars.length; i++) {
-            var rendered = renderChar(chars[i], fontSize);
+            var rendered = render(chars[i], fontSize);
             var pixels = tightCropAndNormalize(rendered.gray, rendered.w, rendered.h);
             templates.push({ char: chars[i], pixels: pixels, binary: binarize(pixels) });
         }
         return templates;
     }
 
+    // Characters of a charset that an imported pack does not cover
+    function unpackedChars(name) {
+        var pack = packed[name];
+        if (!pack) return CHARSETS[name];
+        var covered = {};
+        pack.forEach(function(tpl) { covered[tpl.char] = true; });
+        return Array.from(CHARSETS[name]).filter(function(c) { return !covered[c]; }).join('');
+    }
+
     function generate() {
         if (generated) return generated;
         var fontSize = 48;
         generated = {};
         var names = Object.keys(CHARSETS);
         for (var i = 0; i < names.length; i++) {
-            generated[names[i]] = generateCharset(CHARSETS[names[i]], fontSize);
+            var render = builtinRenderer(names[i]) || renderer || renderChar;
+            var rendered = generateCharset(unpackedChars(names[i]), fontSize, render);
+            generated[names[i]] = (packed[names[i]] || []).concat(rendered);
         }
         return generated;
     }
 
+    /**
+     * Replace the glyph renderer. fn(char, fontSize) must return
+     * { gray, w, h } like renderChar. Used where there is no canvas to
+     * draw text on (the Node CLI pre-renders glyphs with sharp).
+     * Charsets with built-in glyphs (runes) keep their own renderer.
+     * `font` names the font fn draws with (recorded in exported packs).
+     * Pass null to restore the canvas renderer. Drops generated templates.
+     */
+    function setRenderer(fn, font) {
+        renderer = fn;
+        rendererFont = fn ? font || 'custom' : FONT;
+        generated = null;
+        merged = {};
+    }
+
+    function hasBuiltinGlyphs(name) {
+        return builtinRenderer(name) !== null;
+    }
+
+    function learnedTemplate(char, pixels) {
+        return { char: char, pixels: pixels, binary: binarize(pixels), learned: true };
+    }
+
+    /**
+     * Add a learned exemplar: a normalized half-cell (CELL_SIZE square)
+     * captured from a real frame whose character is known. Only the
+     * newest MAX_LEARNED exemplars per character are kept.
+     */
+    function learn(name, char, pixels) {
+        var perChar = learned[name] || (learned[name] = {});
+        var list = perChar[char] || (perChar[char] = []);
+        list.push(learnedTemplate(char, pixels));
+        if (list.length > MAX_LEARNED) list.splice(0, list.length - MAX_LEARNED);
+        delete merged[name];
+    }
+
+    // Replace all exemplars of one character (restoring persisted ones)
+    function setLearned(name, char, pixelsList) {
+        var perChar = learned[name] || (learned[name] = {});
+        perChar[char] = pixelsList.slice(-MAX_LEARNED).map(function(p) { return learnedTemplate(char, p); });
+        delete merged[name];
+    }
+
+    function getLearned(name, char) {
+        var list = learned[name] && learned[name][char];
+        return list ? list.map(function(t) { return t.pixels; }) : [];
+    }
+
+    function clearLearned() {
+        learned = {};
+        merged = {};
+    }
+
+    /**
+     * Templates for one charset: learned exemplars first, then rendered
+     * glyphs only for characters that have not been learned yet.
+     */
+    function withLearned(name) {
+        if (merged[name]) return merged[name];
+        var rendered = generated[name];
+        var perChar = learned[name];
+        if (!rendered || !perChar) return rendered || null;
+        var list = [];
+        Object.keys(perChar).forEach(function(char) { list = list.concat(perChar[char]); });
+        rendered.forEach(function(tpl) {
+            if (!perChar[tpl.char] || perChar[tpl.char].length === 0) list.push(tpl);
+        });
+        merged[name] = list;
+        return list;
+    }
+
     function getCharset(name) {
         if (!generated) generate();
-        return generated[name] || null;
+        return withLearned(name);
     }
 
     function getAllCharsets() {
         if (!generated) generate();
-        return generated;
+        var all = {};
+        Object.keys(generated).forEach(function(name) { all[name] = withLearned(name); });
+        return all;
     }
 
-    return { generate, getCharset, getAllCharsets, CHARSETS, CELL_SIZE };
+    // ===== Template packs =====
+    // A pack is JSON:
+    //   { format: PACK_FORMAT, version: PACK_VERSION, cellSize: 32,
+    //     font: 'sans-serif', created: ISO date,
+    //     charsets: { name: { chars, pixels, binary } } }
+    // `chars` lists one character per template (repeats allowed); `pixels`
+    // is base64 of the templates' CELL_SIZE² grayscale bytes back to back
+    // and `binary` base64 of their masks, one bit per pixel (MSB first).
+
+    function toBase64(bytes) {
+        var text = '';
+        for (var i = 0; i < bytes.length; i += 0x8000) {
+            text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(text);
+    }
+
+    function fromBase64(text) {
+        var raw = atob(text);
+        var bytes = new Uint8Array(raw.length);
+        for (var i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Encode templates ({ name: [{ char, pixels, binary }] }) as a pack.
+     * `font` describes where the glyphs came from.
+     */
+    function encodePack(charsets, font) {
+        var area = CELL_SIZE * CELL_SIZE;
+        var out = {};
+        Object.keys(charsets).forEach(function(name) {
+            var tpls = charsets[name];
+            var pixels = new Uint8Array(tpls.length * area);
+            var bits = new Uint8Array(tpls.length * area / 8);
+            tpls.forEach(function(tpl, t) {
+                var binary = tpl.binary || binarize(tpl.pixels);
+                pixels.set(tpl.pixels, t * area);
+                for (var i = 0; i < area; i++) {
+                    if (binary[i]) bits[(t * area + i) >> 3] |= 0x80 >> (i & 7);
+                }
+            });
+            out[name] = {
+                chars: tpls.map(function(tpl) { return tpl.char; }).join(''),
+                pixels: toBase64(pixels),
+                binary: toBase64(bits)
+            };
+        });
+        return {
+            format: PACK_FORMAT,
+            version: PACK_VERSION,
+            cellSize: CELL_SIZE,
+            font: font,
+            created: new Date().toISOString(),
+            charsets: out
+        };
+    }
+
+    /**
+     * Pack every charset's current templates (imported, learned and
+     * rendered) so another device can load exactly the same set.
+     */
+    function exportPack() {
+        var learnedNames = Object.keys(learned).filter(function(name) {
+            return Object.keys(learned[name]).length > 0;
+        });
+        var font = rendererFont + (learnedNames.length ? ' + learned' : '');
+        return encodePack(getAllCharsets(), font);
+    }
+
+    /**
+     * Install a pack (parsed JSON object). Its templates replace rendered
+     * glyphs for the characters it covers; characters it lacks are still
+     * rendered and learned exemplars still come first. Charsets unknown
+     * to CHARSETS are ignored. Returns the imported charset names; throws
+     * on a malformed or incompatible pack.
+     */
+    function importPack(pack) {
+        if (!pack || pack.format !== PACK_FORMAT) throw new Error('Not a template pack');
+        if (pack.version !== PACK_VERSION) throw new Error('Unsupported template pack version ' + pack.version);
+        if (pack.cellSize !== CELL_SIZE) throw new Error('Template pack cell size ' + pack.cellSize + ' != ' + CELL_SIZE);
+
+        var area = CELL_SIZE * CELL_SIZE;
+        var decoded = {};
+        Object.keys(pack.charsets || {}).forEach(function(name) {
+            if (!CHARSETS[name]) return;
+            var entry = pack.charsets[name];
+            var chars = Array.from(entry.chars || '');
+            var pixels = fromBase64(entry.pixels || '');
+            var bits = fromBase64(entry.binary || '');
+            if (pixels.length !== chars.length * area || bits.length !== chars.length * area / 8) {
+                throw new Error('Template pack charset ' + name + ' is truncated');
+            }
+            decoded[name] = chars.map(function(char, t) {
+                var binary = new Uint8Array(area);
+                for (var i = 0; i < area; i++) {
+                    if (bits[(t * area + i) >> 3] & (0x80 >> (i & 7))) binary[i] = 255;
+                }
+                return { char: char, pixels: pixels.slice(t * area, (t + 1) * area), binary: binary };
+            });
+        });
+
+        Object.keys(decoded).forEach(function(name) { packed[name] = decoded[name]; });
+        generated = null;
+        merged = {};
+        return Object.keys(decoded);
+    }
+
+    // Download and parse a pack (a shared URL or a bundled asset)
+    function fetchPack(url) {
+        return fetch(url).then(function(res) {
+            if (!res.ok) throw new Error('Template pack ' + url + ': HTTP ' + res.status);
+            return res.json();
+        });
+    }
+
+    return {
+        generate, getCharset, getAllCharsets, setRenderer, hasBuiltinGlyphs, tightCropAndNormalize,
+        learn, setLearned, getLearned, clearLearned,
+        encodePack, exportPack, importPack, fetchPack,
+        CHARSETS, CELL_SIZE, MAX_LEARNED, PACK_FORMAT, PACK_VERSION
+    };
 })();
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the Braille dot-lattice decoder: lattice fitting, dot bits,
+// per-dot confidences and the Solver's braille strategy.
+// The new Function() call below loads our own project source file
+// (braille.js) - no untrusted input is involved.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function loadBraille() {
+    const src = fs.readFileSync(path.join(__dirname, '..', 'braille.js'), 'utf-8');
+    // eslint-disable-next-line no-new-func -- loading own trusted source file
+    return new Function(src + '\nreturn Braille;')();
+}
+
+const Braille = loadBraille();
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; the rendered-frame tests need it
+}
+
+// ===== Helpers =====
+
+const DOT = 3;          // dot size in px
+const PITCH = 7;        // dot pitch in px (rows and columns)
+const CHAR_GAP = 7;     // extra space between the two characters
+const COL_SPACING = 64;
+const ROW_SPACING = 50;
+
+// Draw codes as square dots on a dark frame. Returns the frame and
+// detector-style boxes centered on each code. `stray` adds two blobs
+// halfway between the dot columns and rows of every character, off the
+// lattice.
+function drawFrame(rows, cols, codes, dot = DOT, stray = false) {
+    const width = cols * COL_SPACING + 80, height = rows * ROW_SPACING + 80;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = 12; data[i + 1] = 16; data[i + 2] = 20; data[i + 3] = 255;
+    }
+    const boxes = [];
+    codes.forEach((code, idx) => {
+        const cx = 40 + (idx % cols + 0.5) * COL_SPACING;
+        const cy = 40 + (Math.floor(idx / cols) + 0.5) * ROW_SPACING;
+        boxes.push({ x: cx - COL_SPACING * 0.46, y: cy - ROW_SPACING * 0.425, w: COL_SPACING * 0.92, h: ROW_SPACING * 0.85, cx, cy });
+        const blob = (px, py) => {
+            const x0 = Math.round(px - dot / 2), y0 = Math.round(py - dot / 2);
+            for (let y = y0; y < y0 + dot; y++) {
+                for (let x = x0; x < x0 + dot; x++) {
+                    const o = (y * width + x) * 4;
+                    data[o] = data[o + 1] = data[o + 2] = 230;
+                }
+            }
+        };
+        Array.from(code).forEach((ch, side) => {
+            const bits = ch.charCodeAt(0) - 0x2800;
+            const left = cx + (side === 0 ? -1 : 1) * (CHAR_GAP / 2 + PITCH / 2) - PITCH / 2;
+            for (let row = 0; row < 4; row++) {
+                for (let col = 0; col < 2; col++) {
+                    if (bits & Braille.DOT_BITS[row][col]) blob(left + col * PITCH, cy + (row - 1.5) * PITCH);
+                }
+            }
+            if (stray) {
+                blob(left + PITCH / 2, cy - PITCH);
+                blob(left + PITCH / 2, cy + PITCH);
+            }
+        });
+    });
+    return { frame: { data, width, height }, boxes };
+}
+
+// Deterministic codes from the game's Braille charset (U+2840-28FF)
+function codes(n, seed) {
+    const out = [];
+    let s = seed;
+    const next = () => { s = (s * 1103515245 + 12345) >>> 0; return 0x2840 + (s >>> 16) % 192; };
+    for (let i = 0; i < n; i++) out.push(String.fromCharCode(next(), next()));
+    return out;
+}
+
+// ===== Helpers in the module =====
+
+describe('Braille.cluster1d', () => {
+    it('finds well separated centers in order', () => {
+        const centers = Braille.cluster1d([9, 1, 10, 2, 20, 21, 30, 31, 1.5, 29], 4);
+        assert.deepEqual(centers.map(Math.round), [2, 10, 21, 30]);
+    });
+});
+
+describe('Braille.groupCodes', () => {
+    it('splits a row at the widest gaps', () => {
+        const dots = [0, 5, 10, 40, 45, 80, 85, 90].map(x => ({ x, y: 0 }));
+        const groups = Braille.groupCodes(dots, 3);
+        assert.deepEqual(groups.map(g => g.map(d => d.x)), [[0, 5, 10], [40, 45], [80, 85, 90]]);
+    });
+});
+
+// ===== decode =====
+
+describe('Braille.decode', () => {
+    it('reads every code of a clean grid and target exactly', () => {
+        const grid = codes(80, 1);
+        const target = codes(4, 2);
+        const g = drawFrame(8, 10, grid);
+        const t = drawFrame(1, 4, target);
+        // The target row is decoded from its own frame with its boxes as the grid
+        const decodedGrid = Braille.decode(g.frame, g.boxes, null, 10);
+        assert.ok(decodedGrid);
+        assert.deepEqual(decodedGrid.grid.codes, grid);
+        assert.equal(decodedGrid.target, null);
+        assert.ok(decodedGrid.grid.maxDistance < 0.1);
+
+        const both = Braille.decode(t.frame, t.boxes, t.boxes, 4);
+        assert.deepEqual(both.target.codes, target);
+    });
+
+    it('maps dots to Unicode bits and reports per-dot confidence in dot order', () => {
+        const grid = codes(18, 3).concat(['⣿⡀', '⢀⣀']);
+        const { frame, boxes } = drawFrame(2, 10, grid);
+        const decoded = Braille.decode(frame, boxes, null, 10);
+        const full = decoded.grid.cells[18];
+        assert.equal(full.code, '⣿⡀');
+        assert.equal(full.chars[0].bits, 0xFF);
+        assert.equal(full.chars[1].bits, 0x40);
+        assert.equal(full.chars[0].dots.length, 8);
+        for (const conf of full.chars[0].dots) assert.ok(conf > 0.9);
+        assert.equal(decoded.grid.cells[19].code, '⢀⣀');
+    });
+
+    it('tolerates boxes offset from the codes by more than a dot column', () => {
+        const grid = codes(80, 4);
+        const { frame, boxes } = drawFrame(8, 10, grid);
+        // Detector-style drift: centers spread 4% too narrow around the grid middle
+        const mid = frame.width / 2;
+        const shifted = boxes.map(b => Object.assign({}, b, { x: mid + (b.x - mid) * 0.96 }));
+        assert.deepEqual(Braille.decode(frame, shifted, null, 10).grid.codes, grid);
+    });
+
+    it('returns null when there is no dot lattice', () => {
+        const { frame, boxes } = drawFrame(8, 10, new Array(80).fill('⠀⠀'));
+        assert.equal(Braille.decode(frame, boxes, null, 10), null);
+    });
+
+    it('returns null when many blobs fall off the fitted lattice', () => {
+        const grid = codes(80, 5);
+        const clean = drawFrame(8, 10, grid);
+        assert.deepEqual(Braille.decode(clean.frame, clean.boxes, null, 10).grid.codes, grid);
+        const { frame, boxes } = drawFrame(8, 10, grid, DOT, true);
+        assert.equal(Braille.decode(frame, boxes, null, 10), null);
+    });
+
+    it('returns null when the blobs are too large for the lattice pitch', () => {
+        const { frame, boxes } = drawFrame(8, 10, codes(80, 5), PITCH - 1);
+        assert.equal(Braille.decode(frame, boxes, null, 10), null);
+    });
+});
+
+// ===== Solver strategy =====
+
+describe('Solver braille strategy', { skip: !sharp && 'sharp not installed' }, () => {
+    it('solves a rendered Braille frame from the dot lattice', async () => {
+        const synth = require('../bin/synth');
+        const { createRuntime, loadImage } = require('../bin/runtime');
+        const { Solver, Templates } = await createRuntime();
+        const rendered = await synth.renderFrame(sharp, {
+            charset: 'braille', chars: Templates.CHARSETS.braille, seed: 9
+        });
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'braille-'));
+        const file = path.join(dir, 'frame.png');
+        fs.writeFileSync(file, rendered.image);
+
+        const result = Solver.solve(await loadImage(file));
+        fs.rmSync(dir, { recursive: true });
+
+        assert.equal(result.charset, 'braille');
+        assert.deepEqual(result.targetCodes, rendered.sidecar.target);
+        assert.equal(result.match.row, rendered.sidecar.expected.row);
+        assert.equal(result.match.col, rendered.sidecar.expected.col);
+        assert.ok(result.braille && result.braille.grid.cells.length === 80);
+    });
+
+    it('merges dot rows into text rows only when the profile allows Braille', async () => {
+        const synth = require('../bin/synth');
+        const { createRuntime, loadImage } = require('../bin/runtime');
+        const { Detector, Puzzle, Templates } = await createRuntime();
+        const rendered = await synth.renderFrame(sharp, {
+            charset: 'braille', chars: Templates.CHARSETS.braille, seed: 9
+        });
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'braille-'));
+        const file = path.join(dir, 'frame.png');
+        fs.writeFileSync(file, rendered.image);
+        const frame = await loadImage(file);
+        fs.rmSync(dir, { recursive: true });
+
+        assert.equal(Detector.detect(frame, Puzzle.parse('charsets=braille')).gridCells.length, 80);
+        const diagnostics = {};
+        assert.equal(Detector.detect(frame, Puzzle.parse('charsets=alphabet'), diagnostics), null);
+        assert.equal(diagnostics.failure, 'irregular-rows');
+    });
+});
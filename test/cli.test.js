@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+'use strict';
+
+// End-to-end tests for bin/solve and bin/evaluate: renders a simple
+// numeric game frame with sharp, solves it headlessly and checks the output.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; without it the CLI cannot decode images
+}
+
+const BIN = path.join(__dirname, '..', 'bin');
+
+function run(script, args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [path.join(BIN, script)].concat(args), (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+function runSolve(args) {
+    return run('solve', args);
+}
+
+const TARGET = ['35', '42', '49', '56'];
+
+function gridCodes() {
+    const grid = [];
+    for (let i = 0; i < 80; i++) grid.push(String((i * 7) % 100).padStart(2, '0'));
+    return grid;
+}
+
+// 8x10 grid of numeric codes with the target row above it.
+// Code at index i is (i * 7) % 100, so the target 35 42 49 56 sits at R1C6.
+function frameSvg() {
+    let text = '';
+    const grid = gridCodes();
+    TARGET.forEach((code, i) => {
+        text += '<text x="' + (380 + i * 60) + '" y="200" font-size="36" font-family="monospace" fill="#fff">' + code + '</text>';
+    });
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 10; c++) {
+            const code = grid[r * 10 + c];
+            text += '<text x="' + (200 + c * 60) + '" y="' + (300 + r * 60) + '" font-size="36" font-family="monospace" fill="#fff">' + code + '</text>';
+        }
+    }
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="800">' +
+        '<rect width="100%" height="100%" fill="#111"/>' + text + '</svg>';
+}
+
+let dir;
+
+before(async () => {
+    if (!sharp) return;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hack-solver-'));
+    await sharp(Buffer.from(frameSvg())).png().toFile(path.join(dir, 'grid.png'));
+    await sharp({ create: { width: 640, height: 360, channels: 3, background: '#111' } })
+        .png().toFile(path.join(dir, 'blank.png'));
+
+    // One-sample dataset for bin/evaluate
+    const ds = path.join(dir, 'dataset');
+    fs.mkdirSync(ds);
+    fs.copyFileSync(path.join(dir, 'grid.png'), path.join(ds, 'numeric-1.png'));
+    fs.writeFileSync(path.join(ds, 'numeric-1.json'), JSON.stringify({
+        charset: 'numeric',
+        target: TARGET,
+        grid: gridCodes(),
+        expected: { position: 5, row: 1, col: 6 }
+    }));
+});
+
+after(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('bin/solve', { skip: !sharp && 'sharp not installed' }, () => {
+    it('solves a rendered numeric frame', async () => {
+        const res = await runSolve([path.join(dir, 'grid.png'), '--compact']);
+        assert.equal(res.code, 0, res.stderr);
+        const out = JSON.parse(res.stdout);
+        assert.equal(out.detection.gridCells.length, 80);
+        assert.equal(out.detection.targetCells.length, 4);
+        assert.equal(out.charset, 'numeric');
+        assert.deepEqual(out.targetCodes, TARGET);
+        assert.equal(out.match.row, 1);
+        assert.equal(out.match.col, 6);
+        assert.ok(out.codes.numeric.grid.length === 80);
+        assert.ok(out.timings.detect >= 0 && out.timings.total >= out.timings.detect);
+    });
+
+    it('solves with a puzzle profile', async () => {
+        const res = await runSolve([path.join(dir, 'grid.png'), '--profile', 'auto,charsets=numeric', '--compact']);
+        assert.equal(res.code, 0, res.stderr);
+        const out = JSON.parse(res.stdout);
+        assert.deepEqual([out.puzzle.rows, out.puzzle.cols, out.puzzle.targetLength], [8, 10, 4]);
+        assert.deepEqual(Object.keys(out.codes), ['numeric']);
+        assert.equal(out.match.position, 5);
+    });
+
+    it('exits 1 for an invalid puzzle profile', async () => {
+        const res = await runSolve([path.join(dir, 'grid.png'), '--profile', 'rows=40']);
+        assert.equal(res.code, 1);
+        assert.match(res.stderr, /rows must be 4-12/);
+    });
+
+    it('exits 1 for a profile with an unknown charset', async () => {
+        const res = await runSolve([path.join(dir, 'grid.png'), '--profile', 'standard,charsets=klingon']);
+        assert.equal(res.code, 1);
+        assert.match(res.stderr, /^solve: Puzzle charsets must be among numeric, .*, got klingon\n$/);
+    });
+
+    it('reports a structured failure for a frame without a grid', async () => {
+        const res = await runSolve([path.join(dir, 'blank.png'), '--compact']);
+        assert.equal(res.code, 2);
+        const out = JSON.parse(res.stdout);
+        assert.equal(out.match, null);
+        assert.equal(out.error, 'Grid not found');
+    });
+
+    it('exits 1 with usage when no image is given', async () => {
+        const res = await runSolve([]);
+        assert.equal(res.code, 1);
+        assert.match(res.stderr, /Usage/);
+    });
+});
+
+describe('bin/evaluate', { skip: !sharp && 'sharp not installed' }, () => {
+    it('prints a results table for a dataset folder', async () => {
+        const res = await run('evaluate', [path.join(dir, 'dataset')]);
+        assert.equal(res.code, 0, res.stderr);
+        assert.match(res.stdout, /\| numeric-1 \| numeric \| MATCH R1C6 \| correct \|/);
+        assert.match(res.stdout, /Detection 1\/1, chars 100%, charset 1\/1, match 1\/1/);
+    });
+
+    it('emits per-sample scores as JSON', async () => {
+        const res = await run('evaluate', [path.join(dir, 'dataset'), '--json']);
+        const out = JSON.parse(res.stdout);
+        assert.equal(out.summary.samples, 1);
+        assert.equal(out.samples[0].name, 'numeric-1');
+        assert.equal(out.samples[0].match, true);
+    });
+
+    it('exits 1 for a folder without samples', async () => {
+        const res = await run('evaluate', [dir]);
+        assert.equal(res.code, 1);
+    });
+});
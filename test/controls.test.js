@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for camera controls: capability normalization, the constraint
+// sets built for torch, zoom, exposure and focus, pinch zoom, lens
+// ranking, stream modes and the per-device preferences.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../bin/runtime');
+
+const { Controls } = loadModules();
+
+// Capabilities as reported by Chrome on an Android phone
+const PHONE = {
+    torch: true,
+    zoom: { min: 1, max: 8, step: 0.1 },
+    exposureCompensation: { min: -2, max: 2, step: 0.333 },
+    focusMode: ['manual', 'single-shot', 'continuous'],
+    exposureMode: ['manual', 'single-shot', 'continuous']
+};
+
+// In-memory stand-in for localStorage
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+describe('Controls.capabilities', () => {
+    it('normalizes a phone camera', () => {
+        const caps = Controls.capabilities(PHONE, { pointsOfInterest: true });
+        assert.equal(caps.torch, true);
+        assert.deepEqual(caps.zoom, { min: 1, max: 8, step: 0.1 });
+        assert.equal(caps.exposureLock, 'manual');
+        assert.equal(caps.pointsOfInterest, true);
+        assert.deepEqual(caps.focusModes, ['manual', 'single-shot', 'continuous']);
+    });
+
+    it('reports nothing for a webcam without controls or a browser without getCapabilities', () => {
+        for (const raw of [{ zoom: { min: 1, max: 1 } }, undefined]) {
+            const caps = Controls.capabilities(raw);
+            assert.deepEqual(caps, {
+                torch: false, zoom: null, exposureCompensation: null, focusModes: [],
+                exposureModes: [], pointsOfInterest: false, exposureLock: null
+            });
+        }
+    });
+
+    it('locks exposure with single-shot metering when there is no manual mode', () => {
+        assert.equal(Controls.capabilities({ exposureMode: ['single-shot', 'continuous'] }).exposureLock, 'single-shot');
+        // Without continuous metering a lock could not be released
+        assert.equal(Controls.capabilities({ exposureMode: ['manual'] }).exposureLock, null);
+    });
+});
+
+describe('Controls.constraints', () => {
+    const caps = Controls.capabilities(PHONE, { pointsOfInterest: true });
+
+    it('clamps and snaps zoom and exposure compensation', () => {
+        assert.deepEqual(Controls.constraints(caps, { zoom: 2.04 }), { zoom: 2 });
+        assert.deepEqual(Controls.constraints(caps, { zoom: 12 }), { zoom: 8 });
+        assert.deepEqual(Controls.constraints(caps, { exposureCompensation: -0.7 }), { exposureCompensation: -0.668 });
+    });
+
+    it('switches exposure between the lock mode and continuous metering', () => {
+        assert.deepEqual(Controls.constraints(caps, { exposureLock: true, torch: true }), { torch: true, exposureMode: 'manual' });
+        assert.deepEqual(Controls.constraints(caps, { exposureLock: false, torch: false }), { torch: false, exposureMode: 'continuous' });
+    });
+
+    it('focuses once on a point of interest', () => {
+        assert.deepEqual(Controls.constraints(caps, { focus: { x: 0.25, y: 1.2 } }),
+            { pointsOfInterest: [{ x: 0.25, y: 1 }], focusMode: 'single-shot' });
+    });
+
+    it('leaves out what the camera cannot do', () => {
+        const webcam = Controls.capabilities({ focusMode: ['continuous'] });
+        assert.deepEqual(Controls.constraints(webcam, {
+            torch: true, zoom: 2, exposureLock: true, exposureCompensation: 1, focus: { x: 0.5, y: 0.5 }
+        }), {});
+    });
+});
+
+describe('Controls.pinchZoom', () => {
+    const caps = Controls.capabilities(PHONE);
+
+    it('scales the zoom with the finger distance within the range', () => {
+        assert.equal(Controls.pinchZoom(caps, 2, 100, 150), 3);
+        assert.equal(Controls.pinchZoom(caps, 2, 100, 20), 1);
+        assert.equal(Controls.pinchZoom(caps, 4, 100, 400), 8);
+    });
+
+    it('does nothing without zoom', () => {
+        assert.equal(Controls.pinchZoom(Controls.capabilities({}), 1, 100, 200), null);
+    });
+});
+
+describe('Controls lenses', () => {
+    const device = label => ({ kind: 'videoinput', deviceId: label.toLowerCase().replace(/\W+/g, '-'), label });
+
+    it('reads the lens kind from iOS and Android labels', () => {
+        assert.equal(Controls.lensOf('Back Camera'), 'wide');
+        assert.equal(Controls.lensOf('Back Ultra Wide Camera'), 'ultra-wide');
+        assert.equal(Controls.lensOf('Back Telephoto Camera'), 'telephoto');
+        assert.equal(Controls.lensOf('Back Dual Wide Camera'), 'multi');
+        assert.equal(Controls.lensOf('Front Camera'), 'front');
+        assert.equal(Controls.lensOf('camera2 0, facing back'), 'back');
+        assert.equal(Controls.lensOf('camera2 1, facing front'), 'front');
+        assert.equal(Controls.lensOf('HD Pro Webcam C920'), 'unknown');
+        assert.equal(Controls.lensOf(''), 'unknown');
+    });
+
+    it('puts the main back lens first and the ultra-wide and front ones last', () => {
+        const ranked = Controls.rankDevices([
+            device('Front Camera'),
+            { kind: 'audioinput', deviceId: 'mic', label: 'iPhone Microphone' },
+            device('Back Ultra Wide Camera'),
+            device('Back Triple Camera'),
+            device('Back Telephoto Camera'),
+            device('Back Camera')
+        ]);
+        assert.deepEqual(ranked.map(d => d.label), [
+            'Back Camera', 'Back Triple Camera', 'Back Telephoto Camera', 'Back Ultra Wide Camera', 'Front Camera'
+        ]);
+        assert.deepEqual(ranked[0], { deviceId: 'back-camera', label: 'Back Camera', lens: 'wide' });
+    });
+
+    it('keeps the browser order among devices of one kind', () => {
+        const ranked = Controls.rankDevices(['camera2 2, facing back', 'camera2 0, facing back', 'camera2 1, facing front'].map(device));
+        assert.deepEqual(ranked.map(d => d.label), ['camera2 2, facing back', 'camera2 0, facing back', 'camera2 1, facing front']);
+        // Without permission every label is empty
+        assert.deepEqual(Controls.rankDevices([{ kind: 'videoinput', deviceId: '', label: '' }]).map(d => d.lens), ['unknown']);
+    });
+});
+
+describe('Controls stream modes', () => {
+    it('asks for a device exactly, or any back camera', () => {
+        assert.deepEqual(Controls.videoConstraints('abc').deviceId, { exact: 'abc' });
+        const any = Controls.videoConstraints(null);
+        assert.equal(any.facingMode, 'environment');
+        assert.equal(any.deviceId, undefined);
+        assert.deepEqual(any.width, { ideal: Controls.MAX_WIDTH });
+    });
+
+    it('raises the stream to the largest supported mode within the limits', () => {
+        const caps = { width: { min: 1, max: 4032 }, height: { min: 1, max: 3024 }, frameRate: { min: 1, max: 30 } };
+        assert.deepEqual(Controls.bestMode(caps, { width: 640, height: 480, frameRate: 30 }),
+            { width: 2560, height: 1440, frameRate: 30 });
+        // Portrait streams keep their orientation
+        assert.deepEqual(Controls.bestMode(caps, { width: 480, height: 640, frameRate: 30 }),
+            { width: 1440, height: 2560, frameRate: 30 });
+    });
+
+    it('leaves a stream that is already at its best mode', () => {
+        const caps = { width: { min: 1, max: 1920 }, height: { min: 1, max: 1080 }, frameRate: { min: 1, max: 30 } };
+        assert.equal(Controls.bestMode(caps, { width: 1920, height: 1080, frameRate: 30 }), null);
+        assert.equal(Controls.bestMode({}, { width: 640, height: 480 }), null);
+        assert.equal(Controls.bestMode(undefined, { width: 640, height: 480 }), null);
+    });
+});
+
+describe('Controls preferences', () => {
+    it('keeps torch, zoom and exposure per device', () => {
+        const storage = memoryStorage();
+        Controls.savePreferences(storage, 'back', { torch: true, zoom: 2.5, exposureLock: true, focus: { x: 0, y: 0 } });
+        Controls.savePreferences(storage, 'front', { zoom: 1 });
+        assert.deepEqual(Controls.loadPreferences(storage, 'back'), { torch: true, zoom: 2.5, exposureLock: true });
+        assert.deepEqual(Controls.loadPreferences(storage, 'front'), { zoom: 1 });
+        assert.deepEqual(Controls.loadPreferences(storage, 'usb'), {});
+    });
+
+    it('falls back to no preferences when storage is unavailable or corrupt', () => {
+        assert.deepEqual(Controls.loadPreferences(null, 'back'), {});
+        assert.doesNotThrow(() => Controls.savePreferences(null, 'back', { zoom: 2 }));
+        const storage = memoryStorage();
+        storage.setItem(Controls.STORAGE_KEY, '{not json');
+        assert.deepEqual(Controls.loadPreferences(storage, 'back'), {});
+    });
+});
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the ground-truth dataset format and scoring (bin/dataset.js).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadDataset, validateSidecar, scoreSample, summarize, formatTable, iou } =
+    require('../bin/dataset');
+
+// ===== Helpers =====
+
+function numericGrid() {
+    const grid = [];
+    for (let i = 0; i < 80; i++) grid.push(String((i * 7) % 100).padStart(2, '0'));
+    return grid;
+}
+
+function sidecar(overrides) {
+    return Object.assign({
+        charset: 'numeric',
+        target: ['35', '42', '49', '56'],
+        grid: numericGrid(),
+        expected: { position: 5, row: 1, col: 6 }
+    }, overrides);
+}
+
+function cells(n) {
+    const out = [];
+    for (let i = 0; i < n; i++) out.push({ x: i * 50, y: 100, w: 40, h: 30, cx: i * 50 + 20, cy: 115 });
+    return out;
+}
+
+// Solver-shaped result reading `grid` with the given charset
+function result(opts) {
+    const gt = sidecar();
+    return {
+        detection: { gridCells: cells(opts.gridCount || 80), targetCells: cells(4) },
+        charset: opts.charset || 'numeric',
+        codesByCharset: { numeric: { target: gt.target, grid: opts.grid || gt.grid } },
+        match: opts.position === undefined ? null
+            : { position: opts.position, row: Math.floor(opts.position / 10) + 1, col: opts.position % 10 + 1 },
+        error: opts.position === undefined ? 'No match found' : null
+    };
+}
+
+// ===== validateSidecar =====
+
+describe('validateSidecar', () => {
+    it('accepts a complete sidecar', () => {
+        assert.deepEqual(validateSidecar(sidecar()), []);
+    });
+
+    it('reports missing fields', () => {
+        const problems = validateSidecar({ charset: 'numeric', target: ['12'], grid: [] });
+        assert.equal(problems.length, 3);
+    });
+
+    it('requires one box per code when cells are given', () => {
+        const problems = validateSidecar(sidecar({ cells: { grid: cells(10) } }));
+        assert.deepEqual(problems, ['cells.grid must have one box per grid code']);
+    });
+});
+
+// ===== loadDataset =====
+
+describe('loadDataset', () => {
+    it('pairs images with sidecars and skips orphans', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hack-solver-ds-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'a.png'), '');
+            fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify(sidecar()));
+            fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify(sidecar()));
+            fs.writeFileSync(path.join(dir, 'c.jpg'), '');
+            const samples = loadDataset(dir);
+            assert.equal(samples.length, 1);
+            assert.equal(samples[0].name, 'a');
+            assert.equal(samples[0].gt.charset, 'numeric');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('throws on a malformed sidecar', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hack-solver-ds-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'a.png'), '');
+            fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({ charset: 'numeric' }));
+            assert.throws(() => loadDataset(dir), /a\.json/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+// ===== scoreSample =====
+
+describe('scoreSample', () => {
+    it('scores a perfect result', () => {
+        const score = scoreSample(sidecar(), result({ position: 5 }));
+        assert.equal(score.detection, true);
+        assert.equal(score.chars, 1);
+        assert.equal(score.charset, true);
+        assert.equal(score.match, true);
+    });
+
+    it('counts per-character errors', () => {
+        const grid = numericGrid();
+        grid[0] = '0X';
+        grid[1] = 'XX';
+        const score = scoreSample(sidecar(), result({ grid, position: 5 }));
+        // 3 wrong characters out of 84 codes x 2 chars
+        assert.equal(score.chars, 165 / 168);
+    });
+
+    it('flags wrong charset, wrong position and bad detection', () => {
+        const score = scoreSample(sidecar(), result({ charset: 'greek', position: 6, gridCount: 70 }));
+        assert.equal(score.detection, false);
+        assert.equal(score.charset, false);
+        assert.equal(score.readCharset, 'greek');
+        assert.equal(score.match, false);
+        assert.deepEqual(score.found, { row: 1, col: 7 });
+    });
+
+    it('checks boxes by overlap when the sidecar has them', () => {
+        const shifted = cells(80).map(c => Object.assign({}, c, { x: c.x + 30 }));
+        const score = scoreSample(sidecar({ cells: { grid: shifted } }), result({ position: 5 }));
+        assert.equal(score.gridBoxes, 0);
+        assert.equal(score.detection, false);
+    });
+
+    it('iou of identical and disjoint boxes', () => {
+        const a = { x: 0, y: 0, w: 10, h: 10 };
+        assert.equal(iou(a, a), 1);
+        assert.equal(iou(a, { x: 20, y: 0, w: 10, h: 10 }), 0);
+    });
+});
+
+// ===== summarize / formatTable =====
+
+describe('formatTable', () => {
+    it('renders a REQUIREMENTS-style table with totals', () => {
+        const gt = sidecar({ notes: 'fixture' });
+        const rows = [
+            { name: 'good', gt, score: scoreSample(gt, result({ position: 5 })) },
+            { name: 'bad', gt, score: scoreSample(gt, result({})) }
+        ];
+        const table = formatTable(rows);
+        assert.match(table, /^\| Image \| Charset \| Result \| Notes \|/);
+        assert.match(table, /\| good \| numeric \| MATCH R1C6 \| correct, fixture \|/);
+        assert.match(table, /\| bad \| numeric \| NO MATCH \| matcher failed, fixture \|/);
+        assert.match(table, /Detection 2\/2, chars 100%, charset 2\/2, match 1\/2$/);
+        assert.deepEqual(summarize(rows), { samples: 2, detection: 2, chars: 1, charset: 2, match: 1 });
+    });
+});
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for detection confidence and diagnostics: the failure reported
+// for frames that are blank, blown out, too far away or show an uneven
+// row layout, and the target band candidates rejected on the way.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../bin/runtime');
+
+const { Detector } = loadModules();
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; the rendered-frame tests need it
+}
+
+const WIDTH = 800, HEIGHT = 640;
+// Grid row tops of an evenly spaced 8x10 grid
+const GRID_ROWS = [200, 250, 300, 350, 400, 450, 500, 550];
+
+// RGBA frame of `level` gray with bright rectangles [x, y, w, h]
+function makeFrame(rects, level) {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4).fill(level === undefined ? 20 : level);
+    rects.forEach(([x0, y0, w, h]) => {
+        for (let y = y0; y < y0 + h; y++) {
+            data.fill(230, (y * WIDTH + x0) * 4, (y * WIDTH + x0 + w) * 4);
+        }
+    });
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    return { data, width: WIDTH, height: HEIGHT };
+}
+
+// Rows of `cols` codes `pitch` apart from x0, each code two L-shaped glyphs
+function codeRows(rowTops, x0, cols, pitch) {
+    const rects = [];
+    rowTops.forEach(y => {
+        for (let c = 0; c < cols; c++) {
+            const x = x0 + c * pitch;
+            [x, x + 14].forEach(g => rects.push([g, y, 4, 24], [g, y + 20, 12, 4]));
+        }
+    });
+    return rects;
+}
+
+function detect(frame) {
+    const diagnostics = {};
+    const det = Detector.detect(frame, null, diagnostics);
+    return { det, diagnostics };
+}
+
+describe('Detector confidence', () => {
+    it('rates an even grid with its target row fully and names the path', () => {
+        const { det, diagnostics } = detect(makeFrame(codeRows(GRID_ROWS, 150, 10, 50).concat(codeRows([140], 300, 4, 50))));
+        assert.equal(det.targetCells.length, 4);
+        assert.equal(det.confidence, 1);
+        assert.deepEqual(det.diagnostics, diagnostics);
+        assert.equal(diagnostics.path, 'binary');
+        assert.equal(diagnostics.view, 'frame');
+        assert.equal(diagnostics.failure, null);
+        assert.equal(diagnostics.guidance, null);
+        assert.equal(diagnostics.rowGroupVariance, 0);
+        assert.equal(diagnostics.rowSpacing, 50);
+    });
+
+    it('halves the confidence without a target row', () => {
+        const { det, diagnostics } = detect(makeFrame(codeRows(GRID_ROWS, 150, 10, 50)));
+        assert.equal(det.targetCells, null);
+        assert.equal(det.confidence, 0.5);
+        assert.equal(diagnostics.failure, 'no-target');
+        assert.equal(diagnostics.guidance, Detector.GUIDANCE['no-target']);
+    });
+});
+
+describe('Detector failure diagnostics', () => {
+    it('asks to move closer when no text bands are found', () => {
+        const { det, diagnostics } = detect(makeFrame([]));
+        assert.equal(det, null);
+        assert.equal(diagnostics.failure, 'few-bands');
+        assert.equal(diagnostics.path, null);
+        assert.equal(diagnostics.guidance, Detector.GUIDANCE['few-bands']);
+        assert.deepEqual(diagnostics.attempts.map(a => a.path), ['binary', 'grayscale']);
+    });
+
+    it('blames glare for a blown-out frame', () => {
+        const { det, diagnostics } = detect(makeFrame([], 250));
+        assert.equal(det, null);
+        assert.equal(diagnostics.glare, 1);
+        assert.equal(diagnostics.guidance, Detector.GUIDANCE.glare);
+    });
+
+    it('reports unevenly spaced rows with their spacing variance', () => {
+        const { det, diagnostics } = detect(makeFrame(codeRows([100, 130, 210, 235, 330, 350, 470, 560], 150, 10, 50)));
+        assert.equal(det, null);
+        assert.equal(diagnostics.failure, 'irregular-rows');
+        assert.ok(diagnostics.rowGroupVariance > 0.15, 'variance ' + diagnostics.rowGroupVariance);
+        assert.equal(diagnostics.guidance, Detector.GUIDANCE['irregular-rows']);
+    });
+
+    it('lists the target band candidates it rejected and why', () => {
+        const grid = codeRows(GRID_ROWS, 150, 10, 50);
+        const reasons = rects => detect(makeFrame(grid.concat(rects))).diagnostics.targetCandidates.map(c => c.reason);
+        assert.deepEqual(reasons([[150, 140, 480, 24]]), ['flat']);
+        assert.deepEqual(reasons(codeRows([140], 20, 4, 30)), ['off-center']);
+        assert.deepEqual(reasons(codeRows([140], 150, 10, 50)), ['width']);
+
+        // A rejected header below the target row does not stop the search
+        const { det, diagnostics } = detect(makeFrame(grid.concat([[150, 140, 480, 24]], codeRows([90], 300, 4, 50))));
+        assert.equal(det.targetCells.length, 4);
+        assert.equal(diagnostics.failure, null);
+        assert.deepEqual(diagnostics.targetCandidates, [{ start: 140, end: 164, reason: 'flat' }]);
+    });
+});
+
+describe('Detector diagnostics on rendered frames', { skip: !sharp && 'sharp not installed' }, () => {
+    const synth = require('../bin/synth');
+
+    async function decode(image) {
+        const { data, info } = await sharp(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        return { data: new Uint8ClampedArray(data), width: info.width, height: info.height };
+    }
+
+    function render(knobs) {
+        return synth.renderFrame(sharp, { charset: 'numeric', chars: '0123456789', seed: 3, knobs });
+    }
+
+    it('asks to move closer when the grid is too small to read', async () => {
+        const { image } = await render();
+        const meta = await sharp(image).metadata();
+        const small = await sharp(image).resize(Math.round(meta.width / 6)).toBuffer();
+        const far = await sharp({ create: { width: meta.width, height: meta.height, channels: 4, background: '#000' } })
+            .composite([{ input: small }]).png().toBuffer();
+        const { diagnostics } = detect(await decode(far));
+        assert.ok(diagnostics.rowSpacing < 14, 'row spacing ' + diagnostics.rowSpacing);
+        assert.equal(diagnostics.guidance, Detector.GUIDANCE['few-bands']);
+    });
+
+    it('asks to reduce glare when a glare spot blows out codes', async () => {
+        const { image, sidecar } = await render({ glare: 1 });
+        const { det, diagnostics } = detect(await decode(image));
+        // The flat blown-out spot is not taken for ink, so the grid is
+        // still found around it
+        assert.equal(det.gridCells.length, 80);
+        const first = sidecar.cells.grid[0];
+        assert.ok(Math.abs(det.gridCells[0].cy - (first.y + first.h / 2)) < first.h / 2, 'first row');
+        assert.ok(diagnostics.glare > 0.01, 'glare ' + diagnostics.glare);
+        assert.equal(diagnostics.guidance, Detector.GUIDANCE.glare);
+    });
+
+    it('passes the guidance on to the Solver result', async () => {
+        const { createRuntime } = require('../bin/runtime');
+        const { Solver } = await createRuntime();
+        const result = Solver.solve(makeFrame([]));
+        assert.equal(result.error, 'Grid not found');
+        assert.equal(result.diagnostics.failure, 'few-bands');
+        assert.equal(result.guidance, Detector.GUIDANCE['few-bands']);
+    });
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the framing guide: the quick pre-check of preview frames
+// (grid, target row, focus and size) and the tracker that fires a scan
+// once framing holds steady.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../bin/runtime');
+
+const { Framing } = loadModules();
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; the rendered-frame tests need it
+}
+
+// A ready check with the grid box at x
+function ready(x) {
+    return { ready: true, grid: { x, y: 100, w: 400, h: 300 } };
+}
+
+describe('Framing tracker', () => {
+    it('fires once after STABLE_CHECKS steady ready checks', () => {
+        const tracker = Framing.createTracker();
+        const states = [];
+        for (let i = 0; i < Framing.STABLE_CHECKS + 2; i++) states.push(tracker.update(ready(100 + i)));
+        assert.deepEqual(states.map(s => s.count), [1, 2, 3, 4, 5, 6]);
+        assert.deepEqual(states.map(s => s.fire), [false, false, false, true, false, false]);
+        assert.ok(states[5].stable);
+    });
+
+    it('starts over when the grid moves', () => {
+        const tracker = Framing.createTracker();
+        for (let i = 0; i < 3; i++) tracker.update(ready(100));
+        const moved = tracker.update(ready(150));
+        assert.equal(moved.count, 1);
+        assert.equal(moved.stable, false);
+    });
+
+    it('re-arms once the framing is lost', () => {
+        const tracker = Framing.createTracker();
+        let fired = 0;
+        const run = n => {
+            for (let i = 0; i < n; i++) if (tracker.update(ready(100)).fire) fired++;
+        };
+        run(6);
+        assert.deepEqual(tracker.update({ ready: false, grid: null }), { count: 0, stable: false, fire: false });
+        run(6);
+        assert.equal(fired, 2);
+    });
+});
+
+describe('Framing.check on rendered frames', { skip: !sharp && 'sharp not installed' }, () => {
+    const synth = require('../bin/synth');
+
+    // Rendered frame, optionally shrunk by `shrink` onto a black frame of
+    // the same size, and a preview of it as Camera.capturePreview makes
+    async function preview(knobs, shrink) {
+        let { image, sidecar } = await synth.renderFrame(sharp, { charset: 'numeric', chars: '0123456789', seed: 3, knobs });
+        const meta = await sharp(image).metadata();
+        if (shrink) {
+            const small = await sharp(image).resize(Math.round(meta.width / shrink)).toBuffer();
+            image = await sharp({ create: { width: meta.width, height: meta.height, channels: 4, background: '#000' } })
+                .composite([{ input: small }]).png().toBuffer();
+        }
+        const { data, info } = await sharp(image).resize(480).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        const frame = { data: new Uint8ClampedArray(data), width: info.width, height: info.height };
+        return { frame, scale: meta.width / info.width, sidecar };
+    }
+
+    it('finds a sharp, close grid and its target row in video pixels', async () => {
+        const { frame, scale, sidecar } = await preview();
+        const check = Framing.check(frame, { scale });
+        assert.ok(check.ready);
+        assert.equal(check.guidance, Framing.GUIDANCE.ready);
+        const first = sidecar.cells.grid[0], target = sidecar.cells.target[0];
+        assert.ok(Math.abs(check.grid.x - first.x) < first.w, 'grid x ' + check.grid.x);
+        assert.ok(Math.abs(check.grid.y - first.y) < first.h, 'grid y ' + check.grid.y);
+        assert.ok(Math.abs(check.target.y - target.y) < target.h, 'target y ' + check.target.y);
+        assert.ok(Math.abs(check.rowSpacing - 52) < 4, 'row spacing ' + check.rowSpacing);
+    });
+
+    it('asks to hold steady when the frame is blurred', async () => {
+        const { frame, scale } = await preview({ blur: 3 });
+        const check = Framing.check(frame, { scale });
+        assert.ok(check.found && check.large);
+        assert.equal(check.focused, false);
+        assert.equal(check.ready, false);
+        assert.equal(check.guidance, Framing.GUIDANCE.blurred);
+    });
+
+    it('asks to move closer when the grid is small', async () => {
+        const { frame, scale } = await preview(undefined, 2.5);
+        const check = Framing.check(frame, { scale });
+        assert.ok(check.found, 'found');
+        assert.equal(check.large, false);
+        assert.equal(check.guidance, Framing.GUIDANCE['too-small']);
+    });
+});
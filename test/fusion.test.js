@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for multi-frame fusion: lattice alignment, shuffle-change
+// detection and cell averaging.
+// The new Function() call below loads our own project source files
+// (puzzle.js, matcher.js, fusion.js) - no untrusted input is involved.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+function loadFusion() {
+    const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf-8');
+    // eslint-disable-next-line no-new-func -- loading own trusted source files
+    const loader = new Function('Processor', read('puzzle.js') + '\n' + read('matcher.js') + '\n' + read('fusion.js') + '\nreturn Fusion;');
+    return loader({});
+}
+
+const Fusion = loadFusion();
+
+// ===== Helpers =====
+
+function box(cx, cy, w) {
+    return { x: cx - w / 2, y: cy - w / 2, w, h: w, cx, cy };
+}
+
+function lattice(offsetX, offsetY) {
+    const cells = [];
+    for (let r = 0; r < 8; r++)
+        for (let c = 0; c < 10; c++)
+            cells.push(box(100 + c * 50 + offsetX, 200 + r * 40 + offsetY, 40));
+    return cells;
+}
+
+// Deterministic pseudo-random 32x32 cell: bright strokes on dark
+function cell(seed) {
+    const px = new Uint8Array(1024);
+    let s = seed * 2654435761 >>> 0;
+    for (let i = 0; i < px.length; i++) {
+        s = (s * 1103515245 + 12345) >>> 0;
+        px[i] = (s >>> 16) % 3 === 0 ? 230 : 20;
+    }
+    return px;
+}
+
+function cells(seedBase) {
+    const out = [];
+    for (let i = 0; i < 80; i++) out.push(cell(seedBase + i));
+    return out;
+}
+
+// ===== aligned =====
+
+describe('Fusion.aligned', () => {
+    it('accepts small hand shake', () => {
+        const a = { gridCells: lattice(0, 0), targetCells: null };
+        const b = { gridCells: lattice(5, -4), targetCells: null };
+        assert.equal(Fusion.aligned(a, b), true);
+    });
+
+    it('rejects a lattice shifted by a full column', () => {
+        const a = { gridCells: lattice(0, 0), targetCells: null };
+        const b = { gridCells: lattice(50, 0), targetCells: null };
+        assert.equal(Fusion.aligned(a, b), false);
+    });
+
+    it('rejects different cell counts and missing detections', () => {
+        const a = { gridCells: lattice(0, 0), targetCells: null };
+        const b = { gridCells: lattice(0, 0).slice(10), targetCells: null };
+        assert.equal(Fusion.aligned(a, b), false);
+        assert.equal(Fusion.aligned(a, null), false);
+    });
+
+    it('rejects when only one frame found the target row', () => {
+        const t = [box(200, 100, 40), box(250, 100, 40), box(300, 100, 40), box(350, 100, 40)];
+        const a = { gridCells: lattice(0, 0), targetCells: t };
+        const b = { gridCells: lattice(0, 0), targetCells: null };
+        assert.equal(Fusion.aligned(a, b), false);
+    });
+});
+
+// ===== sameShuffle =====
+
+describe('Fusion.sameShuffle', () => {
+    it('same cells with light noise are the same shuffle', () => {
+        const a = cells(1);
+        const b = a.map((px, i) => {
+            const copy = new Uint8Array(px);
+            copy[i * 7 % 1024] = 255 - copy[i * 7 % 1024];
+            return copy;
+        });
+        assert.equal(Fusion.sameShuffle(a, b), true);
+    });
+
+    it('completely different cells are a new shuffle', () => {
+        assert.equal(Fusion.sameShuffle(cells(1), cells(500)), false);
+    });
+
+    it('mismatched lengths are never the same shuffle', () => {
+        assert.equal(Fusion.sameShuffle(cells(1), cells(1).slice(1)), false);
+    });
+});
+
+// ===== averageCells / fuse =====
+
+describe('Fusion.averageCells', () => {
+    it('averages corresponding pixels', () => {
+        const a = [new Uint8Array([0, 100, 255])];
+        const b = [new Uint8Array([100, 100, 0])];
+        const avg = Fusion.averageCells([a, b]);
+        assert.deepEqual(Array.from(avg[0]), [50, 100, 128]);
+    });
+
+    it('fuse of one extraction returns it unchanged', () => {
+        const ex = { gridCells: cells(1), targetCells: [] };
+        assert.equal(Fusion.fuse([ex]), ex);
+    });
+
+    it('fuse keeps target cells empty when targets were not extracted', () => {
+        const fused = Fusion.fuse([
+            { gridCells: cells(1), targetCells: [] },
+            { gridCells: cells(1), targetCells: [] }
+        ]);
+        assert.equal(fused.gridCells.length, 80);
+        assert.deepEqual(fused.targetCells, []);
+    });
+});
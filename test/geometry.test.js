@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for perspective correction and deskew: the homography helpers,
+// extraction from a rectified view, per-cell box refinement, and detection
+// of synthetic frames of a screen seen at an angle or rotated in plane.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadModules } = require('../bin/runtime');
+
+const { Geometry, Detector, Processor } = loadModules();
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; the rendered-frame tests need it
+}
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+function near(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        (label || 'value') + ' ' + actual + ' not within ' + tolerance + ' of ' + expected);
+}
+
+// Render a synthetic frame and decode it as Camera.captureFrame would
+async function renderFrame(options) {
+    const synth = require('../bin/synth');
+    const { loadImage } = require('../bin/runtime');
+    const rendered = await synth.renderFrame(sharp, Object.assign({ charset: 'numeric', chars: '0123456789' }, options));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geometry-'));
+    const file = path.join(dir, 'frame.png');
+    fs.writeFileSync(file, rendered.image);
+    const frame = await loadImage(file);
+    fs.rmSync(dir, { recursive: true });
+    return { frame, sidecar: rendered.sidecar };
+}
+
+// ===== Geometry =====
+
+describe('Geometry.homography', () => {
+    it('maps the four source points onto the destination points', () => {
+        const src = [[0, 0], [100, 0], [100, 80], [0, 80]];
+        const dst = [[12, 5], [90, 9], [104, 77], [-3, 70]];
+        const h = Geometry.homography(src, dst);
+        src.forEach((p, i) => {
+            const [x, y] = Geometry.apply(h, p[0], p[1]);
+            near(x, dst[i][0], 1e-6, 'x' + i);
+            near(y, dst[i][1], 1e-6, 'y' + i);
+        });
+    });
+
+    it('keeps straight lines straight', () => {
+        const h = Geometry.homography([[0, 0], [1, 0], [1, 1], [0, 1]], [[10, 0], [30, 2], [40, 25], [0, 20]]);
+        const a = Geometry.apply(h, 0, 0.5), b = Geometry.apply(h, 0.5, 0.5), c = Geometry.apply(h, 1, 0.5);
+        const cross = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+        near(cross, 0, 1e-9, 'cross product');
+    });
+});
+
+describe('Geometry.multiply', () => {
+    it('applies the right-hand homography first', () => {
+        const scale = [2, 0, 0, 0, 2, 0, 0, 0, 1];
+        const shift = [1, 0, 5, 0, 1, -3, 0, 0, 1];
+        assert.deepEqual(Geometry.apply(Geometry.multiply(shift, scale), 4, 6), [13, 9]);
+        assert.deepEqual(Geometry.apply(Geometry.multiply(scale, shift), 4, 6), [18, 6]);
+    });
+});
+
+describe('Geometry.warp', () => {
+    it('copies an image unchanged through the identity', () => {
+        const src = Uint8Array.from({ length: 6 * 4 }, (v, i) => i * 10);
+        assert.deepEqual(Array.from(Geometry.warp(src, 6, 4, 1, IDENTITY, 6, 4)), Array.from(src));
+    });
+
+    it('samples every channel through a translation and zeroes the outside', () => {
+        const src = new Uint8Array(4 * 4 * 4);
+        src.set([10, 20, 30, 255], (1 * 4 + 2) * 4);
+        const shift = [1, 0, 2, 0, 1, 1, 0, 0, 1];  // output (0, 0) reads source (2, 1)
+        const out = Geometry.warp(src, 4, 4, 4, shift, 3, 3);
+        assert.deepEqual(Array.from(out.slice(0, 4)), [10, 20, 30, 255]);
+        assert.deepEqual(Array.from(out.slice((2 * 3 + 2) * 4, (2 * 3 + 2) * 4 + 4)), [0, 0, 0, 0]);
+    });
+});
+
+describe('Geometry.mapBox', () => {
+    it('returns the bounding box and mapped center of a box', () => {
+        const scale = [2, 0, 10, 0, 3, 5, 0, 0, 1];
+        assert.deepEqual(Geometry.mapBox(scale, { x: 1, y: 2, w: 4, h: 6 }),
+            { x: 12, y: 11, w: 8, h: 18, cx: 16, cy: 20, area: 144 });
+    });
+});
+
+// ===== Processor =====
+
+describe('Processor.extractDetected', () => {
+    it('matches extractAllCells on the frame through an identity rectification', () => {
+        const width = 120, height = 60;
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = (i * 37) % 256;
+            data[i * 4 + 3] = 255;
+        }
+        const frame = { data, width, height };
+        const gridCells = [{ x: 10, y: 10, w: 30, h: 20 }, { x: 60, y: 30, w: 30, h: 20 }];
+        const targetCells = [{ x: 50, y: 5, w: 20, h: 12 }];
+        const plain = Processor.extractAllCells(frame, gridCells, targetCells);
+        const rectified = Processor.extractDetected(frame, {
+            gridCells, targetCells,
+            rectification: { homography: IDENTITY, width, height, gridCells, targetCells }
+        }, true);
+        assert.deepEqual(rectified, plain);
+    });
+
+    it('skips the target cells when asked', () => {
+        const frame = { data: new Uint8ClampedArray(40 * 40 * 4), width: 40, height: 40 };
+        const cells = [{ x: 4, y: 4, w: 20, h: 20 }];
+        const det = { gridCells: cells, targetCells: cells, rectification: null };
+        assert.equal(Processor.extractDetected(frame, det, false).targetCells.length, 0);
+    });
+});
+
+// ===== Detector =====
+
+// Binary image (255 = ink) with filled rectangles [x0, y0, x1, y1)
+function makeBinary(width, height, rects) {
+    const data = new Uint8Array(width * height);
+    rects.forEach(([x0, y0, x1, y1]) => {
+        for (let y = y0; y < y1; y++) data.fill(255, y * width + x0, y * width + x1);
+    });
+    return { data, width, height };
+}
+
+describe('Detector.refineCell', () => {
+    const cell = { x: 20, y: 10, w: 40, h: 30, cx: 40, cy: 25, area: 1200 };
+
+    it('snaps the box to the ink and keeps the lattice box', () => {
+        // A neighbour's code just past the right edge is left out
+        const refined = Detector.refineCell(makeBinary(100, 60, [[30, 15, 45, 35], [62, 15, 80, 35]]), cell);
+        assert.deepEqual(refined.flags, []);
+        assert.deepEqual([refined.x, refined.y, refined.w, refined.h], [28, 13, 19, 24]);
+        assert.deepEqual(refined.lattice, cell);
+    });
+
+    it('keeps the lattice box of an empty cell', () => {
+        const refined = Detector.refineCell(makeBinary(100, 60, []), cell);
+        assert.deepEqual(refined.flags, ['empty']);
+        assert.deepEqual([refined.x, refined.y, refined.w, refined.h], [20, 10, 40, 30]);
+    });
+
+    it('flags ink running on into the next code as merged', () => {
+        const refined = Detector.refineCell(makeBinary(100, 60, [[14, 15, 90, 35]]), cell);
+        assert.deepEqual(refined.flags, ['merged']);
+        assert.deepEqual([refined.x, refined.w], [18, 44]);
+    });
+
+    it('flags a code the cell edge cuts through as split', () => {
+        const refined = Detector.refineCell(makeBinary(100, 60, [[10, 15, 48, 35]]), cell);
+        assert.deepEqual(refined.flags, ['split']);
+        assert.equal(refined.x, 8);
+    });
+});
+
+describe('Detector perspective correction', { skip: !sharp && 'sharp not installed' }, () => {
+    it('keeps a square-on frame axis-aligned', async () => {
+        const { frame } = await renderFrame({ seed: 3 });
+        const det = Detector.detect(frame);
+        assert.equal(det.rectification, null);
+        assert.equal(det.rotation, 0);
+        const [tl, tr, br, bl] = det.corners.grid;
+        assert.equal(tl[1], tr[1]);
+        assert.equal(tl[0], bl[0]);
+        assert.equal(br[0], tr[0]);
+        assert.equal(det.corners.target.length, 4);
+    });
+
+    // Offset of each detected grid cell center from its ground-truth box
+    // center. Uniform column spacing leaves a few pixels even square-on.
+    function centerErrors(det, sidecar) {
+        return det.gridCells.map((cell, i) => {
+            const box = sidecar.cells.grid[i];
+            return [cell.cx - (box.x + box.w / 2), cell.cy - (box.y + box.h / 2)];
+        });
+    }
+
+    for (const skew of [0.12, 0.2]) {
+        it('rectifies a keystoned frame (skew ' + skew + ') and finds every cell', async () => {
+            const flat = await renderFrame({ seed: 3 });
+            const flatErrors = centerErrors(Detector.detect(flat.frame), flat.sidecar);
+            const { frame, sidecar } = await renderFrame({ seed: 3, knobs: { skew } });
+            const det = Detector.detect(frame);
+            assert.ok(det.rectification, 'rectification');
+            assert.equal(det.gridCells.length, 80);
+            assert.equal(det.targetCells.length, 4);
+
+            // Cell centers land on the warped ground truth as closely as
+            // they do square-on
+            centerErrors(det, sidecar).forEach(([dx, dy], i) => {
+                near(dx, flatErrors[i][0], 4, 'cell ' + i + ' x error');
+                near(dy, flatErrors[i][1], 4, 'cell ' + i + ' y error');
+            });
+
+            // The top edge of the grid quad is narrower than the bottom
+            const [tl, tr, br, bl] = det.corners.grid;
+            assert.ok(tr[0] - tl[0] < br[0] - bl[0]);
+        });
+    }
+
+    for (const rotate of [-6, 10]) {
+        it('deskews a frame rotated by ' + rotate + ' degrees and reports the angle', async () => {
+            const { frame, sidecar } = await renderFrame({ seed: 4, knobs: { rotate } });
+            const det = Detector.detect(frame);
+            near(det.rotation, rotate, 0.3, 'rotation');
+            assert.ok(det.rectification, 'rectification');
+            assert.equal(det.gridCells.length, 80);
+            assert.equal(det.targetCells.length, 4);
+            det.gridCells.forEach((cell, i) => {
+                const box = sidecar.cells.grid[i];
+                near(cell.cx, box.x + box.w / 2, box.w * 0.3, 'cell ' + i + ' cx');
+                near(cell.cy, box.y + box.h / 2, box.h * 0.3, 'cell ' + i + ' cy');
+            });
+        });
+    }
+
+    it('places the grid and target boxes of a keystoned, tilted frame with glare', async () => {
+        const knobs = { skew: 0.08, rotate: -3, blur: 0.4, glare: 0.1, jpeg: 80 };
+        const { frame, sidecar } = await renderFrame({ seed: 2, knobs });
+        const det = Detector.detect(frame);
+        const check = (cells, boxes, label) => {
+            assert.equal(cells.length, boxes.length);
+            cells.forEach((cell, i) => {
+                near(cell.cx, boxes[i].x + boxes[i].w / 2, boxes[i].w * 0.3, label + ' ' + i + ' cx');
+                near(cell.cy, boxes[i].y + boxes[i].h / 2, boxes[i].h * 0.3, label + ' ' + i + ' cy');
+            });
+        };
+        check(det.gridCells, sidecar.cells.grid, 'cell');
+        check(det.targetCells, sidecar.cells.target, 'target');
+    });
+
+    // The target row is searched for in the view the grid was found in, so
+    // a tilted frame's target codes do not smear into the rows around them
+    for (const rotate of [5, -5]) {
+        for (const skew of [0.05, 0.15]) {
+            it('finds the target cells of a frame rotated by ' + rotate + ' degrees with skew ' + skew, async () => {
+                const knobs = { rotate, skew, blur: 0.7, glare: 0.2, jpeg: 80 };
+                const { frame, sidecar } = await renderFrame({ seed: 2, knobs });
+                const det = Detector.detect(frame);
+                assert.equal(det.gridCells.length, 80);
+                assert.equal(det.targetCells.length, 4);
+                det.targetCells.forEach((cell, i) => {
+                    const box = sidecar.cells.target[i];
+                    near(cell.cx, box.x + box.w / 2, box.w * 0.35, 'target ' + i + ' cx');
+                    near(cell.cy, box.y + box.h / 2, box.h * 0.35, 'target ' + i + ' cy');
+                });
+            });
+        }
+    }
+
+    it('lets the Solver read a keystoned frame', async () => {
+        const { createRuntime } = require('../bin/runtime');
+        const { Solver } = await createRuntime();
+        const { frame, sidecar } = await renderFrame({ seed: 3, knobs: { skew: 0.2 } });
+        const result = Solver.solve(frame);
+        assert.deepEqual(result.targetCodes, sidecar.target);
+        assert.equal(result.match.row, sidecar.expected.row);
+        assert.equal(result.match.col, sidecar.expected.col);
+    });
+});
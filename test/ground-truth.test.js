@@ -5,7 +5,7 @@
 // Each test case contains the exact grid + target codes read
 // from actual phone camera screenshots of the hacking minigame.
 // The new Function() call below loads our own project source file
-// (matcher.js) - no untrusted input is involved.
+// (puzzle.js, matcher.js) - no untrusted input is involved.
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
@@ -16,7 +16,9 @@ const path = require('path');
 // the IIFE module in Node.js. No user input is involved.
 
 function loadMatcher() {
-    const src = fs.readFileSync(path.join(__dirname, '..', 'matcher.js'), 'utf-8');
+    const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf-8');
+    // matcher.js follows the puzzle profile's wrap rule
+    const src = read('puzzle.js') + '\n' + read('matcher.js');
     // eslint-disable-next-line no-new-func -- loading own trusted source file
     const loader = new Function('Processor', src + '\nreturn Matcher;');
     const stubProcessor = {
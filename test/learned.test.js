@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for learned character templates: how Templates merges learned
+// exemplars with rendered glyphs, identifyChar preferring them, and which
+// half-cells Solver.learnableExemplars keeps from a confirmed solve.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../bin/runtime');
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; the rendered-frame tests need it
+}
+
+const SIZE = 32 * 32;
+
+// Templates whose font renderer draws nothing, so every rendered glyph
+// is the same blank template
+function blankTemplates() {
+    const { Templates, Matcher } = loadModules();
+    Templates.setRenderer((char, fontSize) => {
+        const size = fontSize * 3;
+        return { gray: new Uint8Array(size * size), w: size, h: size };
+    });
+    return { Templates, Matcher };
+}
+
+// A half-cell with a vertical bar at column x
+function bar(x) {
+    const pixels = new Uint8Array(SIZE);
+    for (let y = 4; y < 28; y++) {
+        for (let dx = 0; dx < 4; dx++) pixels[y * 32 + x + dx] = 255;
+    }
+    return pixels;
+}
+
+describe('Templates learned exemplars', () => {
+    it('replace rendered glyphs of learned characters and come first', () => {
+        const { Templates } = blankTemplates();
+        Templates.learn('numeric', '7', bar(4));
+        Templates.learn('numeric', '7', bar(6));
+        const tpls = Templates.getCharset('numeric');
+        assert.deepEqual(tpls.map(t => t.char), ['7', '7', '0', '1', '2', '3', '4', '5', '6', '8', '9']);
+        assert.ok(tpls[0].learned && tpls[0].binary);
+        assert.equal(Templates.getAllCharsets().numeric, tpls);
+        // Other charsets are unaffected
+        assert.equal(Templates.getCharset('alphanumeric').length, 36);
+    });
+
+    it('keeps only the newest exemplars per character', () => {
+        const { Templates } = blankTemplates();
+        for (let x = 0; x < Templates.MAX_LEARNED + 3; x++) Templates.learn('alphabet', 'A', bar(x));
+        const kept = Templates.getLearned('alphabet', 'A');
+        assert.equal(kept.length, Templates.MAX_LEARNED);
+        assert.deepEqual(kept[kept.length - 1], bar(Templates.MAX_LEARNED + 2));
+        assert.deepEqual(Templates.getLearned('alphabet', 'B'), []);
+    });
+
+    it('restores persisted exemplars and can be cleared', () => {
+        const { Templates } = blankTemplates();
+        Templates.setLearned('greek', 'Ω', [bar(2), bar(20)]);
+        assert.equal(Templates.getCharset('greek').filter(t => t.learned).length, 2);
+        Templates.clearLearned();
+        assert.equal(Templates.getCharset('greek').filter(t => t.learned).length, 0);
+        assert.equal(Templates.getCharset('greek').length, 24);
+    });
+});
+
+describe('Matcher.identifyChar with learned exemplars', () => {
+    it('reads the learned character over an equally close rendered glyph', () => {
+        const { Templates, Matcher } = blankTemplates();
+        // Every rendered numeric glyph is blank; so is the learned '5'
+        Templates.learn('numeric', '5', new Uint8Array(SIZE));
+        const read = Matcher.identifyChar(new Uint8Array(SIZE), Templates.getCharset('numeric'));
+        assert.equal(read.char, '5');
+    });
+
+    it('falls back to rendered glyphs for characters not yet seen', () => {
+        const { Templates, Matcher } = blankTemplates();
+        Templates.learn('numeric', '5', bar(12));
+        const read = Matcher.identifyChar(new Uint8Array(SIZE), Templates.getCharset('numeric'));
+        assert.notEqual(read.char, '5');
+        assert.equal(read.distance, 0);
+    });
+});
+
+describe('Solver.learnableExemplars', { skip: !sharp && 'sharp not installed' }, () => {
+    it('learns the target and matched grid halves of a confirmed solve', async () => {
+        const synth = require('../bin/synth');
+        const { createRuntime } = require('../bin/runtime');
+        const { Solver, Templates } = await createRuntime();
+        const rendered = await synth.renderFrame(sharp, {
+            charset: 'numeric', chars: Templates.CHARSETS.numeric, seed: 1, knobs: { font: 'DejaVu Sans' }
+        });
+        const { data, info } = await sharp(rendered.image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        const frame = () => ({ data: new Uint8ClampedArray(data), width: info.width, height: info.height });
+
+        const result = Solver.solve(frame());
+        assert.ok(Solver.isLockable(result));
+        const exemplars = Solver.learnableExemplars(result);
+        assert.ok(exemplars.length > 8);
+        // Returned with the result, for callers without the Solver's templates
+        assert.deepEqual(result.exemplars, exemplars);
+        assert.equal(result.targetTemplates.length, result.targetCodes.length);
+        result.targetTemplates.forEach(t => assert.equal(t.left.length, SIZE));
+        const truth = new Set(rendered.sidecar.target.join(''));
+        for (const e of exemplars) {
+            assert.equal(e.charset, result.charset);
+            assert.ok(truth.has(e.char), e.char + ' is not in the target');
+            assert.equal(e.pixels.length, SIZE);
+        }
+
+        // Not confirmed: a result read against a target lock
+        const locked = Solver.solve(frame(), { lock: Solver.createLock(result) });
+        assert.deepEqual(Solver.learnableExemplars(locked), []);
+        assert.deepEqual(locked.exemplars, []);
+        assert.equal(locked.targetTemplates.length, result.targetCodes.length);
+
+        // The same glyphs now match their learned exemplars more closely
+        exemplars.forEach(e => Templates.learn(e.charset, e.char, e.pixels));
+        const again = Solver.solve(frame());
+        assert.deepEqual(again.targetCodes, result.targetCodes);
+        assert.ok(again.targetDistance < result.targetDistance);
+    });
+});
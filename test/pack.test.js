@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for template packs: the encoded format, import rules, the pinned
+// alphabet pack in test/fixtures and bin/pack.
+//
+// test/fixtures/alphabet.pack.json was captured from synthetic frames:
+//   bin/generate <dir> --charset alphabet --count 4 --seed 11
+//   bin/pack test/fixtures/alphabet.pack.json --dataset <dir>
+// test/fixtures/alphabet-blur.png (with its .json sidecar) is a frame
+// pinned the same way, so the fonts here do not change what is solved:
+//   synth.renderFrame(sharp, { charset: 'alphabet', chars: Templates.CHARSETS.alphabet,
+//       seed: 1200005, knobs: { blur: 0.8 } })
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadModules, readPack } = require('../bin/runtime');
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; the rendered-frame tests need it
+}
+
+const PINNED = path.join(__dirname, 'fixtures', 'alphabet.pack.json');
+const PINNED_FRAME = path.join(__dirname, 'fixtures', 'alphabet-blur.png');
+const AREA = 32 * 32;
+
+// Templates drawing each glyph as a box whose width depends on the
+// character, counting renderer calls per character
+function boxTemplates() {
+    const modules = loadModules();
+    const calls = {};
+    modules.Templates.setRenderer((char, fontSize) => {
+        calls[char] = (calls[char] || 0) + 1;
+        const size = fontSize * 3;
+        const gray = new Uint8Array(size * size);
+        const w = 4 + char.codePointAt(0) % 20;
+        for (let y = 40; y < 100; y++) {
+            for (let x = 60; x < 60 + w; x++) gray[y * size + x] = 255;
+        }
+        return { gray, w: size, h: size };
+    }, 'boxes');
+    return Object.assign(modules, { calls });
+}
+
+// A pack object as it would be read back from disk
+function roundTrip(pack) {
+    return JSON.parse(JSON.stringify(pack));
+}
+
+describe('Templates packs', () => {
+    it('round-trip every template with its pixels and binary mask', () => {
+        const a = boxTemplates().Templates;
+        const pack = roundTrip(a.exportPack());
+        assert.equal(pack.format, a.PACK_FORMAT);
+        assert.equal(pack.version, a.PACK_VERSION);
+        assert.equal(pack.cellSize, 32);
+        assert.equal(pack.font, 'boxes');
+        assert.equal(pack.charsets.numeric.chars, '0123456789');
+
+        const b = loadModules().Templates;
+        b.importPack(pack);
+        for (const name of Object.keys(a.CHARSETS)) {
+            const expected = a.getCharset(name);
+            const actual = b.getCharset(name);
+            assert.deepEqual(actual.map(t => t.char), expected.map(t => t.char));
+            actual.forEach((tpl, i) => {
+                assert.deepEqual(tpl.pixels, expected[i].pixels);
+                assert.deepEqual(tpl.binary, expected[i].binary);
+            });
+        }
+    });
+
+    it('store masks as one bit per pixel', () => {
+        const { Templates } = boxTemplates();
+        const entry = Templates.exportPack().charsets.alphabet;
+        assert.equal(Buffer.from(entry.pixels, 'base64').length, 26 * AREA);
+        assert.equal(Buffer.from(entry.binary, 'base64').length, 26 * AREA / 8);
+    });
+
+    it('render only the characters a pack does not cover', () => {
+        const source = boxTemplates().Templates;
+        const partial = roundTrip(source.encodePack({
+            numeric: source.getCharset('numeric').filter(t => t.char < '5')
+        }, 'test'));
+
+        const { Templates, calls } = boxTemplates();
+        assert.deepEqual(Templates.importPack(partial), ['numeric']);
+        const tpls = Templates.getCharset('numeric');
+        assert.deepEqual(tpls.map(t => t.char).join(''), '0123456789');
+        assert.equal(calls['0'], 1);  // alphanumeric still renders its own '0'
+        assert.equal(calls['5'], 2);  // numeric and alphanumeric
+    });
+
+    it('keep learned exemplars ahead of imported templates and export them', () => {
+        const { Templates } = boxTemplates();
+        Templates.importPack(roundTrip(Templates.exportPack()));
+        Templates.learn('numeric', '3', new Uint8Array(AREA).fill(255));
+        assert.equal(Templates.getCharset('numeric')[0].learned, true);
+
+        const pack = Templates.exportPack();
+        assert.equal(pack.font, 'boxes + learned');
+        assert.equal(pack.charsets.numeric.chars, '3012456789');
+    });
+
+    it('reject files that are not compatible packs', () => {
+        const { Templates } = boxTemplates();
+        const good = roundTrip(Templates.encodePack({ numeric: Templates.getCharset('numeric') }, 'test'));
+        const variant = patch => Object.assign(roundTrip(good), patch);
+        assert.throws(() => Templates.importPack({ hello: 1 }), /Not a template pack/);
+        assert.throws(() => Templates.importPack(variant({ version: 2 })), /version 2/);
+        assert.throws(() => Templates.importPack(variant({ cellSize: 16 })), /cell size/);
+        const truncated = variant({});
+        truncated.charsets.numeric.chars += '0';
+        assert.throws(() => Templates.importPack(truncated), /truncated/);
+        assert.deepEqual(Templates.importPack(variant({ charsets: { klingon: good.charsets.numeric } })), []);
+    });
+});
+
+// ===== Pinned pack =====
+
+describe('pinned alphabet pack', () => {
+    const pack = readPack(PINNED);
+
+    it('is a version 1 pack covering the whole alphabet', () => {
+        assert.equal(pack.format, 'hack-solver-templates');
+        assert.equal(pack.version, 1);
+        assert.equal(pack.charsets.alphabet.chars, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+    });
+
+    it('solves a blurred alphabet frame without reading any glyph as the wrong letter',
+        { skip: !sharp && 'sharp not installed' }, async () => {
+            const { createRuntime, loadImage } = require('../bin/runtime');
+            const { Solver } = await createRuntime({ pack: PINNED });
+            const sidecar = JSON.parse(fs.readFileSync(PINNED_FRAME.replace(/\.png$/, '.json'), 'utf-8'));
+            const result = Solver.solve(await loadImage(PINNED_FRAME));
+
+            assert.equal(result.charset, 'alphabet');
+            assert.deepEqual(result.targetCodes, sidecar.target);
+            assert.deepEqual(result.gridCodes, sidecar.grid);
+        });
+});
+
+// ===== bin/pack =====
+
+function runPack(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'bin', 'pack')].concat(args), (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('bin/pack', { skip: !sharp && 'sharp not installed' }, () => {
+    it('captures templates from a dataset folder', async () => {
+        const synth = require('../bin/synth');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pack-'));
+        const rendered = await synth.renderFrame(sharp, { charset: 'numeric', chars: '0123456789', seed: 21 });
+        fs.writeFileSync(path.join(dir, 'a.png'), rendered.image);
+        fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify(rendered.sidecar));
+        const out = path.join(dir, 'numeric.pack.json');
+
+        const { code, stdout } = await runPack([out, '--dataset', dir, '--charset', 'numeric']);
+        const pack = readPack(out);
+        fs.rmSync(dir, { recursive: true });
+
+        assert.equal(code, 0);
+        assert.match(stdout, /numeric: 10\/10 chars/);
+        assert.equal(pack.font, 'captured from 1 frames');
+        assert.deepEqual(Object.keys(pack.charsets), ['numeric']);
+        assert.deepEqual(loadModules().Templates.importPack(pack), ['numeric']);
+    });
+
+    it('rejects unknown options', async () => {
+        const { code, stderr } = await runPack(['out.json', '--bogus', '1']);
+        assert.equal(code, 1);
+        assert.match(stderr, /unknown option --bogus/);
+    });
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the canvas-free extraction path: resampling, cell extraction,
+// character segmentation and template normalization.
+// The new Function() call below loads our own project source files
+// (processor.js, templates.js) - no untrusted input is involved.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+function loadModules() {
+    const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf-8');
+    // eslint-disable-next-line no-new-func -- loading own trusted source files
+    const loader = new Function(read('processor.js') + '\n' + read('templates.js') +
+        '\nreturn { Processor, Templates };');
+    return loader();
+}
+
+const { Processor, Templates } = loadModules();
+
+// ===== Helpers =====
+
+// RGBA frame with bright rectangles ("glyphs") on a dark background
+function makeFrame(width, height, rects) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = 20;
+        data[i * 4 + 3] = 255;
+    }
+    for (const r of rects) {
+        for (let y = r.y; y < r.y + r.h; y++) {
+            for (let x = r.x; x < r.x + r.w; x++) {
+                const i = (y * width + x) * 4;
+                data[i] = data[i + 1] = data[i + 2] = 230;
+            }
+        }
+    }
+    return { data, width, height };
+}
+
+function range(pixels) {
+    let min = 255, max = 0;
+    for (const v of pixels) {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    return { min, max };
+}
+
+// ===== resample =====
+
+describe('Processor.resample', () => {
+    it('same size is an identity copy', () => {
+        const src = new Uint8Array([0, 50, 100, 150, 200, 250, 10, 20, 30]);
+        const out = Processor.resample(src, 3, { x: 0, y: 0, w: 3, h: 3 }, 3, 3);
+        assert.deepEqual(Array.from(out), Array.from(src));
+    });
+
+    it('2x downscale averages 2x2 blocks', () => {
+        const src = new Uint8Array([
+            0, 100, 200, 200,
+            100, 200, 0, 0,
+            10, 10, 50, 50,
+            10, 10, 50, 50
+        ]);
+        const out = Processor.resample(src, 4, { x: 0, y: 0, w: 4, h: 4 }, 2, 2);
+        assert.deepEqual(Array.from(out), [100, 100, 10, 50]);
+    });
+
+    it('non-integer downscale preserves a flat image', () => {
+        const src = new Uint8Array(37 * 23).fill(77);
+        const out = Processor.resample(src, 37, { x: 0, y: 0, w: 37, h: 23 }, 32, 32);
+        assert.ok(out.every(v => v === 77));
+    });
+
+    it('upscale interpolates between neighbours', () => {
+        const src = new Uint8Array([0, 200]);
+        const out = Processor.resample(src, 2, { x: 0, y: 0, w: 2, h: 1 }, 4, 1);
+        assert.deepEqual(Array.from(out), [0, 50, 150, 200]);
+    });
+
+    it('honours the source rectangle and stride', () => {
+        const src = new Uint8Array([
+            9, 9, 9, 9,
+            9, 40, 60, 9,
+            9, 9, 9, 9
+        ]);
+        const out = Processor.resample(src, 4, { x: 1, y: 1, w: 2, h: 1 }, 1, 1);
+        assert.deepEqual(Array.from(out), [50]);
+    });
+});
+
+// ===== extractCell / extractAllCells =====
+
+describe('Processor.extractCell', () => {
+    const frame = makeFrame(120, 60, [
+        { x: 20, y: 15, w: 8, h: 30 },
+        { x: 40, y: 15, w: 12, h: 30 }
+    ]);
+    const blob = { x: 10, y: 10, w: 50, h: 40 };
+
+    it('returns a contrast-stretched CELL_SIZE square', () => {
+        const cell = Processor.extractCell(frame, blob);
+        assert.equal(cell.length, Processor.CELL_SIZE * Processor.CELL_SIZE);
+        assert.deepEqual(range(cell), { min: 0, max: 255 });
+    });
+
+    it('is deterministic', () => {
+        const a = Processor.extractCell(frame, blob);
+        const b = Processor.extractCell(frame, blob);
+        assert.deepEqual(Array.from(a), Array.from(b));
+    });
+
+    it('tight-crops so the glyphs span the cell width', () => {
+        const cell = Processor.extractCell(frame, blob);
+        const S = Processor.CELL_SIZE;
+        const mid = S / 2 * S;
+        assert.ok(cell[mid + 4] > 128, 'left glyph near the left edge');
+        assert.ok(cell[mid + S - 5] > 128, 'right glyph near the right edge');
+    });
+
+    it('extractAllCells extracts grid and target cells', () => {
+        const out = Processor.extractAllCells(frame, [blob, blob], [blob]);
+        assert.equal(out.gridCells.length, 2);
+        assert.equal(out.targetCells.length, 1);
+        assert.deepEqual(Array.from(out.gridCells[0]), Array.from(out.targetCells[0]));
+    });
+});
+
+// ===== splitCellHalves =====
+
+describe('Processor.splitCellHalves', () => {
+    it('splits a two-glyph cell into two normalized halves', () => {
+        const frame = makeFrame(120, 60, [
+            { x: 20, y: 15, w: 8, h: 30 },
+            { x: 40, y: 15, w: 12, h: 30 }
+        ]);
+        const cell = Processor.extractCell(frame, { x: 10, y: 10, w: 50, h: 40 });
+        const halves = Processor.splitCellHalves(cell);
+        assert.equal(halves.left.length, 1024);
+        assert.equal(halves.right.length, 1024);
+        assert.deepEqual(range(halves.left), { min: 0, max: 255 });
+        assert.deepEqual(range(halves.right), { min: 0, max: 255 });
+    });
+
+    // CELL_SIZE square cell with bright rectangles [x0, y0, x1, y1)
+    function makeCell(rects) {
+        const cell = new Uint8Array(32 * 32);
+        rects.forEach(([x0, y0, x1, y1]) => {
+            for (let y = y0; y < y1; y++) cell.fill(255, y * 32 + x0, y * 32 + x1);
+        });
+        return cell;
+    }
+
+    it('splits in the gap next to a wide glyph', () => {
+        const halves = Processor.splitCellHalves(makeCell([[0, 4, 22, 28], [25, 4, 32, 28]]));
+        assert.equal(halves.split, 24);
+        assert.equal(halves.quality, 1);
+        // The right half holds only the narrow glyph, no gap in its middle
+        assert.equal(halves.right[16 * 32 + 16], 255);
+    });
+
+    it('splits touching glyphs at the projection valley with a lower quality', () => {
+        const { split, quality } = Processor.findSplit(makeCell([[2, 2, 14, 30], [14, 15, 17, 18], [17, 2, 30, 30]]));
+        assert.equal(split, 16);
+        assert.ok(quality > 0 && quality < 0.5, 'quality ' + quality);
+    });
+
+    it('falls back to the midpoint when no gap or valley separates the glyphs', () => {
+        assert.deepEqual(Processor.findSplit(makeCell([[4, 4, 28, 28]])), { split: 16, quality: 0 });
+        assert.deepEqual(Processor.findSplit(new Uint8Array(32 * 32)), { split: 16, quality: 0 });
+    });
+});
+
+// ===== Templates.tightCropAndNormalize =====
+
+describe('Templates.tightCropAndNormalize', () => {
+    it('crops a rendered glyph to CELL_SIZE without a canvas', () => {
+        const w = 60, h = 60;
+        const gray = new Uint8Array(w * h);
+        for (let y = 10; y < 50; y++)
+            for (let x = 25; x < 35; x++) gray[y * w + x] = 255;
+        const out = Templates.tightCropAndNormalize(gray, w, h);
+        assert.equal(out.length, Templates.CELL_SIZE * Templates.CELL_SIZE);
+        assert.deepEqual(range(out), { min: 0, max: 255 });
+        // The bar fills the cell center after tight cropping
+        assert.equal(out[16 * 32 + 16], 255);
+    });
+});
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for puzzle profiles: spec parsing, wrap rules, matching with a
+// profile, and auto-detection of grid and target counts on synthetic
+// frames of other puzzle shapes.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadModules } = require('../bin/runtime');
+
+const { Puzzle, Matcher, Detector } = loadModules();
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; the rendered-frame tests need it
+}
+
+// Render a synthetic frame and decode it as Camera.captureFrame would
+async function renderFrame(options) {
+    const synth = require('../bin/synth');
+    const { loadImage } = require('../bin/runtime');
+    const rendered = await synth.renderFrame(sharp, Object.assign({ charset: 'numeric', chars: '0123456789' }, options));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'puzzle-'));
+    const file = path.join(dir, 'frame.png');
+    fs.writeFileSync(file, rendered.image);
+    const frame = await loadImage(file);
+    fs.rmSync(dir, { recursive: true });
+    return { frame, sidecar: rendered.sidecar };
+}
+
+// Row-major grid of distinct codes "00".."NN"
+function codeGrid(total) {
+    return Array.from({ length: total }, (v, i) => String(i).padStart(2, '0'));
+}
+
+// ===== Puzzle =====
+
+describe('Puzzle.parse', () => {
+    it('reads presets', () => {
+        assert.deepEqual(Puzzle.parse('standard'), Puzzle.PRESETS.standard);
+        assert.deepEqual(Puzzle.parse('auto'), Puzzle.PRESETS.auto);
+    });
+
+    it('overrides the default with key=value pairs', () => {
+        assert.deepEqual(Puzzle.parse('rows=6,cols=8,target=3,wrap=row,charsets=numeric+greek'), {
+            rows: 6, cols: 8, targetLength: 3, wrap: 'row', charsets: ['numeric', 'greek']
+        });
+        const p = Puzzle.parse('auto, cols=12, charsets=all');
+        assert.equal(p.rows, null);
+        assert.equal(p.cols, 12);
+        assert.equal(p.charsets, null);
+    });
+
+    it('takes auto for any count', () => {
+        assert.equal(Puzzle.parse('target=auto').targetLength, null);
+        assert.equal(Puzzle.parse('target=auto').rows, 8);
+    });
+
+    it('rejects unknown presets, settings and out-of-range values', () => {
+        assert.throws(() => Puzzle.parse('huge'), /Unknown puzzle preset huge/);
+        assert.throws(() => Puzzle.parse('depth=3'), /Unknown puzzle setting depth/);
+        assert.throws(() => Puzzle.parse('rows=40'), /rows must be 4-12/);
+        assert.throws(() => Puzzle.parse('cols=ten'), /cols must be 4-16/);
+        assert.throws(() => Puzzle.parse('target=1'), /target length must be 2-8/);
+        assert.throws(() => Puzzle.parse('wrap=spiral'), /wrap must be one of grid, row, none/);
+        assert.throws(() => Puzzle.parse('charsets=numeric+klingon'), /charsets must be among numeric, .*, got klingon$/);
+        assert.throws(() => Puzzle.create({ charsets: ['Numeric'] }), /got Numeric/);
+    });
+});
+
+describe('Puzzle.sequence', () => {
+    it('wraps into the next row and around the grid', () => {
+        assert.deepEqual(Puzzle.sequence('grid', 8, 4, 20, 10), [8, 9, 10, 11]);
+        assert.deepEqual(Puzzle.sequence('grid', 18, 4, 20, 10), [18, 19, 0, 1]);
+    });
+
+    it('wraps back to the start of the row', () => {
+        assert.deepEqual(Puzzle.sequence('row', 8, 4, 20, 10), [8, 9, 0, 1]);
+        assert.deepEqual(Puzzle.sequence('row', 18, 4, 20, 10), [18, 19, 10, 11]);
+    });
+
+    it('never runs past the last cell without wrap', () => {
+        assert.deepEqual(Puzzle.sequence('none', 8, 4, 20, 10), [8, 9, 10, 11]);
+        assert.equal(Puzzle.sequence('none', 18, 4, 20, 10), null);
+    });
+});
+
+describe('Puzzle.resolve', () => {
+    it('fills in the detected counts', () => {
+        const det = { rows: 6, cols: 8, targetCells: [{}, {}, {}] };
+        assert.deepEqual(Puzzle.resolve(Puzzle.PRESETS.auto, det),
+            { rows: 6, cols: 8, targetLength: 3, wrap: 'grid', charsets: null });
+        assert.equal(Puzzle.describe(Puzzle.resolve(Puzzle.PRESETS.auto, det)), '6x8/3 wrap grid');
+    });
+});
+
+// ===== Matcher =====
+
+describe('Matcher with a puzzle profile', () => {
+    const profile = (fields) => Puzzle.create(Object.assign({ rows: 6, cols: 8, targetLength: 3 }, fields));
+
+    it('matches text along the profile wrap rule', () => {
+        const grid = codeGrid(48);
+        // 14 15 08: the end of row 2 continued at its start
+        const rowWrap = Matcher.findMatchByText(['14', '15', '08'], grid, profile({ wrap: 'row' }));
+        assert.equal(rowWrap.position, 14);
+        assert.equal(rowWrap.row, 2);
+        assert.equal(rowWrap.col, 7);
+        assert.equal(rowWrap.score, 0);
+
+        const gridWrap = Matcher.findMatchByText(['47', '00'], grid, profile({ wrap: 'grid' }));
+        assert.equal(gridWrap.position, 47);
+        const noWrap = Matcher.findMatchByText(['47', '00'], grid, profile({ wrap: 'none' }));
+        assert.notEqual(noWrap && noWrap.score, 0);
+    });
+
+    it('uses the profile column count for row and column', () => {
+        const match = Matcher.findMatchByText(['20', '21', '22'], codeGrid(48), profile());
+        assert.deepEqual([match.row, match.col, match.cols], [3, 5, 8]);
+    });
+
+    it('matches pixel cells for short targets along the wrap rule', () => {
+        // Cell i is a block at a position unique to i
+        const cell = i => {
+            const px = new Uint8Array(1024);
+            const x0 = (i % 6) * 5, y0 = Math.floor(i / 6) * 4;
+            for (let y = y0; y < y0 + 4; y++) {
+                for (let x = x0; x < x0 + 4; x++) px[y * 32 + x] = 255;
+            }
+            return px;
+        };
+        const gridCells = Array.from({ length: 48 }, (v, i) => cell(i));
+        const targets = [gridCells[22], gridCells[23], gridCells[16]];
+        const match = Matcher.findMatch(targets, gridCells, profile({ wrap: 'row' }));
+        assert.equal(match.position, 22);
+        assert.equal(match.row, 3);
+        assert.equal(match.col, 7);
+    });
+});
+
+// ===== Detection and solving =====
+
+describe('auto-detected puzzle layouts', { skip: !sharp && 'sharp not installed' }, () => {
+    it('counts the rows, columns and targets of the standard game', async () => {
+        const { frame } = await renderFrame({ seed: 3 });
+        const det = Detector.detect(frame, Puzzle.PRESETS.auto);
+        assert.deepEqual([det.rows, det.cols, det.targetCells.length], [8, 10, 4]);
+    });
+
+    it('counts a smaller grid with a shorter target', async () => {
+        const shape = { rows: 6, cols: 8, targetLength: 3 };
+        const { frame, sidecar } = await renderFrame({ seed: 12, shape });
+        const det = Detector.detect(frame, Puzzle.PRESETS.auto);
+        assert.deepEqual([det.rows, det.cols, det.targetCells.length], [6, 8, 3]);
+        det.gridCells.forEach((c, i) => {
+            const box = sidecar.cells.grid[i];
+            assert.ok(Math.abs(c.cx - (box.x + box.w / 2)) < box.w * 0.3, 'cell ' + i);
+        });
+    });
+
+    it('counts a larger keystoned grid', async () => {
+        const shape = { rows: 9, cols: 12, targetLength: 5 };
+        const { frame } = await renderFrame({ seed: 13, shape, knobs: { skew: 0.12 } });
+        const det = Detector.detect(frame, Puzzle.PRESETS.auto);
+        assert.ok(det.rectification, 'rectification');
+        assert.deepEqual([det.rows, det.cols, det.targetCells.length], [9, 12, 5]);
+    });
+
+    it('keeps fixed counts from the profile', async () => {
+        const { frame } = await renderFrame({ seed: 12, shape: { rows: 6, cols: 8, targetLength: 3 } });
+        const det = Detector.detect(frame, Puzzle.parse('rows=6,cols=8,target=3'));
+        assert.deepEqual([det.rows, det.cols, det.targetCells.length], [6, 8, 3]);
+    });
+
+    it('lets the Solver read a 6x8 puzzle and try only the profile charsets', async () => {
+        const { createRuntime } = require('../bin/runtime');
+        const runtime = await createRuntime();
+        const { frame, sidecar } = await renderFrame({ seed: 12, shape: { rows: 6, cols: 8, targetLength: 3 } });
+        const result = runtime.Solver.solve(frame, { profile: runtime.Puzzle.parse('auto,charsets=numeric') });
+        assert.deepEqual(Object.keys(result.codesByCharset), ['numeric']);
+        assert.deepEqual([result.puzzle.rows, result.puzzle.cols, result.puzzle.targetLength], [6, 8, 3]);
+        assert.deepEqual(result.targetCodes, sidecar.target);
+        assert.equal(result.match.position, sidecar.expected.position);
+        assert.equal(result.match.row, sidecar.expected.row);
+        assert.equal(result.match.col, sidecar.expected.col);
+    });
+
+    it('stops before matching when no profile charset has templates', async () => {
+        const { createRuntime } = require('../bin/runtime');
+        const runtime = await createRuntime();
+        const { frame } = await renderFrame({ seed: 12 });
+        // Puzzle.create rejects unknown names; a hand-built profile can still carry one
+        const profile = Object.assign({}, runtime.Puzzle.DEFAULT, { charsets: ['klingon'] });
+        const result = runtime.Solver.solve(frame, { profile });
+        assert.equal(result.error, 'No charset to read');
+        assert.equal(result.match, null);
+        assert.equal(result.targetCodes, null);
+        assert.deepEqual(runtime.Solver.learnableExemplars(result), []);
+        assert.equal(runtime.Solver.createLock(result), null);
+    });
+});
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the frame quality gate: sharpness, blown-out and contrast
+// metrics, the problems they raise, and how the Solver drops or
+// recaptures frames that fail.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../bin/runtime');
+
+const { Quality } = loadModules();
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; the rendered-frame tests need it
+}
+
+const SIZE = 128;
+
+// RGBA frame with gray level f(x, y)
+function makeFrame(f) {
+    const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const o = (y * SIZE + x) * 4;
+            data[o] = data[o + 1] = data[o + 2] = f(x, y);
+            data[o + 3] = 255;
+        }
+    }
+    return { data, width: SIZE, height: SIZE };
+}
+
+// Vertical bars 8 px wide every 16 px, box-blurred over `blur` pixels
+function bars(low, high, blur) {
+    const width = blur || 1;
+    const bar = x => (x + 16) % 16 >= 4 && (x + 16) % 16 < 12 ? 1 : 0;
+    return makeFrame(x => {
+        let t = 0;
+        for (let i = 0; i < width; i++) t += bar(x + i - (width >> 1));
+        return Math.round(low + (high - low) * t / width);
+    });
+}
+
+describe('Quality.measure', () => {
+    it('rates sharp edges above soft ones whatever the contrast', () => {
+        const sharpBars = Quality.measure(bars(20, 220));
+        const dimBars = Quality.measure(bars(80, 140));
+        const softBars = Quality.measure(bars(20, 220, 6));
+        assert.ok(Math.abs(sharpBars.sharpness - dimBars.sharpness) < 0.01,
+            sharpBars.sharpness + ' vs ' + dimBars.sharpness);
+        assert.ok(softBars.sharpness < sharpBars.sharpness / 4, softBars.sharpness + ' vs ' + sharpBars.sharpness);
+        assert.ok(Math.abs(sharpBars.contrast - 200 / 255) < 0.01);
+        assert.ok(Math.abs(dimBars.contrast - 60 / 255) < 0.01);
+    });
+
+    it('reports a flat frame as without contrast or sharpness', () => {
+        assert.deepEqual(Quality.measure(makeFrame(() => 90)), { sharpness: 0, saturated: 0, contrast: 0 });
+    });
+
+    it('counts blown-out blocks but not thin bright strokes', () => {
+        const strokes = Quality.measure(makeFrame(x => x % 8 < 2 ? 255 : 20));
+        assert.equal(strokes.saturated, 0);
+        const spot = Quality.measure(makeFrame((x, y) => x < 32 && y < 32 ? 255 : 20));
+        assert.equal(spot.saturated, 1 / 16);
+        assert.equal(Quality.measure(makeFrame((x, y) => x < 32 && y < 32 ? 255 : 20), { x: 0, y: 0, w: 64, h: 64 }).saturated, 1 / 4);
+    });
+
+    it('clips the region to the frame', () => {
+        const frame = bars(20, 220);
+        assert.deepEqual(Quality.measure(frame, { x: -10, y: 100, w: 300, h: 100 }),
+            Quality.measure(frame, { x: 0, y: 100, w: SIZE, h: 28 }));
+    });
+});
+
+describe('Quality.assess', () => {
+    it('lists the problems most important first', () => {
+        const bad = Quality.assess({ sharpness: 0, saturated: 0.5, contrast: 0 });
+        assert.deepEqual(bad.problems, ['glare', 'low-contrast', 'blurred']);
+        assert.equal(bad.ok, false);
+        const good = Quality.assess({ sharpness: 0.1, saturated: 0, contrast: 0.6 });
+        assert.deepEqual(good.problems, []);
+        assert.equal(good.ok, true);
+        assert.equal(Quality.describe(good), 'sharp 0.100 sat 0.0% contrast 0.60 ok');
+    });
+});
+
+describe('Solver quality gate', { skip: !sharp && 'sharp not installed' }, () => {
+    const synth = require('../bin/synth');
+
+    async function render(knobs) {
+        const { image, sidecar } = await synth.renderFrame(sharp, { charset: 'numeric', chars: '0123456789', seed: 3, knobs });
+        const { data, info } = await sharp(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        return { frame: { data: new Uint8ClampedArray(data), width: info.width, height: info.height }, sidecar };
+    }
+
+    it('rejects a blurred frame before matching and asks for a recapture', async () => {
+        const { createRuntime } = require('../bin/runtime');
+        const { Solver } = await createRuntime();
+        const { frame } = await render({ blur: 3 });
+        const result = Solver.solve(frame);
+        assert.equal(result.error, 'Frame quality too low');
+        assert.equal(result.extracted, null);
+        assert.deepEqual(result.quality.frames[0].problems, ['blurred']);
+        assert.equal(result.quality.rejected, 1);
+        assert.equal(result.guidance, Quality.GUIDANCE.blurred);
+        assert.ok(Solver.needsRecapture(result));
+        assert.ok(result.log.some(line => line.startsWith('Quality: sharp ')));
+    });
+
+    it('solves a burst from its sharp frames only', async () => {
+        const { createRuntime } = require('../bin/runtime');
+        const { Solver } = await createRuntime();
+        const blurred = await render({ blur: 3 });
+        const clean = await render();
+        const result = Solver.solveBurst([blurred.frame, clean.frame, blurred.frame]);
+        assert.equal(result.quality.rejected, 2);
+        assert.equal(result.frames.lowQuality, 1);
+        assert.equal(result.frames.fused, 1);
+        assert.deepEqual(result.targetCodes, clean.sidecar.target);
+        assert.equal(result.match.position, clean.sidecar.expected.position);
+        assert.equal(Solver.needsRecapture(result), false);
+    });
+});
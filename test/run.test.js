@@ -4,7 +4,7 @@
 // Test suite for hack-solver matching logic.
 // Uses Node.js built-in test runner.
 // The new Function() calls below load our own project source files
-// (matcher.js) - no untrusted input is involved.
+// (puzzle.js, matcher.js) - no untrusted input is involved.
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
@@ -17,7 +17,9 @@ const path = require('path');
 // trusted local files.
 
 function loadMatcher() {
-    const src = fs.readFileSync(path.join(__dirname, '..', 'matcher.js'), 'utf-8');
+    const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf-8');
+    // matcher.js follows the puzzle profile's wrap rule
+    const src = read('puzzle.js') + '\n' + read('matcher.js');
     // eslint-disable-next-line no-new-func -- loading own trusted source file
     const loader = new Function('Processor', src + '\nreturn Matcher;');
     // Provide stub Processor since matcher.js references it for identifyCode
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the font-independent rune recognizer: stroke rendering,
+// direction features and counters, robustness to stroke width and
+// noise, and the Solver's runes strategy on a synthetic frame drawn
+// with other glyphs.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadModules } = require('../bin/runtime');
+
+const { Runes, Templates } = loadModules();
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; the rendered-frame test needs it
+}
+
+const RUNES = Array.from(Templates.CHARSETS.runes);
+
+// Normalize a rendered rune the way Processor prepares a half cell
+function normalized(char, strokeWidth) {
+    const r = Runes.render(char, 48, strokeWidth);
+    return Templates.tightCropAndNormalize(r.gray, r.w, r.h);
+}
+
+// Deterministic +/- amplitude pixel noise
+function addNoise(pixels, amplitude, seed) {
+    let s = seed;
+    return pixels.map(v => {
+        s = (s * 1103515245 + 12345) >>> 0;
+        return Math.max(0, Math.min(255, v + ((s >>> 16) % (2 * amplitude + 1)) - amplitude));
+    });
+}
+
+describe('Runes.STROKES', () => {
+    it('defines every rune of the charset', () => {
+        assert.deepEqual(Object.keys(Runes.STROKES).sort(), RUNES.slice().sort());
+    });
+});
+
+describe('Runes.render', () => {
+    it('returns null for characters without strokes', () => {
+        assert.equal(Runes.render('A', 48), null);
+    });
+});
+
+describe('Runes.counters', () => {
+    it('finds the open bows of berkanan and none where dots close them', () => {
+        assert.ok(Runes.counters(normalized('ᛒ')) > 0.05);
+        assert.equal(Runes.counters(normalized('ᛔ')), 0);
+        assert.equal(Runes.counters(normalized('ᚠ')), 0);
+    });
+});
+
+describe('Runes.identifyChar', () => {
+    // A font renderer that draws nothing: the runes templates must not use it
+    Templates.setRenderer((char, fontSize) => {
+        const size = fontSize * 3;
+        return { gray: new Uint8Array(size * size), w: size, h: size };
+    });
+    const templates = Templates.getCharset('runes');
+
+    it('builds the runes templates from strokes, not the font renderer', () => {
+        assert.ok(Templates.hasBuiltinGlyphs('runes'));
+        assert.equal(Templates.hasBuiltinGlyphs('greek'), false);
+        assert.equal(templates.length, RUNES.length);
+        assert.deepEqual(Array.from(templates[0].pixels), Array.from(normalized(RUNES[0])));
+    });
+
+    it('identifies every rune as itself', () => {
+        for (const char of RUNES) {
+            const read = Runes.identifyChar(normalized(char), templates);
+            assert.equal(read.char, char);
+            assert.ok(read.distance < 0.01, char + ' distance ' + read.distance);
+        }
+    });
+
+    it('tolerates bolder and lighter strokes than the templates', () => {
+        for (const width of [0.06, 0.12]) {
+            for (const char of RUNES) {
+                assert.equal(Runes.identifyChar(normalized(char, width), templates).char, char,
+                    char + ' at stroke width ' + width);
+            }
+        }
+    });
+
+    it('tolerates pixel noise', () => {
+        RUNES.forEach((char, i) => {
+            const noisy = addNoise(normalized(char), 40, i + 1);
+            assert.equal(Runes.identifyChar(noisy, templates).char, char);
+        });
+    });
+});
+
+// ===== Solver strategy =====
+
+describe('Solver runes strategy', { skip: !sharp && 'sharp not installed' }, () => {
+    // The synth draws its own rune glyphs, not Runes.STROKES
+    it('solves a synthetic runes frame drawn from glyphs of its own', async () => {
+        const synth = require('../bin/synth');
+        const { createRuntime, loadImage } = require('../bin/runtime');
+        const { Solver } = await createRuntime();
+        const rendered = await synth.renderFrame(sharp, {
+            charset: 'runes', chars: Templates.CHARSETS.runes, seed: 3
+        });
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runes-'));
+        const file = path.join(dir, 'frame.png');
+        fs.writeFileSync(file, rendered.image);
+
+        // Default profile: every charset is tried and runes must win
+        const result = Solver.solve(await loadImage(file));
+        fs.rmSync(dir, { recursive: true });
+
+        assert.equal(result.charset, 'runes');
+        assert.equal(result.match.row, rendered.sidecar.expected.row);
+        assert.equal(result.match.col, rendered.sidecar.expected.col);
+        // Dotted-p (ᛔ) and berkanan (ᛒ) included
+        assert.ok(rendered.sidecar.grid.some(code => code.indexOf('ᛔ') >= 0));
+        assert.ok(rendered.sidecar.grid.some(code => code.indexOf('ᛒ') >= 0));
+        assert.deepEqual(result.targetCodes, rendered.sidecar.target);
+        assert.deepEqual(result.gridCodes, rendered.sidecar.grid);
+    });
+});
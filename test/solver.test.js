@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the Solver's decisions between pipeline stages and scans:
+// which charset reading a frame is solved with, when a burst is captured
+// again, whether two scans show one shuffle, and the target lock's life
+// (auto-lock, manual re-lock, release after missed scans).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../bin/runtime');
+
+const { Solver } = loadModules();
+
+function read(charset, distance, score) {
+    return {
+        charset, targetCodes: [], gridCodes: [], distance,
+        match: score === null ? null : { position: 0, score }
+    };
+}
+
+describe('Solver.pickCharset', () => {
+    it('takes the lowest match score', () => {
+        const best = Solver.pickCharset([read('numeric', 0.05, 2), read('alphabet', 0.12, 0), read('greek', 0.1, 1)]);
+        assert.equal(best.charset, 'alphabet');
+    });
+
+    it('never solves with a charset that reads the target far worse than the closest', () => {
+        // Digit templates on a Greek frame: self-consistent garbage that
+        // matches exactly, while the Greek read has one misread cell
+        const best = Solver.pickCharset([read('numeric', 0.38, 0), read('alphabet', 0.33, 1), read('greek', 0.16, 1)]);
+        assert.equal(best.charset, 'greek');
+        // Braille templates on a Greek frame without a dot lattice
+        assert.equal(Solver.pickCharset([read('greek', 0.22, 1), read('braille', 0.33, 0)]).charset, 'greek');
+    });
+
+    it('gives equal scores to the charset that read the target closest', () => {
+        // Digits read a letter frame as garbage that matches itself exactly
+        const best = Solver.pickCharset([read('numeric', 0.4, 0), read('alphabet', 0.08, 0), read('alphanumeric', 0.12, 0)]);
+        assert.equal(best.charset, 'alphabet');
+    });
+
+    it('keeps the first read when no charset matched, null without reads', () => {
+        assert.equal(Solver.pickCharset([read('numeric', 0.4, null), read('alphabet', 0.1, null)]).charset, 'numeric');
+        assert.equal(Solver.pickCharset([]), null);
+    });
+});
+
+// A solved result as far as the lock helpers look at it
+function solved(fields) {
+    return Object.assign({
+        match: { position: 12, score: 0 },
+        charset: 'alphabet',
+        targetCodes: ['AB', 'CD', 'EF', 'GH'],
+        targetHalves: [{ left: [1], right: [2] }],
+        targetDistance: 0.1,
+        extracted: { targetCells: ['t0', 't1', 't2', 't3'], gridCells: [] },
+        locked: false
+    }, fields);
+}
+
+describe('Solver.needsRecapture', () => {
+    it('asks again only when every detected frame failed the quality gates', () => {
+        const quality = (frames, rejected) => ({ quality: { frames, rejected } });
+        assert.equal(Solver.needsRecapture(quality([{ ok: false }, null, { ok: false }], 2)), true);
+        assert.equal(Solver.needsRecapture(quality([{ ok: false }, { ok: true }], 1)), false);
+        assert.equal(Solver.needsRecapture(quality([null, null], 0)), false);
+        assert.equal(Solver.needsRecapture({ quality: null }), false);
+    });
+});
+
+describe('Solver.sameShuffle', () => {
+    const grid = Array.from({ length: 80 }, (_, i) => String(i % 100).padStart(2, '0'));
+
+    it('takes grids with at least half the codes in place as one shuffle', () => {
+        const misread = grid.map((code, i) => (i < 40 ? '??' : code));
+        assert.equal(Solver.sameShuffle(grid, misread), true);
+        assert.equal(Solver.sameShuffle(grid, misread.map((code, i) => (i === 40 ? '??' : code))), false);
+    });
+
+    it('tells a new shuffle or a missing grid apart', () => {
+        assert.equal(Solver.sameShuffle(grid, grid.slice().reverse()), false);
+        assert.equal(Solver.sameShuffle(grid, grid.slice(0, 60)), false);
+        assert.equal(Solver.sameShuffle(null, grid), false);
+    });
+});
+
+describe('Solver.isLockable', () => {
+    it('locks an exact match read close to the templates', () => {
+        assert.equal(Solver.isLockable(solved()), true);
+    });
+
+    it('does not lock a partial match, a poor read, a locked scan or no match', () => {
+        assert.equal(Solver.isLockable(solved({ match: { position: 12, score: 1 } })), false);
+        assert.equal(Solver.isLockable(solved({ targetDistance: 0.3 })), false);
+        assert.equal(Solver.isLockable(solved({ locked: true })), false);
+        assert.equal(Solver.isLockable(solved({ match: null })), false);
+    });
+});
+
+describe('Solver.createLock', () => {
+    it('keeps the target codes, charset and cells of a solved result', () => {
+        const result = solved();
+        const lock = Solver.createLock(result);
+        assert.deepEqual(lock, {
+            charset: 'alphabet',
+            codes: ['AB', 'CD', 'EF', 'GH'],
+            cells: result.extracted.targetCells,
+            halves: result.targetHalves,
+            distance: 0.1
+        });
+        // A copy: the result's codes may change without moving the lock
+        assert.notEqual(lock.codes, result.targetCodes);
+    });
+
+    it('gives back the lock a locked scan was read with', () => {
+        const lock = Solver.createLock(solved());
+        // What Solver.solve fills in when it reads the grid with a lock
+        const locked = solved({
+            locked: true, match: null, charset: lock.charset, targetCodes: lock.codes,
+            targetHalves: lock.halves, targetDistance: lock.distance,
+            extracted: { targetCells: lock.cells, gridCells: [] }
+        });
+        assert.deepEqual(Solver.createLock(locked), lock);
+    });
+
+    it('returns null without a target reading', () => {
+        assert.equal(Solver.createLock(solved({ targetCodes: null })), null);
+        assert.equal(Solver.createLock(solved({ extracted: null })), null);
+    });
+});
+
+describe('Solver.trackLock', () => {
+    it('releases the lock after LOCK_MAX_MISSES scans in a row without it', () => {
+        const miss = solved({ locked: true, match: { position: 3, score: 2 } });
+        let misses = 0;
+        for (let i = 1; i < Solver.LOCK_MAX_MISSES; i++) {
+            const tracked = Solver.trackLock(i % 2 ? miss : solved({ locked: true, match: null }), misses);
+            assert.deepEqual(tracked, { misses: i, release: false });
+            misses = tracked.misses;
+        }
+        assert.deepEqual(Solver.trackLock(miss, misses), { misses: Solver.LOCK_MAX_MISSES, release: true });
+    });
+
+    it('starts counting again after an exact match', () => {
+        const hit = solved({ locked: true });
+        assert.deepEqual(Solver.trackLock(hit, Solver.LOCK_MAX_MISSES - 1), { misses: 0, release: false });
+    });
+});
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the frame sources: the capture shared by Camera and
+// ScreenCapture (full frames, scaled previews, bursts, the stream ending
+// by itself), that every source offers the FrameSource interface, the
+// camera's fallback when the chosen device is gone and still images.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadModules } = require('../bin/runtime');
+
+const { FrameSource, Controls } = loadModules();
+
+// A canvas whose 2D context returns blank frames of the canvas size
+function fakeCanvas() {
+    const classes = new Set();
+    return {
+        width: 0,
+        height: 0,
+        clientWidth: 390,
+        clientHeight: 844,
+        classList: { add: c => classes.add(c), remove: c => classes.delete(c), contains: c => classes.has(c) },
+        getContext: () => ({
+            drawImage() {},
+            getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h })
+        })
+    };
+}
+
+function fakeVideo(width, height) {
+    return {
+        videoWidth: width, videoHeight: height, clientWidth: 390, clientHeight: 844,
+        readyState: 4, srcObject: null,
+        play: async () => {}
+    };
+}
+
+// A one-track stream; `track.end()` ends it as the browser would
+function fakeStream(label, settings) {
+    const listeners = [];
+    const track = {
+        label,
+        stopped: false,
+        getSettings: () => Object.assign({}, settings),
+        addEventListener: (type, fn) => { if (type === 'ended') listeners.push(fn); },
+        stop() { this.stopped = true; },
+        end: () => listeners.forEach(fn => fn())
+    };
+    return { track, getVideoTracks: () => [track], getTracks: () => [track] };
+}
+
+// Evaluate a browser source module (camera.js, screen.js, still.js) with
+// the given `navigator`, as a <script> after source.js and controls.js
+function loadSource(file, name, navigator) {
+    const src = fs.readFileSync(path.join(__dirname, '..', file), 'utf-8');
+    // eslint-disable-next-line no-new-func -- loading own trusted source files
+    return new Function('FrameSource', 'Controls', 'navigator', src + '\nreturn ' + name + ';')(FrameSource, Controls, navigator);
+}
+
+// The DOM the sources reach for while running
+before(() => {
+    global.document = { createElement: fakeCanvas };
+    global.getComputedStyle = () => ({ objectFit: 'cover' });
+});
+after(() => {
+    delete global.document;
+    delete global.getComputedStyle;
+});
+
+describe('FrameSource capture', () => {
+    it('captures full frames, scaled previews and bursts once a stream plays', async () => {
+        const frames = FrameSource.create();
+        const video = fakeVideo(1920, 1080);
+        frames.init(video);
+        assert.equal(frames.captureFrame().width, 1920);
+
+        const stream = fakeStream('Back Camera', {});
+        await frames.attach(stream);
+        assert.equal(video.srcObject, stream);
+        assert.equal(frames.track(), stream.track);
+
+        const preview = frames.capturePreview(480);
+        assert.deepEqual([preview.frame.width, preview.frame.height, preview.scale], [480, 270, 4]);
+        assert.equal((await frames.captureBurst(3, 0)).length, 3);
+        assert.deepEqual(frames.getVideoDimensions(), {
+            videoWidth: 1920, videoHeight: 1080, displayWidth: 390, displayHeight: 844, fit: 'cover'
+        });
+
+        video.readyState = 1;
+        assert.equal(frames.captureFrame(), null);
+        assert.equal(frames.capturePreview(480), null);
+    });
+
+    it('finishes a burst when no new video frame arrives', async () => {
+        const frames = FrameSource.create();
+        const video = fakeVideo(1280, 720);
+        // A frame callback that never fires, like a stalled stream
+        video.requestVideoFrameCallback = () => {};
+        frames.init(video);
+        await frames.attach(fakeStream('Back Camera', {}));
+        const started = Date.now();
+        assert.equal((await frames.captureBurst(3, 20)).length, 3);
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    it('ends a burst early when the stream is stopped during it', async () => {
+        const frames = FrameSource.create();
+        const video = fakeVideo(1280, 720);
+        video.requestVideoFrameCallback = () => {};
+        frames.init(video);
+        await frames.attach(fakeStream('Back Camera', {}));
+        const burst = frames.captureBurst(3, 10000);
+        setTimeout(() => frames.detach(), 10);
+        const started = Date.now();
+        assert.equal((await burst).length, 1);
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    it('reports a stream that ends by itself but not one stopped on purpose', async () => {
+        const frames = FrameSource.create();
+        frames.init(fakeVideo(1280, 720));
+        let ended = 0;
+        frames.onEnded(() => ended++);
+
+        const first = fakeStream('Screen 1', {});
+        await frames.attach(first);
+        first.track.end();
+        assert.equal(ended, 1);
+
+        frames.detach();
+        assert.equal(first.track.stopped, true);
+        assert.equal(frames.track(), null);
+        first.track.end();
+        assert.equal(ended, 1);
+    });
+});
+
+describe('Frame sources', () => {
+    it('offer the same interface', () => {
+        for (const [file, name] of [['camera.js', 'Camera'], ['screen.js', 'ScreenCapture'], ['still.js', 'StillImage']]) {
+            const source = loadSource(file, name, {});
+            assert.deepEqual(FrameSource.missing(source), [], name);
+        }
+        assert.deepEqual(FrameSource.missing({ start() {}, stop() {} }).slice(0, 2), ['onEnded', 'captureFrame']);
+    });
+
+    it('falls back to the default back camera when the chosen one is gone', async () => {
+        const requests = [];
+        const navigator = {
+            mediaDevices: {
+                getUserMedia: async constraints => {
+                    requests.push(constraints.video);
+                    if (constraints.video.deviceId) throw Object.assign(new Error('gone'), { name: 'OverconstrainedError' });
+                    return fakeStream('Back Camera', { deviceId: 'main', width: 1920, height: 1080, frameRate: 30 });
+                }
+            }
+        };
+        const camera = loadSource('camera.js', 'Camera', navigator);
+        camera.init(fakeVideo(1920, 1080));
+        const info = await camera.start('usb-cam');
+        assert.deepEqual(info, { deviceId: 'main', label: 'Back Camera', width: 1920, height: 1080, frameRate: 30, fallback: true });
+        assert.deepEqual(requests.map(v => v.deviceId || v.facingMode), [{ exact: 'usb-cam' }, 'environment']);
+    });
+
+    it('does not fall back when camera permission is refused', async () => {
+        const navigator = {
+            mediaDevices: {
+                getUserMedia: async () => { throw Object.assign(new Error('denied'), { name: 'NotAllowedError' }); }
+            }
+        };
+        const camera = loadSource('camera.js', 'Camera', navigator);
+        camera.init(fakeVideo(1920, 1080));
+        await assert.rejects(camera.start('main'), { name: 'NotAllowedError' });
+    });
+
+    it('shares a screen without camera controls', async () => {
+        const navigator = {
+            mediaDevices: { getDisplayMedia: async () => fakeStream('window:game', { width: 2560, height: 1440, frameRate: 15 }) }
+        };
+        const screen = loadSource('screen.js', 'ScreenCapture', navigator);
+        assert.equal(screen.supported(), true);
+        assert.equal(loadSource('screen.js', 'ScreenCapture', {}).supported(), false);
+        screen.init(fakeVideo(2560, 1440));
+        const info = await screen.start();
+        assert.equal(info.label, 'window:game');
+        assert.equal(info.width, 2560);
+        assert.equal(screen.getControls(), null);
+        assert.deepEqual(await screen.applyControls({ torch: true }), {});
+    });
+});
+
+describe('Still images', () => {
+    before(() => {
+        global.createImageBitmap = async blob => {
+            if (blob.type === 'image/broken') throw new Error('The source image could not be decoded.');
+            return { width: 3840, height: 2160, close() {} };
+        };
+    });
+    after(() => {
+        delete global.createImageBitmap;
+    });
+
+    it('accepts image files only', () => {
+        const still = loadSource('still.js', 'StillImage', {});
+        assert.equal(still.supports({ type: 'image/png' }), true);
+        assert.equal(still.supports({ type: 'application/json' }), false);
+        assert.equal(still.supports(null), false);
+    });
+
+    it('shows a decoded image at full size and offers it as a single frame', async () => {
+        const still = loadSource('still.js', 'StillImage', {});
+        const canvas = fakeCanvas();
+        canvas.classList.add('hidden');
+        still.init(canvas);
+        assert.deepEqual(await still.captureBurst(3, 40), []);
+
+        const info = await still.start({ type: 'image/png', name: 'report.png' });
+        assert.deepEqual(info, { deviceId: null, label: 'report.png', width: 3840, height: 2160, frameRate: null, fallback: false });
+        assert.equal(canvas.classList.contains('hidden'), false);
+        const burst = await still.captureBurst(3, 40);
+        assert.equal(burst.length, 1);
+        assert.deepEqual([burst[0].width, burst[0].height], [3840, 2160]);
+        // Each capture is a copy the worker may take over
+        assert.notEqual(still.captureFrame().data, burst[0].data);
+        assert.equal(still.capturePreview(480).scale, 8);
+        assert.deepEqual(still.getVideoDimensions(), {
+            videoWidth: 3840, videoHeight: 2160, displayWidth: 390, displayHeight: 844, fit: 'cover'
+        });
+
+        still.stop();
+        assert.equal(still.captureFrame(), null);
+        assert.equal(canvas.classList.contains('hidden'), true);
+    });
+
+    it('rejects an image the browser cannot decode', async () => {
+        const still = loadSource('still.js', 'StillImage', {});
+        still.init(fakeCanvas());
+        await assert.rejects(still.start({ type: 'image/broken' }), /could not be decoded/);
+        assert.equal(still.captureFrame(), null);
+    });
+});
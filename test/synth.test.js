@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the synthetic frame generator (bin/synth.js, bin/generate):
+// puzzle construction, geometry, sidecar ground truth and an end-to-end
+// solve of a generated frame.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const synth = require('../bin/synth');
+const { validateSidecar, scoreSample } = require('../bin/dataset');
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    // sharp is a devDependency; without it frames cannot be rendered
+}
+
+const NUMERIC = '0123456789';
+
+// ===== Puzzle =====
+
+describe('synth.makePuzzle', () => {
+    it('places the target exactly once at the expected position', () => {
+        for (let seed = 1; seed <= 20; seed++) {
+            const p = synth.makePuzzle(NUMERIC, synth.createRng(seed));
+            assert.equal(p.grid.length, 80);
+            assert.equal(p.target.length, 4);
+            assert.deepEqual(synth.occurrences(p.grid, p.target), [p.expected.position]);
+            assert.equal(p.expected.row, Math.floor(p.expected.position / 10) + 1);
+            assert.equal(p.expected.col, p.expected.position % 10 + 1);
+        }
+    });
+
+    it('follows another puzzle shape', () => {
+        const p = synth.makePuzzle(NUMERIC, synth.createRng(5), { rows: 6, cols: 8, targetLength: 3 });
+        assert.equal(p.grid.length, 48);
+        assert.equal(p.target.length, 3);
+        assert.deepEqual(synth.occurrences(p.grid, p.target), [p.expected.position]);
+        assert.equal(p.expected.col, p.expected.position % 8 + 1);
+    });
+
+    it('is reproducible from its seed', () => {
+        const a = synth.makePuzzle(NUMERIC, synth.createRng(7));
+        const b = synth.makePuzzle(NUMERIC, synth.createRng(7));
+        assert.deepEqual(a, b);
+    });
+
+    it('builds codes from multi-byte charsets by code point', () => {
+        const greek = 'ΑΒΓΔ';
+        const p = synth.makePuzzle(greek, synth.createRng(3));
+        for (const code of p.grid) assert.equal(Array.from(code).length, 2);
+    });
+
+    it('occurrences reads the grid with wrap-around', () => {
+        const grid = ['01', '02', '03', '04', '05'];
+        assert.deepEqual(synth.occurrences(grid, ['04', '05', '01']), [3]);
+    });
+});
+
+// ===== Geometry =====
+
+describe('synth.homography', () => {
+    it('maps the four source corners onto the destination corners', () => {
+        const src = [[0, 0], [100, 0], [100, 50], [0, 50]];
+        const dst = [[10, 5], [90, 0], [100, 60], [0, 50]];
+        const h = synth.homography(src, dst);
+        for (let i = 0; i < 4; i++) {
+            const [x, y] = synth.applyHomography(h, src[i][0], src[i][1]);
+            assert.ok(Math.abs(x - dst[i][0]) < 1e-6 && Math.abs(y - dst[i][1]) < 1e-6);
+        }
+    });
+});
+
+// ===== Rendering =====
+
+describe('synth.renderFrame', { skip: !sharp && 'sharp not installed' }, () => {
+    it('writes a valid sidecar whose boxes follow the scale knob', async () => {
+        const opts = { charset: 'numeric', chars: NUMERIC, seed: 5 };
+        const plain = await synth.renderFrame(sharp, opts);
+        const small = await synth.renderFrame(sharp, Object.assign({ knobs: { scale: 0.5, jpeg: 60 } }, opts));
+
+        assert.deepEqual(validateSidecar(plain.sidecar), []);
+        assert.equal(plain.ext, 'png');
+        assert.equal(small.ext, 'jpg');
+        assert.deepEqual(small.sidecar.grid, plain.sidecar.grid);
+        assert.equal(small.sidecar.synthetic.knobs.scale, 0.5);
+
+        const meta = await sharp(small.image).metadata();
+        assert.equal(meta.width, synth.LAYOUT.width / 2);
+        const a = plain.sidecar.cells.grid[0], b = small.sidecar.cells.grid[0];
+        assert.ok(Math.abs(b.x - a.x / 2) <= 1 && Math.abs(b.w - a.w / 2) <= 1);
+    });
+
+    it('skew moves top-row boxes inward', async () => {
+        const opts = { charset: 'numeric', chars: NUMERIC, seed: 5 };
+        const flat = await synth.renderFrame(sharp, opts);
+        const skewed = await synth.renderFrame(sharp, Object.assign({ knobs: { skew: 0.2 } }, opts));
+        assert.ok(skewed.sidecar.cells.grid[0].x > flat.sidecar.cells.grid[0].x + 5);
+    });
+
+    it('a clean numeric frame solves end to end', async () => {
+        const { createRuntime, loadImage } = require('../bin/runtime');
+        const { Solver } = await createRuntime();
+        const frame = await synth.renderFrame(sharp, { charset: 'numeric', chars: NUMERIC, seed: 11 });
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'synth-')), 'frame.png');
+        fs.writeFileSync(file, frame.image);
+
+        const score = scoreSample(frame.sidecar, Solver.solve(await loadImage(file)));
+        assert.equal(score.detection, true);
+        assert.equal(score.match, true);
+        fs.rmSync(path.dirname(file), { recursive: true });
+    });
+});
+
+// ===== bin/generate =====
+
+describe('bin/generate', { skip: !sharp && 'sharp not installed' }, () => {
+    it('writes image + sidecar pairs for the requested charset', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generate-'));
+        const code = await new Promise(resolve => {
+            execFile(process.execPath,
+                [path.join(__dirname, '..', 'bin', 'generate'), dir, '--count', '2', '--charset', 'greek', '--blur', '1'],
+                err => resolve(err ? err.code : 0));
+        });
+        assert.equal(code, 0);
+        const files = fs.readdirSync(dir).sort();
+        assert.deepEqual(files, [
+            'synth-0001-greek.json', 'synth-0001-greek.png',
+            'synth-0002-greek.json', 'synth-0002-greek.png'
+        ]);
+        const gt = JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf-8'));
+        assert.equal(gt.charset, 'greek');
+        assert.equal(gt.synthetic.knobs.blur, 1);
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    it('rejects unknown options', async () => {
+        const code = await new Promise(resolve => {
+            execFile(process.execPath,
+                [path.join(__dirname, '..', 'bin', 'generate'), os.tmpdir(), '--wobble', '1'],
+                err => resolve(err ? err.code : 0));
+        });
+        assert.equal(code, 1);
+    });
+});
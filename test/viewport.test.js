@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+'use strict';
+
+// Tests for the video-to-display transform: object-fit cover cropping and
+// contain letterboxing of camera streams on common phone and tablet
+// screens in both orientations.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../bin/runtime');
+
+const { Viewport } = loadModules();
+
+function near(actual, expected, label) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, (label || 'value') + ' ' + actual + ' != ' + expected);
+}
+
+function view(videoWidth, videoHeight, displayWidth, displayHeight, options) {
+    return Viewport.create({ videoWidth, videoHeight, displayWidth, displayHeight }, options);
+}
+
+// Screens in CSS pixels, portrait
+const PHONES = {
+    'iPhone 14': [390, 844],
+    'Pixel 7': [412, 915],
+    'Galaxy S8': [360, 740],
+    'iPhone SE': [375, 667],
+    'iPad Air': [820, 1180]
+};
+
+describe('Viewport cover', () => {
+    for (const name of Object.keys(PHONES)) {
+        for (const landscape of [false, true]) {
+            const [w, h] = landscape ? PHONES[name].slice().reverse() : PHONES[name];
+            // Browsers report the stream in the screen's orientation
+            const [vw, vh] = landscape ? [1920, 1080] : [1080, 1920];
+
+            it('fills ' + name + ' ' + (landscape ? 'landscape' : 'portrait') + ' and crops the overflow evenly', () => {
+                const t = view(vw, vh, w, h);
+                near(t.scaleX, t.scaleY, 'uniform scale');
+                // The scaled video covers the screen along both axes ...
+                assert.ok(vw * t.scaleX >= w - 1e-9 && vh * t.scaleY >= h - 1e-9);
+                // ... exactly along one, cropped equally on both sides of the other
+                assert.ok(t.offsetX === 0 || t.offsetY === 0);
+                assert.ok(t.offsetX <= 0 && t.offsetY <= 0);
+                const center = Viewport.toDisplay(t, vw / 2, vh / 2);
+                near(center[0], w / 2, 'center x');
+                near(center[1], h / 2, 'center y');
+            });
+        }
+    }
+
+    it('shifts boxes by the crop on a tall phone', () => {
+        // 16:9 stream on a 390x844 portrait screen: the video is scaled to
+        // the screen height and its sides are cut off
+        const t = view(1080, 1920, 390, 844);
+        near(t.scaleX, 844 / 1920, 'scale');
+        near(t.offsetX, (390 - 1080 * 844 / 1920) / 2, 'offset x');
+        const box = Viewport.boxToDisplay(t, { x: 540, y: 960, w: 100, h: 50 });
+        near(box.x, 195, 'box x');
+        near(box.y, 422, 'box y');
+        near(box.w, 100 * 844 / 1920, 'box w');
+        near(box.h, 50 * 844 / 1920, 'box h');
+    });
+
+    it('maps a landscape stream shown on a portrait screen', () => {
+        // A stream that has not rotated with the screen keeps only its middle
+        const t = view(1920, 1080, 390, 844);
+        near(t.scaleX, 844 / 1080, 'scale');
+        const visible = Viewport.visibleRegion(t);
+        near(visible.y, 0, 'visible y');
+        near(visible.h, 1080, 'visible h');
+        near(visible.w, 390 * 1080 / 844, 'visible w');
+        near(visible.x, (1920 - visible.w) / 2, 'visible x');
+    });
+});
+
+describe('Viewport contain and fill', () => {
+    it('letterboxes a landscape stream in a portrait screen', () => {
+        const t = view(1920, 1080, 390, 844, { fit: 'contain' });
+        near(t.scaleX, 390 / 1920, 'scale');
+        near(t.offsetX, 0, 'offset x');
+        near(t.offsetY, (844 - 1080 * 390 / 1920) / 2, 'offset y');
+        assert.deepEqual(Viewport.visibleRegion(t), { x: 0, y: 0, w: 1920, h: 1080 });
+    });
+
+    it('stretches each axis for fill and unknown fits', () => {
+        for (const fit of ['fill', 'bogus']) {
+            const t = view(1920, 1080, 390, 844, { fit });
+            assert.equal(t.fit, 'fill');
+            near(t.scaleX, 390 / 1920, 'scale x');
+            near(t.scaleY, 844 / 1080, 'scale y');
+            assert.deepEqual([t.offsetX, t.offsetY], [0, 0]);
+        }
+    });
+
+    it('keeps a small stream at its size for none and scale-down', () => {
+        const none = view(320, 240, 390, 844, { fit: 'none' });
+        assert.deepEqual([none.scaleX, none.offsetX, none.offsetY], [1, 35, 302]);
+        assert.equal(view(320, 240, 390, 844, { fit: 'scale-down' }).scaleX, 1);
+        near(view(1920, 1080, 390, 844, { fit: 'scale-down' }).scaleX, 390 / 1920, 'scale-down of a large stream');
+    });
+});
+
+describe('Viewport round trip', () => {
+    it('maps display points back to the video pixels they show', () => {
+        for (const fit of ['cover', 'contain', 'fill']) {
+            const t = view(1920, 1080, 412, 915, { fit, dpr: 2.625 });
+            const [x, y] = Viewport.toVideo(t, ...Viewport.toDisplay(t, 700, 333));
+            near(x, 700, fit + ' x');
+            near(y, 333, fit + ' y');
+        }
+    });
+
+    it('carries the device pixel ratio and waits for a video size', () => {
+        assert.equal(view(1080, 1920, 390, 844, { dpr: 3 }).dpr, 3);
+        assert.equal(view(1080, 1920, 390, 844).dpr, 1);
+        assert.equal(view(0, 0, 390, 844), null);
+    });
+});
@@ -0,0 +1,74 @@
+const Viewport = (() => {
+    // object-fit values the transform understands; anything else is drawn
+    // as `fill` (the CSS initial value)
+    const FITS = ['cover', 'contain', 'fill', 'none', 'scale-down'];
+
+    /**
+     * Video-to-display transform for a video element laid out with CSS
+     * `object-fit` (centered, the default object-position). `dims`:
+     * { videoWidth, videoHeight, displayWidth, displayHeight } as from
+     * Camera.getVideoDimensions (video pixels of the current stream, CSS
+     * pixels of the element, both already in the current orientation).
+     * `options`: { fit (default 'cover'), dpr (device pixels per CSS
+     * pixel, default 1) }.
+     *
+     * Returns { fit, scaleX, scaleY, offsetX, offsetY, dpr, videoWidth,
+     * videoHeight, displayWidth, displayHeight }: display = video * scale
+     * + offset in CSS pixels (times `dpr` for canvas device pixels). A
+     * cover crop gives negative offsets, a contain letterbox positive
+     * ones. Null while the video or the element has no size.
+     */
+    function create(dims, options) {
+        options = options || {};
+        const vw = dims.videoWidth, vh = dims.videoHeight;
+        const dw = dims.displayWidth, dh = dims.displayHeight;
+        if (!vw || !vh || !dw || !dh) return null;
+
+        let fit = options.fit || 'cover';
+        if (FITS.indexOf(fit) < 0) fit = 'fill';
+        let scaleX = dw / vw, scaleY = dh / vh;
+        if (fit === 'cover') scaleX = scaleY = Math.max(scaleX, scaleY);
+        else if (fit === 'contain') scaleX = scaleY = Math.min(scaleX, scaleY);
+        else if (fit === 'none') scaleX = scaleY = 1;
+        else if (fit === 'scale-down') scaleX = scaleY = Math.min(1, scaleX, scaleY);
+
+        return {
+            fit, scaleX, scaleY,
+            offsetX: (dw - vw * scaleX) / 2,
+            offsetY: (dh - vh * scaleY) / 2,
+            dpr: options.dpr || 1,
+            videoWidth: vw, videoHeight: vh,
+            displayWidth: dw, displayHeight: dh
+        };
+    }
+
+    // Video pixel (x, y) → [x, y] in CSS pixels of the element
+    function toDisplay(t, x, y) {
+        return [x * t.scaleX + t.offsetX, y * t.scaleY + t.offsetY];
+    }
+
+    // CSS pixel (x, y) of the element → [x, y] in video pixels
+    function toVideo(t, x, y) {
+        return [(x - t.offsetX) / t.scaleX, (y - t.offsetY) / t.scaleY];
+    }
+
+    // Video box { x, y, w, h } → display box in CSS pixels
+    function boxToDisplay(t, box) {
+        const [x, y] = toDisplay(t, box.x, box.y);
+        return { x, y, w: box.w * t.scaleX, h: box.h * t.scaleY };
+    }
+
+    /**
+     * The part of the video frame shown on screen, as a video box
+     * { x, y, w, h }: the whole frame for contain, the uncropped middle
+     * for cover.
+     */
+    function visibleRegion(t) {
+        const [x0, y0] = toVideo(t, 0, 0);
+        const [x1, y1] = toVideo(t, t.displayWidth, t.displayHeight);
+        const x = Math.max(0, x0), y = Math.max(0, y0);
+        return { x, y, w: Math.min(t.videoWidth, x1) - x, h: Math.min(t.videoHeight, y1) - y };
+    }
+
+    return { FITS, create, toDisplay, toVideo, boxToDisplay, visibleRegion };
+})();
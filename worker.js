@@ -0,0 +1,65 @@
+// Scan worker: runs the recognition pipeline (Geometry, Puzzle, Detector, Processor,
+// Runes, Templates, Learned, Matcher, Braille, Fusion, Solver) off the main thread
+// so the camera preview stays smooth. Frames arrive with their pixel buffers
+// transferred; the structured Solver result is posted back the same way.
+// Learned templates live here, next to the Solver that uses them.
+
+// Forward the page's cache-busting query to every module
+importScripts.apply(self, [
+    'geometry.js', 'puzzle.js', 'detector.js', 'quality.js', 'processor.js', 'runes.js', 'templates.js', 'learned.js', 'matcher.js', 'braille.js', 'fusion.js', 'solver.js'
+].map(function(f) { return f + self.location.search; }));
+
+// Settles once stored learned templates are loaded; solves wait for it
+var ready = Promise.resolve();
+
+self.onmessage = function(event) {
+    var msg = event.data;
+    try {
+        if (msg.type === 'init') {
+            ready = Learned.load().catch(function() { return 0; });
+            Templates.generate();
+            reply(msg, ready.then(function() { return null; }));
+        } else if (msg.type === 'solve') {
+            ready.then(function() {
+                var result = Solver.solveBurst(msg.frames, msg.options);
+                self.postMessage({ id: msg.id, result: result }, transferables(result));
+            }).catch(function(err) {
+                self.postMessage({ id: msg.id, error: err.message });
+            });
+        } else if (msg.type === 'learn') {
+            reply(msg, Learned.save(msg.exemplars));
+        } else if (msg.type === 'importPack') {
+            self.postMessage({ id: msg.id, result: Templates.importPack(msg.pack) });
+        } else if (msg.type === 'exportPack') {
+            self.postMessage({ id: msg.id, result: Templates.exportPack() });
+        } else {
+            self.postMessage({ id: msg.id, error: 'Unknown message: ' + msg.type });
+        }
+    } catch (err) {
+        self.postMessage({ id: msg.id, error: err.message });
+    }
+};
+
+function reply(msg, promise) {
+    promise.then(function(result) {
+        self.postMessage({ id: msg.id, result: result });
+    }, function(err) {
+        self.postMessage({ id: msg.id, error: err.message });
+    });
+}
+
+// Cell pixel buffers are freshly allocated per solve, so hand them over
+// instead of copying
+function transferables(result) {
+    var list = [];
+    if (result.extracted) {
+        result.extracted.gridCells.forEach(function(c) { list.push(c.buffer); });
+        if (!result.locked) {
+            result.extracted.targetCells.forEach(function(c) { list.push(c.buffer); });
+        }
+    }
+    if (result.targetHalves && !result.locked) {
+        result.targetHalves.forEach(function(h) { list.push(h.left.buffer, h.right.buffer); });
+    }
+    return list;
+}